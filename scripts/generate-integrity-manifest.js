@@ -0,0 +1,83 @@
+/**
+ * Script to generate the signed integrity manifest for a build
+ * Run: node scripts/generate-integrity-manifest.js
+ *   (signs with the Ed25519 private key in the file named by INTEGRITY_SIGNING_KEY_FILE;
+ *   skipped with a warning while no public key is embedded in src/integrity-key.js)
+ * Create a key pair once: node scripts/generate-integrity-manifest.js --generate-key <private key path>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE_NAME, createManifest, signManifest, verifyManifest } = require('../src/integrity');
+
+const rootPath = path.join(__dirname, '..');
+const publicKeyPath = path.join(rootPath, 'src/integrity-key.js');
+
+function generateKey(privateKeyPath) {
+  if (fs.existsSync(privateKeyPath)) {
+    console.error(`Error: ${privateKeyPath} already exists - refusing to overwrite a signing key`);
+    process.exit(1);
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' }).trim();
+  const source = fs.readFileSync(publicKeyPath, 'utf8')
+    .replace(/const INTEGRITY_PUBLIC_KEY = [\s\S]*?;\n/, `const INTEGRITY_PUBLIC_KEY = '${publicPem.replace(/\n/g, '\\n')}\\n';\n`);
+  fs.writeFileSync(publicKeyPath, source);
+
+  console.log(`✓ Private key written to ${privateKeyPath} (keep it secret, outside the repository)`);
+  console.log('✓ Public key embedded in src/integrity-key.js - commit this change');
+}
+
+function generateManifest() {
+  const keyFile = process.env.INTEGRITY_SIGNING_KEY_FILE;
+  if (!keyFile || !fs.existsSync(keyFile)) {
+    const { INTEGRITY_PUBLIC_KEY } = require('../src/integrity-key');
+    if (INTEGRITY_PUBLIC_KEY) {
+      // Without a manifest this build would fail its own integrity check
+      console.error('Error: src/integrity-key.js has a public key - set INTEGRITY_SIGNING_KEY_FILE to its signing key (see README)');
+      process.exit(1);
+    }
+    // No key pair set up yet: build unsigned, the app reports "development" status
+    fs.rmSync(path.join(rootPath, MANIFEST_FILE_NAME), { force: true });
+    console.warn('⚠ INTEGRITY_SIGNING_KEY_FILE is not set - building without an integrity manifest (see README)');
+    return;
+  }
+
+  const pkg = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'), 'utf8'));
+  const manifest = createManifest(rootPath, pkg.version);
+  const signed = signManifest(manifest, crypto.createPrivateKey(fs.readFileSync(keyFile)));
+  fs.writeFileSync(path.join(rootPath, MANIFEST_FILE_NAME), JSON.stringify(signed, null, 2) + '\n');
+
+  // Check the result with the embedded public key, as the app will on startup
+  delete require.cache[require.resolve('../src/integrity-key')];
+  const { INTEGRITY_PUBLIC_KEY } = require('../src/integrity-key');
+  const result = verifyManifest(rootPath, INTEGRITY_PUBLIC_KEY);
+  if (result.status !== 'verified') {
+    console.error(`Error: the manifest does not verify: ${result.problems.join('; ')}`);
+    console.error('Does INTEGRITY_SIGNING_KEY_FILE match the public key in src/integrity-key.js?');
+    process.exit(1);
+  }
+
+  console.log(`✓ Integrity manifest written for ${Object.keys(manifest.files).length} files (version ${pkg.version})`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const keyIndex = process.argv.indexOf('--generate-key');
+  if (keyIndex >= 0) {
+    const privateKeyPath = process.argv[keyIndex + 1];
+    if (!privateKeyPath) {
+      console.error('Usage: node scripts/generate-integrity-manifest.js --generate-key <private key path>');
+      process.exit(1);
+    }
+    generateKey(path.resolve(privateKeyPath));
+  } else {
+    generateManifest();
+  }
+}
+
+module.exports = { generateKey, generateManifest };
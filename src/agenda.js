@@ -0,0 +1,240 @@
+/**
+ * Agenda Service
+ * Polls configured iCal feeds / .ics files in the background and keeps
+ * the upcoming events for the tray, with the feed cache encrypted on disk
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { parseICal, getOccurrences } = require('./ical');
+
+const CACHE_NAME = 'agenda-cache';
+const LOOKAHEAD_DAYS = 30;
+// Expanded occurrences are reused for this long (or until the feeds change)
+const UPCOMING_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Check that a feed source is an https/webcal URL or an absolute .ics path
+ */
+function validateSource(source) {
+  const value = String(source || '').trim();
+  if (/^(https|webcals?):\/\/[^\s]+$/i.test(value)) {
+    return null;
+  }
+  if (/^http:\/\//i.test(value)) {
+    return 'Feeds must use https:// or webcal://';
+  }
+  if (path.isAbsolute(value) && /\.(ics|vcs)$/i.test(value)) {
+    return null;
+  }
+  return 'Enter an https:// or webcal:// feed URL, or choose an .ics file';
+}
+
+class AgendaService {
+  /**
+   * @param {Object} options
+   * @param {Store} options.store - electron-store holding the `agenda` settings
+   * @param {SessionProtection} options.sessionProtection - encrypts the feed cache
+   * @param {Function} options.loadSource - async (source) => iCalendar text
+   * @param {Function} options.onUpdate - called when the upcoming events change
+   */
+  constructor({ store, sessionProtection, loadSource, onUpdate }) {
+    this.store = store;
+    this.sessionProtection = sessionProtection;
+    this.loadSource = loadSource;
+    this.onUpdate = onUpdate || (() => {});
+    this.timer = null;
+    this.refreshing = null;
+    this.calendars = new Map();
+    this.errors = new Map();
+    // { from, occurrences } - expanding recurrences is too slow to repeat for every tray update
+    this.upcomingCache = null;
+  }
+
+  getSettings() {
+    return this.store.get('agenda');
+  }
+
+  saveSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    this.store.set('agenda', settings);
+    // Restart polling with the new interval
+    if (changes.refreshMinutes !== undefined && this.timer) {
+      this._schedule();
+    }
+    return settings;
+  }
+
+  getFeeds() {
+    return this.getSettings().feeds;
+  }
+
+  /**
+   * Add a feed URL or local .ics file
+   */
+  addFeed(source, name = '') {
+    const error = validateSource(source);
+    if (error) {
+      return { success: false, error };
+    }
+    const value = String(source).trim();
+    if (this.getFeeds().some(feed => feed.source === value)) {
+      return { success: false, error: 'This feed is already added' };
+    }
+    const feed = {
+      id: crypto.randomBytes(4).toString('hex'),
+      source: value,
+      name: name || (/^[a-z]+:\/\//i.test(value) ? new URL(value.replace(/^webcals?:/i, 'https:')).hostname : path.basename(value))
+    };
+    this.saveSettings({ feeds: [...this.getFeeds(), feed] });
+    this.refresh();
+    return { success: true, feed };
+  }
+
+  /**
+   * Replace all feeds (e.g. from a settings backup) - invalid entries are dropped
+   */
+  replaceFeeds(feeds) {
+    const valid = (Array.isArray(feeds) ? feeds : []).filter(feed => (
+      feed && typeof feed.id === 'string' && /^[a-f0-9]{8}$/.test(feed.id) && !validateSource(feed.source)
+    )).map(feed => ({
+      id: feed.id,
+      source: String(feed.source).trim(),
+      name: typeof feed.name === 'string' && feed.name.trim() ? feed.name.trim() : path.basename(String(feed.source))
+    }));
+    this.saveSettings({ feeds: valid });
+    this.calendars.clear();
+    this.upcomingCache = null;
+    this.errors.clear();
+    this._saveCache();
+    this.refresh();
+    return valid.length;
+  }
+
+  removeFeed(id) {
+    this.saveSettings({ feeds: this.getFeeds().filter(feed => feed.id !== id) });
+    this.calendars.delete(id);
+    this.upcomingCache = null;
+    this.errors.delete(id);
+    this._saveCache();
+    this.onUpdate();
+  }
+
+  /**
+   * Load the encrypted cache and start polling
+   */
+  start() {
+    this._loadCache();
+    this.onUpdate();
+    this.refresh();
+    this._schedule();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Re-read every feed now (concurrent calls share one refresh)
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._refreshFeeds().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Next upcoming events across all feeds (events in progress are included)
+   */
+  getUpcoming(count = this.getSettings().count, now = new Date()) {
+    const rangeEnd = new Date(now.getTime() + LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+    const cache = this.upcomingCache;
+    if (!cache || now < cache.from || now.getTime() > cache.from.getTime() + UPCOMING_CACHE_MS) {
+      this.upcomingCache = { from: now, occurrences: this._expand(now, new Date(rangeEnd.getTime() + UPCOMING_CACHE_MS)) };
+    }
+    return this.upcomingCache.occurrences
+      .filter(occurrence => occurrence.start < rangeEnd && (occurrence.end > now || occurrence.start >= now))
+      .slice(0, count);
+  }
+
+  /**
+   * Occurrences of every feed in [rangeStart, rangeEnd), sorted by start
+   */
+  _expand(rangeStart, rangeEnd) {
+    const occurrences = [];
+    for (const [feedId, { calendar }] of this.calendars) {
+      for (const occurrence of getOccurrences(calendar.events, rangeStart, rangeEnd)) {
+        occurrences.push({ ...occurrence, feedId });
+      }
+    }
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Last error per feed id
+   */
+  getErrors() {
+    return new Map(this.errors);
+  }
+
+  async _refreshFeeds() {
+    const feeds = this.getFeeds();
+    await Promise.all(feeds.map(async (feed) => {
+      try {
+        const text = await this.loadSource(feed.source);
+        this.calendars.set(feed.id, { text, calendar: parseICal(text), fetchedAt: Date.now() });
+        this.errors.delete(feed.id);
+      } catch (error) {
+        // Keep showing the cached copy when a feed is temporarily unreachable
+        this.errors.set(feed.id, error.message);
+        console.error(`Agenda feed ${feed.name} failed:`, error.message);
+      }
+    }));
+    this.upcomingCache = null;
+    this._saveCache();
+    this.onUpdate();
+  }
+
+  _schedule() {
+    this.stop();
+    const minutes = Math.max(5, this.getSettings().refreshMinutes);
+    this.timer = setInterval(() => this.refresh(), minutes * 60 * 1000);
+  }
+
+  _saveCache() {
+    const feeds = {};
+    for (const [id, { text, fetchedAt }] of this.calendars) {
+      feeds[id] = { text, fetchedAt };
+    }
+    this.sessionProtection.writeProtectedFile(CACHE_NAME, { feeds });
+  }
+
+  _loadCache() {
+    this.upcomingCache = null;
+    const cache = this.sessionProtection.readProtectedFile(CACHE_NAME);
+    if (!cache || !cache.feeds) {
+      return;
+    }
+    const feedIds = new Set(this.getFeeds().map(feed => feed.id));
+    for (const [id, { text, fetchedAt }] of Object.entries(cache.feeds)) {
+      if (!feedIds.has(id)) {
+        continue;
+      }
+      try {
+        this.calendars.set(id, { text, calendar: parseICal(text), fetchedAt });
+      } catch (error) {
+        console.error('Ignoring unreadable cached feed:', error.message);
+      }
+    }
+  }
+}
+
+AgendaService.validateSource = validateSource;
+
+module.exports = AgendaService;
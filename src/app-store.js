@@ -0,0 +1,231 @@
+/**
+ * App Settings Store
+ * Opens the encrypted electron-store with a per-install key kept in the OS keychain
+ * (keytar), falling back to a key protected by safeStorage. Data saved by older
+ * versions with the key shared by every install is migrated to the new key.
+ * Must be called after the app is ready (safeStorage is not usable before).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { app, safeStorage } = require('electron');
+const Store = require('electron-store');
+
+// Key used by versions before per-install keys - only ever read, to migrate
+const LEGACY_ENCRYPTION_KEY = 'wlfryt-google-calendar-secure-key-2024';
+const KEYCHAIN_SERVICE = 'WlfRyt Google Calendar';
+const KEYCHAIN_ACCOUNT = 'app-config-key';
+const KEY_FILE_NAME = 'app-config.key';
+
+const KEY_SOURCE_LABELS = {
+  keychain: 'OS keychain',
+  safeStorage: 'safeStorage (encrypted key file)',
+  legacy: 'Built-in key (not protected)',
+  temporary: 'None - settings are not saved this session'
+};
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * keytar is a native module - it may fail to load, or the keychain may be unavailable
+ * (e.g. no Secret Service on Linux)
+ * Returns { key } or { error } - only stores a new key when `create` is set
+ */
+async function getKeychainKey(create) {
+  try {
+    const keytar = require('keytar');
+    let key = await keytar.getPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT);
+    if (!key) {
+      if (!create) {
+        return {};
+      }
+      key = generateKey();
+      await keytar.setPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT, key);
+      // Read it back so a keychain that silently drops secrets is not trusted
+      if (await keytar.getPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT) !== key) {
+        return { error: 'The key could not be stored in the OS keychain' };
+      }
+    }
+    return { key };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Key encrypted with safeStorage in the user data folder
+ * Returns { key } or { error } - only creates a key file when `create` is set
+ */
+function getSafeStorageKey(keyFile, create) {
+  try {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return { error: 'safeStorage encryption is not available' };
+    }
+    if (fs.existsSync(keyFile)) {
+      return { key: safeStorage.decryptString(fs.readFileSync(keyFile)) };
+    }
+    if (!create) {
+      return {};
+    }
+    const key = generateKey();
+    fs.writeFileSync(keyFile, safeStorage.encryptString(key), { mode: 0o600 });
+    return { key };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Open the store file with `key` without writing to it
+ * Returns the stored data, or null if the key does not decrypt it
+ */
+function readWithKey(name, key) {
+  try {
+    return new Store({ name, encryptionKey: key, clearInvalidConfig: false }).store;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store in a temporary folder, with a key that is never saved - used while the saved
+ * settings can't be decrypted, so they are left untouched
+ */
+function openTemporaryStore(name, defaults) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'wlfryt-settings-'));
+  process.on('exit', () => fs.rmSync(cwd, { recursive: true, force: true }));
+  return new Store({ name, cwd, defaults, encryptionKey: generateKey(), clearInvalidConfig: false });
+}
+
+/**
+ * Open the app settings store
+ * @param {Object} options
+ * @param {string} options.name - store file name (without extension)
+ * @param {Object} options.defaults - electron-store defaults
+ * @param {Function} options.onEvent - (type, details) for the audit log
+ * @param {Function} options.onUnreadable - async ({ problems }) => 'retry', 'reset' or
+ *   'continue' (without saving) when no available key decrypts the saved settings
+ * Returns { store, status: { keySource, keySourceLabel, migratedFrom, problems } }
+ */
+async function openAppStore({ name, defaults, onEvent = () => {}, onUnreadable = async () => 'continue' }) {
+  const userData = app.getPath('userData');
+  const filePath = path.join(userData, `${name}.json`);
+  const backupPath = `${filePath}.migrating`;
+  const keyFile = path.join(userData, KEY_FILE_NAME);
+  let problems = [];
+
+  // An interrupted migration left the original data in the backup
+  if (fs.existsSync(backupPath)) {
+    fs.renameSync(backupPath, filePath);
+  }
+
+  // Find the key of the saved settings before creating any - a keychain that is only
+  // temporarily unavailable (locked, service not running) must not lose them
+  let keychain;
+  let safeStorageKey;
+  let current = null;
+  let data = null;
+  for (;;) {
+    problems = [];
+    keychain = await getKeychainKey(false);
+    if (keychain.error) {
+      problems.push(`OS keychain unavailable: ${keychain.error}`);
+    }
+    safeStorageKey = getSafeStorageKey(keyFile, false);
+    if (safeStorageKey.error && !keychain.key) {
+      problems.push(`safeStorage unavailable: ${safeStorageKey.error}`);
+    }
+    if (!fs.existsSync(filePath)) {
+      break;
+    }
+
+    current = [
+      { source: 'keychain', key: keychain.key },
+      { source: 'safeStorage', key: safeStorageKey.key },
+      { source: 'legacy', key: LEGACY_ENCRYPTION_KEY }
+    ].find(candidate => candidate.key && (data = readWithKey(name, candidate.key)) !== null);
+    if (current) {
+      break;
+    }
+
+    onEvent('app-config-unreadable', { keychainAvailable: !keychain.error });
+    const choice = await onUnreadable({ problems });
+    if (choice === 'retry') {
+      continue;
+    }
+    if (choice === 'reset') {
+      // Keep the unreadable file for recovery rather than overwriting it
+      const unreadablePath = path.join(userData, `${name}.unreadable-${Date.now()}.json`);
+      fs.renameSync(filePath, unreadablePath);
+      problems.push(`Saved app settings could not be decrypted and were reset (kept in ${path.basename(unreadablePath)})`);
+      onEvent('app-config-reset', {});
+      break;
+    }
+    return {
+      store: openTemporaryStore(name, defaults),
+      status: {
+        keySource: 'temporary',
+        keySourceLabel: KEY_SOURCE_LABELS.temporary,
+        migratedFrom: null,
+        problems: [...problems, 'Saved app settings could not be decrypted - they were left untouched, restart to try again']
+      }
+    };
+  }
+
+  // Prefer the keychain; fall back to safeStorage, then (only if neither works) the built-in key
+  if (!keychain.key && !keychain.error) {
+    keychain = await getKeychainKey(true);
+    if (keychain.error) {
+      problems.push(`OS keychain unavailable: ${keychain.error}`);
+    }
+  }
+  if (!keychain.key && !safeStorageKey.key && !safeStorageKey.error) {
+    safeStorageKey = getSafeStorageKey(keyFile, true);
+    if (safeStorageKey.error) {
+      problems.push(`safeStorage unavailable: ${safeStorageKey.error}`);
+    }
+  }
+
+  const preferred = [
+    { source: 'keychain', key: keychain.key },
+    { source: 'safeStorage', key: safeStorageKey.key },
+    { source: 'legacy', key: LEGACY_ENCRYPTION_KEY }
+  ].find(candidate => candidate.key);
+  if (preferred.source === 'legacy') {
+    problems.push('App settings are encrypted with the built-in key until a keychain is available');
+  }
+
+  let migratedFrom = null;
+  if (current && current.source !== preferred.source) {
+    migratedFrom = current.source;
+    fs.renameSync(filePath, backupPath);
+  }
+
+  const store = new Store({ name, encryptionKey: preferred.key, defaults, clearInvalidConfig: false });
+  if (migratedFrom) {
+    store.store = { ...store.store, ...data };
+    fs.unlinkSync(backupPath);
+    onEvent('app-config-key-migrated', { from: migratedFrom, to: preferred.source });
+  }
+
+  // The key file is no longer needed once the keychain holds the key
+  if (preferred.source === 'keychain' && fs.existsSync(keyFile)) {
+    fs.unlinkSync(keyFile);
+  }
+
+  return {
+    store,
+    status: {
+      keySource: preferred.source,
+      keySourceLabel: KEY_SOURCE_LABELS[preferred.source],
+      migratedFrom,
+      problems
+    }
+  };
+}
+
+module.exports = { openAppStore };
@@ -0,0 +1,259 @@
+/**
+ * Security Audit Log
+ * Append-only record of lock/unlock, passcode, session clear and integrity events.
+ * Every entry is encrypted with the session key and hash-chained to the one before it,
+ * and the position of the last entry is kept in a protected file, so edited, removed
+ * or truncated entries are detected when the log is read.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE_NAME = 'audit.log';
+const HEAD_FILE_NAME = 'audit-head';
+const GENESIS_HASH = '0'.repeat(64);
+const CSV_COLUMNS = ['seq', 'time', 'type', 'details'];
+
+/**
+ * Hash of an entry, covering its position, the previous hash and the encrypted payload
+ */
+function hashEntry({ seq, prev, payload }) {
+  return crypto.createHash('sha256').update(`${seq}:${prev}:${JSON.stringify(payload)}`).digest('hex');
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLog {
+  /**
+   * @param {SessionProtection} sessionProtection - provides encrypt()/decrypt() and protected files
+   */
+  constructor(sessionProtection) {
+    this.sessionProtection = sessionProtection;
+    this.filePath = path.join(sessionProtection.dataPath, LOG_FILE_NAME);
+    this.head = null;
+    this.started = false;
+    this.pending = [];
+  }
+
+  /**
+   * Start writing entries (the session key may not be usable before the app is ready)
+   * Events recorded earlier are written now, in order
+   */
+  start() {
+    this.started = true;
+    if (this._readHead().missing) {
+      // Keep a permanent record - writing this entry rewrites the head, so the log
+      // verifies again from here on and the event is reported once
+      this._append({ time: new Date().toISOString(), type: 'audit-log-head-missing', details: { lastSeq: this.head.seq } });
+    }
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(event => this._append(event));
+  }
+
+  /**
+   * Record a security event
+   * @param {string} type - e.g. 'session-locked', 'unlock-failed'
+   * @param {Object} details - small, non-secret context (never passcodes)
+   */
+  record(type, details = {}) {
+    const event = { time: new Date().toISOString(), type, details };
+    if (!this.started) {
+      this.pending.push(event);
+      return;
+    }
+    this._append(event);
+  }
+
+  /**
+   * Forget the chain after the secure directory was wiped
+   */
+  reset() {
+    this.head = null;
+  }
+
+  /**
+   * Read, decrypt and verify the whole log
+   * Returns { entries: [{ seq, time, type, details }], problems: [string], verified }
+   */
+  read() {
+    const entries = [];
+    const problems = [];
+    let lines = [];
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+      }
+    } catch (error) {
+      problems.push(`The audit log could not be read: ${error.message}`);
+    }
+
+    let expectedSeq = 1;
+    let previousHash = GENESIS_HASH;
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        problems.push(`Line ${index + 1} is not a valid entry`);
+        return;
+      }
+
+      if (entry.seq !== expectedSeq) {
+        problems.push(entry.seq === expectedSeq + 1
+          ? `Entry ${expectedSeq} is missing`
+          : `Entries ${expectedSeq}-${entry.seq - 1} are missing or out of order`);
+      } else if (entry.prev !== previousHash) {
+        problems.push(`Entry ${entry.seq} does not follow the previous entry (chain broken)`);
+      }
+      if (entry.hash !== hashEntry(entry)) {
+        problems.push(`Entry ${entry.seq} has been modified`);
+      }
+
+      const event = this.sessionProtection.decrypt(entry.payload);
+      if (!event) {
+        problems.push(`Entry ${entry.seq} could not be decrypted`);
+      } else {
+        entries.push({ seq: entry.seq, time: event.time, type: event.type, details: event.details || {} });
+      }
+
+      expectedSeq = Number.isInteger(entry.seq) ? entry.seq + 1 : expectedSeq + 1;
+      previousHash = entry.hash;
+    });
+
+    // The protected head catches entries removed from the end of the file
+    const head = this._readHead();
+    const lastSeq = expectedSeq - 1;
+    if (head.missing) {
+      problems.push('The record of the last entry is missing - entries at the end may have been removed');
+    } else if (head.seq > lastSeq) {
+      problems.push(`${head.seq - lastSeq} entr${head.seq - lastSeq === 1 ? 'y was' : 'ies were'} removed from the end of the log`);
+    } else if (head.seq !== lastSeq || head.hash !== previousHash) {
+      problems.push('The log does not match its last recorded entry');
+    }
+
+    return { entries, problems, verified: problems.length === 0 };
+  }
+
+  /**
+   * Re-encrypt every entry with the current session key (after a key rotation)
+   * The chain is rebuilt over the new payloads, so this is refused unless the log
+   * verifies - rewriting a damaged log would hide the damage.
+   * Returns false if the log was left as it was
+   */
+  reencrypt() {
+    const { entries, verified } = this.read();
+    if (!verified) {
+      return false;
+    }
+    if (entries.length === 0) {
+      return true;
+    }
+
+    const lines = [];
+    let previousHash = GENESIS_HASH;
+    for (const { seq, time, type, details } of entries) {
+      const payload = this.sessionProtection.encrypt({ time, type, details });
+      if (!payload) {
+        return false;
+      }
+      const entry = { seq, prev: previousHash, payload };
+      entry.hash = hashEntry(entry);
+      lines.push(JSON.stringify(entry));
+      previousHash = entry.hash;
+    }
+
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, lines.join('\n') + '\n', { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+      const last = entries[entries.length - 1];
+      this.head = { seq: last.seq, hash: previousHash };
+      return this.sessionProtection.writeProtectedFile(HEAD_FILE_NAME, this.head);
+    } catch (error) {
+      console.error('Audit log: could not re-encrypt', error);
+      return false;
+    }
+  }
+
+  /**
+   * Export decrypted entries with the verification result as JSON
+   */
+  exportJson() {
+    const { entries, problems, verified } = this.read();
+    return JSON.stringify({ exportedAt: new Date().toISOString(), verified, problems, entries }, null, 2) + '\n';
+  }
+
+  /**
+   * Export decrypted entries as CSV (details as JSON in one column)
+   */
+  exportCsv() {
+    const { entries } = this.read();
+    const rows = entries.map(entry => [entry.seq, entry.time, entry.type, JSON.stringify(entry.details)].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  _readHead() {
+    if (this.head) {
+      return this.head;
+    }
+
+    const head = this.sessionProtection.readProtectedFile(HEAD_FILE_NAME);
+    if (head && Number.isInteger(head.seq)) {
+      this.head = head;
+      return this.head;
+    }
+
+    // Head missing or unreadable: continue the chain from the last line so new
+    // entries stay linked, and report the missing head when the log is verified
+    this.head = { seq: 0, hash: GENESIS_HASH };
+    try {
+      const lines = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean) : [];
+      if (lines.length > 0) {
+        const last = JSON.parse(lines[lines.length - 1]);
+        this.head = { seq: last.seq, hash: last.hash, missing: true };
+      }
+    } catch (error) {
+      console.error('Audit log: could not read the last entry', error);
+    }
+    return this.head;
+  }
+
+  _append(event) {
+    const payload = this.sessionProtection.encrypt(event);
+    if (!payload) {
+      console.error('Audit log: could not encrypt entry', event.type);
+      return false;
+    }
+
+    const head = this._readHead();
+    const entry = { seq: head.seq + 1, prev: head.hash, payload };
+    entry.hash = hashEntry(entry);
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      const written = this.sessionProtection.writeProtectedFile(HEAD_FILE_NAME, { seq: entry.seq, hash: entry.hash });
+      this.head = { seq: entry.seq, hash: entry.hash };
+      // A missing head is only cleared once a new one is saved
+      if (head.missing && !written) {
+        this.head.missing = true;
+      }
+      return true;
+    } catch (error) {
+      console.error('Audit log: could not write entry', error);
+      return false;
+    }
+  }
+}
+
+AuditLog.HEAD_FILE_NAME = HEAD_FILE_NAME;
+
+module.exports = AuditLog;
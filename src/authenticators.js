@@ -0,0 +1,193 @@
+/**
+ * OS Authenticators
+ * Pluggable unlock methods backed by the operating system: Touch ID on macOS,
+ * Windows Hello on Windows and a polkit check on Linux. Every authenticator has
+ * the same shape:
+ *   id, label
+ *   isAvailable() -> Promise<boolean>
+ *   authenticate(reason) -> Promise<{ success, cancelled?, error? }>
+ * The app passcode always remains available as a fallback.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { systemPreferences } = require('electron');
+
+// Give the user time to find their finger or PIN before giving up
+const PROMPT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Action declared in assets/linux/com.wlfryt.google-calendar.policy (auth_self)
+const POLKIT_ACTION_ID = 'com.wlfryt.google-calendar.unlock';
+const POLKIT_POLICY_FILE = 'com.wlfryt.google-calendar.policy';
+const POLKIT_ACTION_DIRECTORIES = ['/usr/share/polkit-1/actions', '/usr/local/share/polkit-1/actions'];
+
+/**
+ * Run a helper program - resolves with { code, stdout } and never rejects
+ */
+function runHelper(file, args, timeout = PROMPT_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout, windowsHide: true }, (error, stdout) => {
+      if (error && typeof error.code !== 'number') {
+        resolve({ code: -1, stdout: '', error: error.message });
+        return;
+      }
+      resolve({ code: error ? error.code : 0, stdout: String(stdout).trim() });
+    });
+  });
+}
+
+class TouchIdAuthenticator {
+  constructor() {
+    this.id = 'touch-id';
+    this.label = 'Touch ID';
+  }
+
+  async isAvailable() {
+    try {
+      return systemPreferences.canPromptTouchID();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async authenticate(reason) {
+    try {
+      await systemPreferences.promptTouchID(reason);
+      return { success: true };
+    } catch (error) {
+      // The prompt rejects both when cancelled and when the finger isn't recognised
+      return { success: false, error: 'Touch ID was cancelled or did not recognise you' };
+    }
+  }
+}
+
+/**
+ * Windows Hello through the WinRT UserConsentVerifier, called from PowerShell
+ * so no native module is needed
+ */
+class WindowsHelloAuthenticator {
+  constructor() {
+    this.id = 'windows-hello';
+    this.label = 'Windows Hello';
+  }
+
+  async isAvailable() {
+    const { stdout } = await this._run('[Windows.Security.Credentials.UI.UserConsentVerifier]::CheckAvailabilityAsync()', 'UserConsentVerifierAvailability', 15 * 1000);
+    return stdout === 'Available';
+  }
+
+  async authenticate(reason) {
+    const message = String(reason).replace(/'/g, "''");
+    const { stdout, error } = await this._run(`[Windows.Security.Credentials.UI.UserConsentVerifier]::RequestVerificationAsync('${message}')`, 'UserConsentVerificationResult');
+    if (stdout === 'Verified') {
+      return { success: true };
+    }
+    if (stdout === 'Canceled') {
+      return { success: false, cancelled: true, error: 'Windows Hello was cancelled' };
+    }
+    return { success: false, error: `Windows Hello failed (${stdout || error || 'no result'})` };
+  }
+
+  _run(operation, resultType, timeout) {
+    const script = [
+      'Add-Type -AssemblyName System.Runtime.WindowsRuntime',
+      '$null = [Windows.Security.Credentials.UI.UserConsentVerifier, Windows.Security.Credentials.UI, ContentType = WindowsRuntime]',
+      "$asTask = [System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object { $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation`1' } | Select-Object -First 1",
+      `$task = $asTask.MakeGenericMethod([Windows.Security.Credentials.UI.${resultType}]).Invoke($null, @(${operation}))`,
+      '$null = $task.Wait(-1)',
+      'Write-Output $task.Result'
+    ].join('\n');
+    const encoded = Buffer.from(script, 'utf16le').toString('base64');
+    return runHelper('powershell.exe', ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-EncodedCommand', encoded], timeout);
+  }
+}
+
+/**
+ * Linux: ask polkit to authenticate the user for the app's unlock action, which
+ * shows the desktop's own authentication dialog (backed by PAM)
+ * Requires pkcheck and the policy file from assets/linux to be installed
+ */
+class PolkitAuthenticator {
+  constructor() {
+    this.id = 'polkit';
+    this.label = 'system authentication';
+  }
+
+  async isAvailable() {
+    const policyInstalled = POLKIT_ACTION_DIRECTORIES.some(directory => fs.existsSync(path.join(directory, POLKIT_POLICY_FILE)));
+    if (!policyInstalled) {
+      return false;
+    }
+    const { code } = await runHelper('pkcheck', ['--version'], 5 * 1000);
+    return code === 0;
+  }
+
+  async authenticate() {
+    // Exit codes: 0 authorized, 1 not authorized, 2 challenge needed, 3 dismissed
+    const { code, error } = await runHelper('pkcheck', ['--action-id', POLKIT_ACTION_ID, '--process', String(process.pid), '--allow-user-interaction']);
+    if (code === 0) {
+      return { success: true };
+    }
+    if (code === 3) {
+      return { success: false, cancelled: true, error: 'Authentication was cancelled' };
+    }
+    return { success: false, error: error ? `Authentication failed (${error})` : 'Authentication failed' };
+  }
+}
+
+/**
+ * Test double with a scripted result - only used by unpackaged builds
+ * (set WGC_TEST_AUTHENTICATOR to "success", "failure", "cancel" or "unavailable")
+ */
+class TestAuthenticator {
+  constructor(result = 'success') {
+    this.id = 'test';
+    this.label = 'test authenticator';
+    this.result = result;
+    this.calls = [];
+  }
+
+  async isAvailable() {
+    return this.result !== 'unavailable';
+  }
+
+  async authenticate(reason) {
+    this.calls.push(reason);
+    if (this.result === 'success') {
+      return { success: true };
+    }
+    if (this.result === 'cancel') {
+      return { success: false, cancelled: true, error: 'Authentication was cancelled' };
+    }
+    return { success: false, error: 'Authentication failed' };
+  }
+}
+
+/**
+ * Authenticator for the current platform (null when the platform has none)
+ */
+function createAuthenticator({ platform = process.platform, allowTestDouble = false } = {}) {
+  if (allowTestDouble && process.env.WGC_TEST_AUTHENTICATOR) {
+    return new TestAuthenticator(process.env.WGC_TEST_AUTHENTICATOR);
+  }
+  if (platform === 'darwin') {
+    return new TouchIdAuthenticator();
+  }
+  if (platform === 'win32') {
+    return new WindowsHelloAuthenticator();
+  }
+  if (platform === 'linux') {
+    return new PolkitAuthenticator();
+  }
+  return null;
+}
+
+module.exports = {
+  createAuthenticator,
+  TouchIdAuthenticator,
+  WindowsHelloAuthenticator,
+  PolkitAuthenticator,
+  TestAuthenticator,
+  POLKIT_ACTION_ID
+};
@@ -0,0 +1,279 @@
+/**
+ * Automation Server
+ * Local-only JSON-RPC 2.0 endpoint (Unix domain socket, or a named pipe on Windows)
+ * for scripts, status bars and stream decks. One JSON message per line; every
+ * connection must first call `authenticate` with the token from the owner-only
+ * token file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { app } = require('electron');
+
+const TOKEN_FILE = 'automation-token';
+const SOCKET_FILE = 'automation.sock';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_CONNECTIONS = 8;
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// JSON-RPC 2.0 error codes (-32000 and up are this server's own)
+const ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  FAILED: -32000,
+  UNAUTHORIZED: -32001
+};
+
+class AutomationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AutomationError';
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+class AutomationServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.generateToken - () => new random token
+   * @param {Object} options.methods - method name -> async (params) => result; throw
+   *   AutomationError for a specific error code
+   * @param {Function} options.onEvent - (type, details) for the audit log
+   */
+  constructor({ generateToken, methods, onEvent }) {
+    this.generateToken = generateToken;
+    this.methods = methods;
+    this.onEvent = onEvent || (() => {});
+    this.server = null;
+    this.connections = new Set();
+    this.tokenHash = null;
+  }
+
+  /**
+   * Where clients connect - a per-user named pipe on Windows, a socket in the user data folder elsewhere
+   */
+  getSocketPath() {
+    if (process.platform === 'win32') {
+      return `\\\\.\\pipe\\wlfryt-google-calendar-${os.userInfo().username}`;
+    }
+    return path.join(app.getPath('userData'), SOCKET_FILE);
+  }
+
+  getTokenPath() {
+    return path.join(app.getPath('userData'), TOKEN_FILE);
+  }
+
+  isRunning() {
+    return Boolean(this.server && this.server.listening);
+  }
+
+  /**
+   * Start listening (no-op if already running)
+   */
+  async start() {
+    if (this.server) {
+      return;
+    }
+    this._loadToken();
+
+    const socketPath = this.getSocketPath();
+    // The single-instance lock means a socket left behind is from a crashed run
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+      fs.unlinkSync(socketPath);
+    }
+
+    const server = net.createServer(socket => this._handleConnection(socket));
+    server.maxConnections = MAX_CONNECTIONS;
+    this.server = server;
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+      if (process.platform !== 'win32') {
+        // Security: Only this user may connect
+        fs.chmodSync(socketPath, 0o600);
+      }
+      server.on('error', error => console.error('Automation server error:', error.message));
+    } catch (error) {
+      this.server = null;
+      server.close();
+      console.error('Failed to start the automation server:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop listening and drop every connection
+   */
+  stop() {
+    if (!this.server) {
+      return;
+    }
+    this.connections.forEach(socket => socket.destroy());
+    this.connections.clear();
+    this.server.close();
+    this.server = null;
+    if (process.platform !== 'win32') {
+      try {
+        fs.unlinkSync(this.getSocketPath());
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Replace the token - connected clients must authenticate again
+   */
+  regenerateToken() {
+    this._writeToken();
+    this.connections.forEach(socket => socket.destroy());
+    this.connections.clear();
+  }
+
+  /**
+   * Read the token file, creating it (owner-only) if it is missing or malformed
+   */
+  _loadToken() {
+    const tokenPath = this.getTokenPath();
+    try {
+      const token = fs.readFileSync(tokenPath, 'utf8').trim();
+      if (/^[0-9a-f]{64}$/.test(token)) {
+        if (process.platform !== 'win32' && (fs.statSync(tokenPath).mode & 0o077) !== 0) {
+          fs.chmodSync(tokenPath, 0o600);
+        }
+        this.tokenHash = hashToken(token);
+        return;
+      }
+    } catch (error) {
+      // Missing - created below
+    }
+    this._writeToken();
+  }
+
+  _writeToken() {
+    const tokenPath = this.getTokenPath();
+    const token = this.generateToken();
+    fs.writeFileSync(tokenPath, token + '\n', { mode: 0o600 });
+    // `mode` only applies when the file is created
+    fs.chmodSync(tokenPath, 0o600);
+    this.tokenHash = hashToken(token);
+  }
+
+  _handleConnection(socket) {
+    const state = { authenticated: false, buffer: '', queue: Promise.resolve() };
+    this.connections.add(socket);
+    socket.setEncoding('utf8');
+    socket.setTimeout(IDLE_TIMEOUT_MS, () => socket.destroy());
+    socket.on('close', () => this.connections.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    socket.on('data', (chunk) => {
+      state.buffer += chunk;
+      const lines = state.buffer.split('\n');
+      state.buffer = lines.pop();
+      if (Buffer.byteLength(state.buffer) > MAX_MESSAGE_BYTES) {
+        this._send(socket, { jsonrpc: '2.0', id: null, error: { code: ERRORS.INVALID_REQUEST, message: 'Message too large' } });
+        socket.end();
+        return;
+      }
+      // Answered in order, one at a time
+      for (const line of lines) {
+        if (line.trim()) {
+          state.queue = state.queue.then(() => this._handleMessage(socket, state, line));
+        }
+      }
+    });
+  }
+
+  async _handleMessage(socket, state, line) {
+    if (socket.destroyed) {
+      return;
+    }
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      this._send(socket, { jsonrpc: '2.0', id: null, error: { code: ERRORS.PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    const id = request && (typeof request.id === 'string' || typeof request.id === 'number') ? request.id : null;
+    const isNotification = Boolean(request) && !Object.prototype.hasOwnProperty.call(request, 'id');
+    const respond = (body) => {
+      if (!isNotification) {
+        this._send(socket, { jsonrpc: '2.0', id, ...body });
+      }
+    };
+
+    if (!request || typeof request !== 'object' || Array.isArray(request) || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      this._send(socket, { jsonrpc: '2.0', id, error: { code: ERRORS.INVALID_REQUEST, message: 'Invalid request' } });
+      return;
+    }
+    const params = request.params === undefined ? {} : request.params;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      respond({ error: { code: ERRORS.INVALID_PARAMS, message: 'params must be an object' } });
+      return;
+    }
+
+    if (request.method === 'authenticate') {
+      const valid = typeof params.token === 'string' && crypto.timingSafeEqual(hashToken(params.token), this.tokenHash);
+      if (!valid) {
+        // Security: A wrong token ends the connection
+        this.onEvent('automation-auth-failed', {});
+        this._send(socket, { jsonrpc: '2.0', id, error: { code: ERRORS.UNAUTHORIZED, message: 'Invalid token' } });
+        socket.end();
+        return;
+      }
+      state.authenticated = true;
+      respond({ result: { authenticated: true } });
+      return;
+    }
+
+    if (!state.authenticated) {
+      respond({ error: { code: ERRORS.UNAUTHORIZED, message: 'Call "authenticate" with the token first' } });
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.methods, request.method)) {
+      respond({ error: { code: ERRORS.METHOD_NOT_FOUND, message: `Unknown method "${request.method}"` } });
+      return;
+    }
+
+    try {
+      const result = await this.methods[request.method](params);
+      respond({ result: result === undefined ? null : result });
+    } catch (error) {
+      if (error instanceof AutomationError) {
+        respond({ error: { code: error.code, message: error.message } });
+      } else {
+        console.error(`Automation method ${request.method} failed:`, error);
+        respond({ error: { code: ERRORS.INTERNAL_ERROR, message: 'Internal error' } });
+      }
+    }
+  }
+
+  _send(socket, message) {
+    if (!socket.destroyed && socket.writable) {
+      socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+}
+
+AutomationServer.AutomationError = AutomationError;
+AutomationServer.ERRORS = ERRORS;
+
+module.exports = AutomationServer;
@@ -0,0 +1,297 @@
+/**
+ * Calendar Windows
+ * Additional calendar windows (e.g. month view on one monitor, week view on another)
+ * and the compact always-on-top "today" widget, all in the active profile's session.
+ * Which windows are open, with their bounds, is remembered per profile.
+ */
+
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { isValidBounds, fitToDisplays, watchWindowState } = require('./window-state');
+
+const CALENDAR_URL = 'https://calendar.google.com/calendar/r';
+const WIDGET_VIEWS = ['day', 'agenda'];
+const WIDGET_SIZE = { width: 360, height: 520 };
+// Chromium shares zoom between pages of the same host, so the widget is shrunk with
+// CSS instead of setZoomFactor (which would zoom every calendar window)
+const WIDGET_SCALE_CSS = 'html { zoom: 0.75 !important; }';
+const WINDOW_SIZE = { width: 1000, height: 700 };
+const CASCADE_OFFSET = 30;
+
+class CalendarWindows {
+  /**
+   * @param {Object} options
+   * @param {ProfileManager} options.profiles - window state is saved on the active profile
+   * @param {Function} options.createWebPreferences - (partition) => webPreferences for a calendar page
+   * @param {Function} options.setupWindow - (win) => apply the app's navigation and security handlers
+   * @param {Function} options.isLocked - () => whether the session is locked
+   * @param {Function} options.isQuitting - () => whether the app is quitting
+   * @param {Function} options.onChange - called when the widget opens or closes
+   */
+  constructor({ profiles, createWebPreferences, setupWindow, isLocked, isQuitting, onChange }) {
+    this.profiles = profiles;
+    this.createWebPreferences = createWebPreferences;
+    this.setupWindow = setupWindow;
+    this.isLocked = isLocked;
+    this.isQuitting = isQuitting;
+    this.onChange = onChange || (() => {});
+    this.windows = new Set();
+    this.widget = null;
+    // Windows hidden by the lock, shown again on unlock
+    this.concealed = new Set();
+    this.closingAll = false;
+    // Profile the open windows belong to (their state is saved there)
+    this.profileId = null;
+  }
+
+  /**
+   * Whether `win` is an additional calendar window (not the widget)
+   */
+  isCalendarWindow(win) {
+    return this.windows.has(win);
+  }
+
+  /**
+   * Whether `webContents` belongs to one of these windows or the widget
+   */
+  owns(webContents) {
+    return [...this.windows, this.widget].some(win => win && !win.isDestroyed() && win.webContents === webContents);
+  }
+
+  isWidgetOpen() {
+    return Boolean(this.widget);
+  }
+
+  getWidgetView() {
+    const { widget } = this.profiles.getActive();
+    return widget && WIDGET_VIEWS.includes(widget.view) ? widget.view : 'day';
+  }
+
+  /**
+   * Open another calendar window, cascaded from `near` (a BrowserWindow) if given
+   * Returns the window, or null while locked
+   */
+  openWindow(url = CALENDAR_URL, near = null) {
+    if (this.isLocked()) {
+      return null;
+    }
+    let bounds = WINDOW_SIZE;
+    if (near && !near.isDestroyed()) {
+      const reference = near.getNormalBounds();
+      bounds = { ...reference, x: reference.x + CASCADE_OFFSET, y: reference.y + CASCADE_OFFSET };
+    }
+    return this._createWindow(url, { bounds });
+  }
+
+  _createWindow(url, { bounds, maximized = false }) {
+    this._claimProfile();
+    const win = new BrowserWindow({
+      ...fitToDisplays(bounds),
+      minWidth: 600,
+      minHeight: 400,
+      title: 'WlfRyt Google Calendar',
+      icon: path.join(__dirname, '../assets/icon.png'),
+      webPreferences: this.createWebPreferences(this.profiles.getActive().partition),
+      show: false,
+      backgroundColor: '#ffffff'
+    });
+    this.windows.add(win);
+    if (maximized) {
+      win.maximize();
+    }
+    this.setupWindow(win);
+    this._showWhenReady(win);
+    watchWindowState(win, () => this._save());
+
+    win.on('close', () => {
+      // Still open when the app quits or the profile changes - reopened next time
+      if (!this.isQuitting() && !this.closingAll) {
+        this.windows.delete(win);
+        this._save();
+      }
+    });
+    win.on('closed', () => {
+      this.windows.delete(win);
+      this.concealed.delete(win);
+    });
+
+    win.loadURL(url);
+    this._save();
+    return win;
+  }
+
+  /**
+   * Show or close the today widget
+   */
+  toggleWidget() {
+    if (this.widget) {
+      this.widget.close();
+    } else if (!this.isLocked()) {
+      this._createWidget();
+    }
+  }
+
+  _createWidget() {
+    this._claimProfile();
+    const saved = this.profiles.getActive().widget || {};
+    const win = new BrowserWindow({
+      ...fitToDisplays(isValidBounds(saved.bounds) ? saved.bounds : WIDGET_SIZE),
+      minWidth: 260,
+      minHeight: 300,
+      title: 'Today',
+      icon: path.join(__dirname, '../assets/icon.png'),
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      webPreferences: this.createWebPreferences(this.profiles.getActive().partition),
+      show: false,
+      backgroundColor: '#ffffff'
+    });
+    win.removeMenu();
+    this.widget = win;
+    this.setupWindow(win);
+    this._showWhenReady(win);
+    watchWindowState(win, () => this._saveWidget({ bounds: win.getBounds() }));
+
+    win.webContents.on('did-finish-load', () => {
+      win.webContents.insertCSS(WIDGET_SCALE_CSS, { cssOrigin: 'user' });
+    });
+    win.on('close', () => {
+      if (!this.isQuitting() && !this.closingAll) {
+        this._saveWidget({ open: false, bounds: win.getBounds() });
+      }
+    });
+    win.on('closed', () => {
+      if (this.widget === win) {
+        this.widget = null;
+      }
+      this.concealed.delete(win);
+      this.onChange();
+    });
+
+    win.loadURL(`${CALENDAR_URL}/${this.getWidgetView()}`);
+    this._saveWidget({ open: true });
+    this.onChange();
+  }
+
+  /**
+   * Switch the widget between the day and agenda views
+   */
+  setWidgetView(view) {
+    if (!WIDGET_VIEWS.includes(view)) {
+      return;
+    }
+    this._saveWidget({ view });
+    if (this.widget) {
+      this.widget.loadURL(`${CALENDAR_URL}/${view}`);
+    }
+    this.onChange();
+  }
+
+  /**
+   * Reopen the active profile's saved windows and widget (hidden until unlock if locked)
+   */
+  restore() {
+    const profile = this.profiles.getActive();
+    for (const state of profile.calendarWindows || []) {
+      const url = typeof state.url === 'string' && state.url.startsWith(CALENDAR_URL) ? state.url : CALENDAR_URL;
+      this._createWindow(url, { bounds: isValidBounds(state.bounds) ? state.bounds : WINDOW_SIZE, maximized: state.maximized === true });
+    }
+    if (profile.widget && profile.widget.open && !this.widget) {
+      this._createWidget();
+    }
+  }
+
+  /**
+   * Close every window, keeping them saved for the profile (before a profile switch)
+   */
+  closeAll() {
+    this.saveState();
+    this.closingAll = true;
+    [...this.windows, this.widget].filter(Boolean).forEach(win => win.destroy());
+    this.windows.clear();
+    this.widget = null;
+    this.concealed.clear();
+    this.closingAll = false;
+    this.profileId = null;
+    this.onChange();
+  }
+
+  /**
+   * Save the open windows with their current bounds (before quitting)
+   */
+  saveState() {
+    if (!this.profileId) {
+      return;
+    }
+    this._save();
+    if (this.widget && !this.widget.isDestroyed()) {
+      this._saveWidget({ open: true, bounds: this.widget.getBounds() });
+    }
+  }
+
+  /**
+   * Security: Hide every window while the session is locked
+   */
+  conceal() {
+    for (const win of [...this.windows, this.widget]) {
+      if (win && !win.isDestroyed() && win.isVisible()) {
+        this.concealed.add(win);
+        win.hide();
+      }
+    }
+  }
+
+  reveal() {
+    for (const win of this.concealed) {
+      if (!win.isDestroyed()) {
+        win.showInactive();
+      }
+    }
+    this.concealed.clear();
+  }
+
+  // Show once loaded - or keep hidden (and shown on unlock) while locked
+  _showWhenReady(win) {
+    win.once('ready-to-show', () => {
+      if (this.isLocked()) {
+        this.concealed.add(win);
+      } else {
+        win.show();
+      }
+    });
+  }
+
+  // The first window opened decides the profile - the rest use the same session
+  _claimProfile() {
+    if (this.windows.size === 0 && !this.widget) {
+      this.profileId = this.profiles.getActive().id;
+    }
+  }
+
+  _save() {
+    if (!this.profileId) {
+      return;
+    }
+    const calendarWindows = [...this.windows].filter(win => !win.isDestroyed()).map((win) => {
+      const url = win.webContents.getURL();
+      return {
+        url: url.startsWith(CALENDAR_URL) ? url : CALENDAR_URL,
+        bounds: win.isMaximized() ? win.getNormalBounds() : win.getBounds(),
+        maximized: win.isMaximized()
+      };
+    });
+    this.profiles.update(this.profileId, { calendarWindows });
+  }
+
+  _saveWidget(changes) {
+    const profile = this.profiles.get(this.profileId) || this.profiles.getActive();
+    this.profiles.update(profile.id, { widget: { ...(profile.widget || {}), ...changes } });
+  }
+}
+
+CalendarWindows.WIDGET_VIEWS = WIDGET_VIEWS;
+
+module.exports = CalendarWindows;
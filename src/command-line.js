@@ -0,0 +1,230 @@
+/**
+ * Command Line
+ * Parses and validates the app's own command-line options, so scripts and launchers
+ * can drive the running instance (a second launch forwards its options to it).
+ * Other switches are left to Electron/Chromium.
+ */
+
+const { buildEventEditUrl } = require('./quick-add');
+
+const CALENDAR_URL = 'https://calendar.google.com/calendar/r';
+const VIEWS = ['day', 'week', 'month', 'year', 'agenda'];
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 14 * 24 * 60;
+
+// Option name -> whether it takes a value ("--name=value") or is a flag ("--name")
+const OPTIONS = {
+  help: 'flag',
+  hidden: 'flag',
+  view: 'value',
+  date: 'value',
+  'new-event': 'flag',
+  title: 'value',
+  start: 'value',
+  end: 'value',
+  duration: 'value',
+  location: 'value',
+  lock: 'flag',
+  quit: 'flag',
+  profile: 'value'
+};
+const EVENT_OPTIONS = ['title', 'start', 'end', 'duration', 'location'];
+
+const USAGE = `Usage: wlfryt-google-calendar [options] [file.ics | webcal://…]
+
+Options are sent to the running instance if there is one.
+
+  --view=VIEW             Show the day, week, month, year or agenda view
+  --date=YYYY-MM-DD       Go to a date (in the chosen view, or the day view)
+  --new-event             Open the event editor, prefilled with:
+      --title=TEXT
+      --start=YYYY-MM-DD[THH:MM]   a date alone makes an all-day event
+      --end=YYYY-MM-DD[THH:MM]     or
+      --duration=MINUTES           e.g. 90, 45m, 1h or 1h30m (default 1h)
+      --location=TEXT
+  --profile=NAME          Switch to a profile (by name or id)
+  --lock                  Lock the session
+  --quit                  Quit the running instance
+  --hidden                Start hidden in the tray (with Start Minimized)
+  --help                  Show this help
+
+Exit codes: 0 on success, 2 if an option is invalid.`;
+
+/**
+ * Local date (and time) from "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"
+ * Returns { date, allDay } or null if it isn't a real date/time
+ */
+function parseDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute] = match.slice(1).map(part => (part === undefined ? 0 : Number(part)));
+  const date = new Date(year, month - 1, day, hour, minute);
+  const valid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day &&
+    date.getHours() === hour && date.getMinutes() === minute;
+  return valid ? { date, allDay: match[4] === undefined } : null;
+}
+
+/**
+ * Minutes from "90", "45m", "1h" or "1h30m" - null if invalid
+ */
+function parseDuration(value) {
+  const match = /^(?:(\d+)|(?:(\d+)h)?(?:(\d+)m)?)$/i.exec(value);
+  if (!match || value === '') {
+    return null;
+  }
+  const minutes = match[1] !== undefined ? Number(match[1]) : Number(match[2] || 0) * 60 + Number(match[3] || 0);
+  return minutes > 0 && minutes <= MAX_DURATION_MINUTES ? minutes : null;
+}
+
+/**
+ * This app's options from an argv array (anything else is ignored)
+ * Returns [{ name, value, arg }] - value is null for "--name" without "="
+ */
+function extractOptions(argv) {
+  const options = [];
+  for (const arg of argv.slice(1)) {
+    const match = /^--([a-z-]+)(?:=([\s\S]*))?$/.exec(arg);
+    if (match && Object.prototype.hasOwnProperty.call(OPTIONS, match[1])) {
+      options.push({ name: match[1], value: match[2] === undefined ? null : match[2], arg });
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse and validate the command line
+ * Returns { command, args, errors } - `args` are the app's own arguments, to forward to
+ * the running instance; `command` is only meaningful when there are no errors
+ */
+function parseCommandLine(argv) {
+  const options = extractOptions(argv);
+  const errors = [];
+  const values = {};
+
+  for (const { name, value } of options) {
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      errors.push(`--${name} is given more than once`);
+    } else if (OPTIONS[name] === 'flag' && value !== null) {
+      errors.push(`--${name} does not take a value`);
+    } else if (OPTIONS[name] === 'value' && (value === null || value.trim() === '')) {
+      errors.push(`--${name} needs a value (--${name}=…)`);
+    }
+    values[name] = OPTIONS[name] === 'flag' ? true : String(value || '').trim();
+  }
+
+  const { command, errors: commandErrors } = buildCommand(values);
+  errors.push(...commandErrors);
+  if (command.quit && options.some(({ name }) => name !== 'quit')) {
+    errors.push('--quit can\'t be combined with other options');
+  }
+
+  return { command, args: options.map(({ arg }) => arg), errors };
+}
+
+/**
+ * Validate option values (option name -> string, or true for flags) into a command
+ * Also used by the automation API, so the same values are accepted both ways
+ * Returns { command, errors }
+ */
+function buildCommand(values) {
+  const errors = [];
+  const command = {
+    help: Boolean(values.help),
+    hidden: Boolean(values.hidden),
+    view: null,
+    date: null,
+    newEvent: null,
+    profile: values.profile || null,
+    lock: Boolean(values.lock),
+    quit: Boolean(values.quit)
+  };
+
+  if (values.view) {
+    command.view = values.view.toLowerCase();
+    if (!VIEWS.includes(command.view)) {
+      errors.push(`--view must be one of ${VIEWS.join(', ')}`);
+    }
+  }
+
+  if (values.date) {
+    const parsed = parseDateTime(values.date);
+    if (!parsed || !parsed.allDay) {
+      errors.push('--date must be a date like 2026-11-03');
+    } else {
+      command.date = parsed.date;
+    }
+  }
+
+  const eventOptions = EVENT_OPTIONS.filter(name => values[name] !== undefined);
+  if (!values['new-event'] && eventOptions.length > 0) {
+    errors.push(`${eventOptions.map(name => `--${name}`).join(', ')} can only be used with --new-event`);
+  }
+  if (values['new-event']) {
+    command.newEvent = { title: values.title || '', location: values.location || '', start: null, end: null, allDay: false };
+    const start = values.start ? parseDateTime(values.start) : null;
+    if (values.start && !start) {
+      errors.push('--start must be a date or date and time like 2026-11-03 or 2026-11-03T14:00');
+    }
+    if (!values.start && (values.end || values.duration)) {
+      errors.push('--end and --duration need --start');
+    }
+    if (values.end && values.duration) {
+      errors.push('Use either --end or --duration, not both');
+    }
+
+    if (start) {
+      command.newEvent.start = start.date;
+      command.newEvent.allDay = start.allDay;
+      if (values.end) {
+        const end = parseDateTime(values.end);
+        if (!end || end.allDay !== start.allDay) {
+          errors.push(`--end must be a ${start.allDay ? 'date' : 'date and time'} like --start`);
+        } else if (end.date < start.date) {
+          errors.push('--end must not be before --start');
+        } else {
+          // All-day end dates are inclusive on the command line, exclusive in the calendar
+          command.newEvent.end = start.allDay ? new Date(end.date.getFullYear(), end.date.getMonth(), end.date.getDate() + 1) : end.date;
+        }
+      } else if (values.duration) {
+        const minutes = parseDuration(values.duration);
+        if (minutes === null || start.allDay) {
+          errors.push(start.allDay ? '--duration needs a start time' : '--duration must be minutes (90) or hours and minutes (1h30m)');
+        } else {
+          command.newEvent.end = new Date(start.date.getTime() + minutes * 60 * 1000);
+        }
+      } else {
+        const { date } = start;
+        command.newEvent.end = start.allDay
+          ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+          : new Date(date.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+      }
+    }
+  }
+
+  return { command, errors };
+}
+
+/**
+ * Whether the command asks the app to do something (beyond starting)
+ */
+function hasActions(command) {
+  return Boolean(command.view || command.date || command.newEvent || command.profile || command.lock || command.quit);
+}
+
+/**
+ * Calendar URL for the command's view, date or new event - null if none was asked for
+ */
+function getCommandUrl(command) {
+  if (command.newEvent) {
+    return buildEventEditUrl(command.newEvent);
+  }
+  if (command.date) {
+    const { date } = command;
+    return `${CALENDAR_URL}/${command.view || 'day'}/${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
+  }
+  return command.view ? `${CALENDAR_URL}/${command.view}` : null;
+}
+
+module.exports = { parseCommandLine, buildCommand, hasActions, getCommandUrl, USAGE };
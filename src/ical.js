@@ -0,0 +1,538 @@
+/**
+ * iCalendar Parser
+ * Minimal RFC 5545 / vCalendar 1.0 parser for previewing .ics/.vcs files and webcal feeds
+ */
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on recurrence periods walked, so a bad rule can't spin forever
+const MAX_RECURRENCE_PERIODS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ICalParseError extends Error {
+  constructor(message, lineNumber = null) {
+    super(lineNumber ? `${message} (line ${lineNumber})` : message);
+    this.name = 'ICalParseError';
+    this.lineNumber = lineNumber;
+  }
+}
+
+/**
+ * Join folded lines (continuation lines start with a space or tab)
+ * Returns [{ text, lineNumber }]
+ */
+function unfoldLines(text) {
+  const lines = [];
+  text.split(/\r\n|\n|\r/).forEach((raw, index) => {
+    if ((raw.startsWith(' ') || raw.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1].text += raw.slice(1);
+    } else if (raw.trim() !== '') {
+      lines.push({ text: raw, lineNumber: index + 1 });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Split a content line into name, parameters and value
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.text.length; i++) {
+    const char = line.text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) {
+    throw new ICalParseError(`Malformed line "${line.text.slice(0, 40)}"`, line.lineNumber);
+  }
+
+  const [name, ...rawParams] = line.text.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.text.slice(colon + 1) };
+}
+
+/**
+ * Unescape TEXT values (\n, \, \; \\)
+ */
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Intl formatters are slow to create - keep one per time zone
+const timeZoneFormatters = new Map();
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+function getTimeZoneOffset(timeZone, date) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  const parts = timeZoneFormatters.get(timeZone).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - date.getTime();
+}
+
+/**
+ * Convert wall-clock time in a named time zone to a Date
+ * Unknown zones fall back to local time
+ */
+function zonedTimeToDate(fields, timeZone) {
+  const { year, month, day, hours, minutes, seconds } = fields;
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+  try {
+    const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    // Two passes settle the offset across DST transitions
+    let result = guess - getTimeZoneOffset(timeZone, new Date(guess));
+    result = guess - getTimeZoneOffset(timeZone, new Date(result));
+    return new Date(result);
+  } catch (error) {
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * Returns { date, allDay, timeZone, fields } - fields is the wall-clock time as written
+ */
+function parseDateValue(value, params = {}, lineNumber = null) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw new ICalParseError(`Invalid date "${value}"`, lineNumber);
+  }
+
+  const fields = {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hours: Number(match[4] || 0),
+    minutes: Number(match[5] || 0),
+    seconds: Number(match[6] || 0)
+  };
+  // Day checked against the month's length, so 20260231 isn't rolled over into March
+  const daysInMonth = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate();
+  if (fields.month < 1 || fields.month > 12 || fields.day < 1 || fields.day > daysInMonth || fields.hours > 23 || fields.minutes > 59) {
+    throw new ICalParseError(`Invalid date "${value}"`, lineNumber);
+  }
+
+  const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+  if (allDay) {
+    return { date: new Date(fields.year, fields.month - 1, fields.day), allDay: true, timeZone: null, fields };
+  }
+  if (match[7] === 'Z') {
+    const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hours, fields.minutes, fields.seconds));
+    return { date, allDay: false, timeZone: 'UTC', fields };
+  }
+  const timeZone = params.TZID || null;
+  return { date: zonedTimeToDate(fields, timeZone), allDay: false, timeZone, fields };
+}
+
+/**
+ * Parse an RRULE value (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH)
+ */
+function parseRRule(value) {
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+  const toNumbers = (raw) => raw.split(',').map(Number).filter(number => Number.isInteger(number) && number !== 0);
+
+  for (const part of value.split(';')) {
+    const [key, raw = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = raw.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(raw, 10) || 1);
+        break;
+      case 'COUNT':
+        rule.count = Math.max(0, parseInt(raw, 10) || 0);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateValue(raw).date;
+        break;
+      case 'BYDAY':
+        rule.byDay = raw.split(',').map((day) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(day.trim());
+          if (!match) {
+            throw new ICalParseError(`Invalid BYDAY "${day}"`);
+          }
+          return { n: match[1] ? parseInt(match[1], 10) : 0, day: WEEKDAYS.indexOf(match[2].toUpperCase()) };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = toNumbers(raw);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = toNumbers(raw);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new ICalParseError(`Unsupported recurrence "${value}"`);
+  }
+  return rule;
+}
+
+/**
+ * Days of a month selected by BYMONTHDAY / BYDAY (or the start day)
+ */
+function getMonthDays(year, month, rule, defaultDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+  } else if (rule.byDay.length > 0) {
+    days = [];
+    for (const { n, day } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= daysInMonth; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === day) {
+          matching.push(d);
+        }
+      }
+      if (n === 0) {
+        days.push(...matching);
+      } else {
+        // 2MO = second Monday, -1FR = last Friday
+        const pick = n > 0 ? matching[n - 1] : matching[matching.length + n];
+        if (pick) {
+          days.push(pick);
+        }
+      }
+    }
+  } else {
+    days = [defaultDay];
+  }
+
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Candidate dates ([year, monthIndex, day]) for one recurrence period, in order
+ */
+function getPeriodDates(rule, start, period) {
+  const step = period * rule.interval;
+  const toParts = (utc) => {
+    const date = new Date(utc);
+    return [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+  };
+  const inMonths = ([, month]) => rule.byMonth.length === 0 || rule.byMonth.includes(month + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const parts = toParts(Date.UTC(start.year, start.month - 1, start.day + step));
+      const weekday = new Date(Date.UTC(...parts)).getUTCDay();
+      const matchesDay = rule.byDay.length === 0 || rule.byDay.some(byDay => byDay.day === weekday);
+      const matchesMonthDay = rule.byMonthDay.length === 0 || rule.byMonthDay.includes(parts[2]);
+      return inMonths(parts) && matchesDay && matchesMonthDay ? [parts] : [];
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday (the RFC 5545 default WKST)
+      const startWeekday = (new Date(Date.UTC(start.year, start.month - 1, start.day)).getUTCDay() + 6) % 7;
+      const weekStart = start.day - startWeekday + step * 7;
+      const offsets = rule.byDay.length > 0
+        ? [...new Set(rule.byDay.map(byDay => (byDay.day + 6) % 7))].sort((a, b) => a - b)
+        : [startWeekday];
+      return offsets
+        .map(offset => toParts(Date.UTC(start.year, start.month - 1, weekStart + offset)))
+        .filter(inMonths);
+    }
+    case 'MONTHLY': {
+      const [year, month] = toParts(Date.UTC(start.year, start.month - 1 + step, 1));
+      if (!inMonths([year, month])) {
+        return [];
+      }
+      return getMonthDays(year, month, rule, start.day).map(day => [year, month, day]);
+    }
+    case 'YEARLY': {
+      const year = start.year + step;
+      const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [start.month];
+      return months.flatMap(month => getMonthDays(year, month - 1, rule, start.day).map(day => [year, month - 1, day]));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * First recurrence period that can have an occurrence at or after `target`
+ * An estimate that errs early (by up to a period, plus two days for time zones),
+ * so long-running rules don't walk every period since DTSTART
+ */
+function getFirstPeriod(rule, start, eventStart, target) {
+  const from = new Date(target.getTime() - 2 * DAY_MS);
+  if (from <= eventStart) {
+    return 0;
+  }
+  const days = Math.floor((from.getTime() - Date.UTC(start.year, start.month - 1, start.day)) / DAY_MS);
+  let periods;
+  switch (rule.freq) {
+    case 'DAILY':
+      periods = Math.floor(days / rule.interval);
+      break;
+    case 'WEEKLY':
+      periods = Math.floor(days / 7 / rule.interval);
+      break;
+    case 'MONTHLY':
+      periods = Math.floor(((from.getUTCFullYear() - start.year) * 12 + from.getUTCMonth() + 1 - start.month) / rule.interval);
+      break;
+    case 'YEARLY':
+      periods = Math.floor((from.getUTCFullYear() - start.year) / rule.interval);
+      break;
+    default:
+      periods = 0;
+  }
+  return Math.max(periods - 1, 0);
+}
+
+/**
+ * Expand an event (and its RRULE/EXDATEs) into occurrences overlapping [rangeStart, rangeEnd)
+ * Occurrences keep the event's wall-clock time in its own time zone across DST changes
+ */
+function expandOccurrences(event, rangeStart, rangeEnd, maxOccurrences = 500) {
+  const duration = event.end.getTime() - event.start.getTime();
+  const overlaps = start => start < rangeEnd && (start.getTime() + duration > rangeStart.getTime() || start >= rangeStart);
+
+  let rule = null;
+  if (event.rrule && event.startFields) {
+    try {
+      rule = parseRRule(event.rrule);
+    } catch (error) {
+      // Unsupported rules still show the first occurrence
+      rule = null;
+    }
+  }
+  if (!rule) {
+    return overlaps(event.start) ? [event] : [];
+  }
+
+  const fields = event.startFields;
+  const toInstant = ([year, month, day]) => {
+    if (event.allDay) {
+      return new Date(year, month, day);
+    }
+    const wallClock = { year, month: month + 1, day, hours: fields.hours, minutes: fields.minutes, seconds: fields.seconds };
+    if (event.timeZone === 'UTC') {
+      return new Date(Date.UTC(year, month, day, fields.hours, fields.minutes, fields.seconds));
+    }
+    return zonedTimeToDate(wallClock, event.timeZone);
+  };
+
+  const excluded = new Set(event.exdates.map(date => date.getTime()));
+  const occurrences = [];
+  let count = 0;
+
+  // COUNT needs every earlier occurrence counted; otherwise skip ahead to the range
+  const firstPeriod = rule.count ? 0 : getFirstPeriod(rule, fields, event.start, new Date(rangeStart.getTime() - duration));
+  for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS; period++) {
+    for (const parts of getPeriodDates(rule, fields, period)) {
+      const start = toInstant(parts);
+      if (start < event.start) {
+        continue;
+      }
+      if ((rule.until && start > rule.until) || start >= rangeEnd) {
+        return occurrences;
+      }
+      count++;
+      if (rule.count && count > rule.count) {
+        return occurrences;
+      }
+      if (!excluded.has(start.getTime()) && overlaps(start)) {
+        occurrences.push({ ...event, start, end: new Date(start.getTime() + duration) });
+        if (occurrences.length >= maxOccurrences) {
+          return occurrences;
+        }
+      }
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Expand all events of a calendar into sorted occurrences within a range
+ * Modified instances (RECURRENCE-ID) replace the occurrence they override; cancelled events are skipped
+ */
+function getOccurrences(events, rangeStart, rangeEnd) {
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId)
+    .map(event => `${event.uid}:${event.recurrenceId.getTime()}`));
+
+  return events
+    .filter(event => event.status !== 'CANCELLED')
+    .flatMap((event) => {
+      const occurrences = expandOccurrences(event, rangeStart, rangeEnd);
+      if (event.recurrenceId) {
+        return occurrences;
+      }
+      return occurrences.filter(occurrence => !overridden.has(`${event.uid}:${occurrence.start.getTime()}`));
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse an iCalendar document
+ * Returns { name, events: [{ uid, summary, description, location, status, start, end, allDay, timeZone, rrule, exdates, recurrenceId }] }
+ * Throws ICalParseError for malformed input
+ */
+function parseICal(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ICalParseError('The calendar file is empty');
+  }
+  if (Buffer.byteLength(text, 'utf8') > MAX_CALENDAR_BYTES) {
+    throw new ICalParseError('The calendar file is too large');
+  }
+
+  const lines = unfoldLines(text.replace(/^\uFEFF/, ''));
+  const first = parseContentLine(lines[0]);
+  if (first.name !== 'BEGIN' || first.value.toUpperCase() !== 'VCALENDAR') {
+    throw new ICalParseError('Not a calendar file (missing BEGIN:VCALENDAR)', lines[0].lineNumber);
+  }
+
+  const calendar = { name: '', events: [] };
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = {
+          uid: '',
+          summary: '',
+          description: '',
+          location: '',
+          status: '',
+          start: null,
+          startFields: null,
+          end: null,
+          allDay: false,
+          timeZone: null,
+          rrule: null,
+          exdates: [],
+          recurrenceId: null,
+          lineNumber: line.lineNumber
+        };
+      }
+      continue;
+    }
+
+    if (name === 'END') {
+      const open = stack.pop();
+      if (open !== value.toUpperCase()) {
+        throw new ICalParseError(`Unexpected END:${value} (expected END:${open || 'nothing'})`, line.lineNumber);
+      }
+      if (open === 'VEVENT') {
+        if (!event.start) {
+          throw new ICalParseError('Event is missing DTSTART', event.lineNumber);
+        }
+        if (!event.end) {
+          // All-day events default to one day, timed events to zero length
+          event.end = event.allDay
+            ? new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + 1)
+            : new Date(event.start.getTime());
+        }
+        delete event.lineNumber;
+        calendar.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VCALENDAR' && name === 'X-WR-CALNAME') {
+      calendar.name = unescapeText(value);
+    } else if (component === 'VEVENT' && event) {
+      switch (name) {
+        case 'UID':
+          event.uid = value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(value);
+          break;
+        case 'DESCRIPTION':
+          event.description = unescapeText(value);
+          break;
+        case 'LOCATION':
+          event.location = unescapeText(value);
+          break;
+        case 'DTSTART': {
+          const parsed = parseDateValue(value, params, line.lineNumber);
+          event.start = parsed.date;
+          event.startFields = parsed.fields;
+          event.allDay = parsed.allDay;
+          event.timeZone = parsed.timeZone;
+          break;
+        }
+        case 'STATUS':
+          event.status = value.toUpperCase();
+          break;
+        case 'RECURRENCE-ID':
+          event.recurrenceId = parseDateValue(value, params, line.lineNumber).date;
+          break;
+        case 'DTEND':
+          event.end = parseDateValue(value, params, line.lineNumber).date;
+          break;
+        case 'RRULE':
+          event.rrule = value;
+          break;
+        case 'EXDATE':
+          for (const part of value.split(',')) {
+            event.exdates.push(parseDateValue(part, params, line.lineNumber).date);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new ICalParseError(`Missing END:${stack[stack.length - 1]}`);
+  }
+
+  return calendar;
+}
+
+module.exports = {
+  ICalParseError,
+  parseICal,
+  parseDateValue,
+  parseRRule,
+  zonedTimeToDate,
+  expandOccurrences,
+  getOccurrences,
+  MAX_CALENDAR_BYTES
+};
@@ -0,0 +1,9 @@
+/**
+ * Public half of the key that signs the integrity manifest (Ed25519, SPKI PEM)
+ * Generate a key pair with `npm run integrity:keygen -- <private key path>`, which
+ * rewrites this file. Keep the private key out of the repository.
+ */
+
+const INTEGRITY_PUBLIC_KEY = null;
+
+module.exports = { INTEGRITY_PUBLIC_KEY };
@@ -0,0 +1,136 @@
+/**
+ * App Integrity Manifest
+ * SHA-256 hashes of every file in src/ and assets/, generated at build time and
+ * signed with Ed25519. The app verifies the signature with the embedded public key
+ * and checks that no covered file was changed, removed or added.
+ * Also used by scripts/generate-integrity-manifest.js, so it must not require electron.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE_NAME = 'integrity-manifest.json';
+const MANIFEST_VERSION = 1;
+const COVERED_DIRECTORIES = ['src', 'assets'];
+
+/**
+ * All files under the covered directories, as sorted forward-slash relative paths
+ */
+function listCoveredFiles(root) {
+  const files = [];
+  const walk = (relative) => {
+    const absolute = path.join(root, relative);
+    if (!fs.existsSync(absolute)) {
+      return;
+    }
+    for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+      const child = path.posix.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        walk(child);
+      } else {
+        files.push(child);
+      }
+    }
+  };
+  COVERED_DIRECTORIES.forEach(directory => walk(directory));
+  return files.sort();
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Build the manifest for the files under `root`
+ */
+function createManifest(root, appVersion) {
+  const files = {};
+  for (const file of listCoveredFiles(root)) {
+    files[file] = hashFile(path.join(root, file));
+  }
+  return {
+    version: MANIFEST_VERSION,
+    appVersion,
+    generatedAt: new Date().toISOString(),
+    algorithm: 'sha256',
+    files
+  };
+}
+
+/**
+ * Sign a manifest - the signature covers the exact payload bytes
+ */
+function signManifest(manifest, privateKey) {
+  const payload = Buffer.from(JSON.stringify(manifest), 'utf8');
+  return {
+    payload: payload.toString('base64'),
+    signature: crypto.sign(null, payload, privateKey).toString('base64')
+  };
+}
+
+/**
+ * Verify the signed manifest and every covered file under `root`
+ * Returns { status: 'verified' | 'failed' | 'development', appVersion, manifestHash, problems }
+ * Without `required`, a missing manifest means a development checkout rather than tampering
+ */
+function verifyManifest(root, publicKey, { required = true } = {}) {
+  const manifestPath = path.join(root, MANIFEST_FILE_NAME);
+  if (!fs.existsSync(manifestPath)) {
+    return required
+      ? { status: 'failed', appVersion: null, manifestHash: null, problems: ['The integrity manifest is missing'] }
+      : { status: 'development', appVersion: null, manifestHash: null, problems: [] };
+  }
+  const failed = problems => ({ status: 'failed', appVersion: null, manifestHash: null, problems });
+
+  if (!publicKey) {
+    return failed(['This build has no integrity public key embedded']);
+  }
+
+  let signed;
+  let manifest;
+  try {
+    signed = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const payload = Buffer.from(String(signed.payload), 'base64');
+    if (!crypto.verify(null, payload, publicKey, Buffer.from(String(signed.signature), 'base64'))) {
+      return failed(['The integrity manifest signature is invalid']);
+    }
+    manifest = JSON.parse(payload.toString('utf8'));
+  } catch (error) {
+    return failed([`The integrity manifest could not be read: ${error.message}`]);
+  }
+  if (manifest.version !== MANIFEST_VERSION || manifest.algorithm !== 'sha256' || !manifest.files) {
+    return failed(['The integrity manifest format is not supported']);
+  }
+
+  const problems = [];
+  const expected = new Set(Object.keys(manifest.files));
+  for (const [file, hash] of Object.entries(manifest.files)) {
+    const filePath = path.join(root, file);
+    if (!fs.existsSync(filePath)) {
+      problems.push(`Missing file: ${file}`);
+    } else if (hashFile(filePath) !== hash) {
+      problems.push(`Modified file: ${file}`);
+    }
+  }
+  for (const file of listCoveredFiles(root)) {
+    if (!expected.has(file)) {
+      problems.push(`Unexpected file: ${file}`);
+    }
+  }
+
+  return {
+    status: problems.length === 0 ? 'verified' : 'failed',
+    appVersion: manifest.appVersion,
+    manifestHash: crypto.createHash('sha256').update(String(signed.payload)).digest('hex'),
+    problems
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE_NAME,
+  listCoveredFiles,
+  createManifest,
+  signManifest,
+  verifyManifest
+};
@@ -1,11 +1,46 @@
-const { app, BrowserWindow, session, Menu, shell, dialog, ipcMain, powerMonitor, Tray, nativeImage } = require('electron');
+const { app, BrowserWindow, session, Menu, shell, dialog, ipcMain, powerMonitor, Tray, nativeImage, net, Notification, globalShortcut, screen } = require('electron');
 const path = require('path');
-const Store = require('electron-store');
+const fs = require('fs');
+const { openAppStore } = require('./app-store');
 const SessionProtection = require('./session-protection');
+const ProfileManager = require('./profiles');
+const { promptText } = require('./prompt-window');
+const NotificationCenter = require('./notification-center');
+const { parseICal, MAX_CALENDAR_BYTES } = require('./ical');
+const RequestBlocker = require('./request-blocker');
+const NavigationPolicy = require('./navigation-policy');
+const ManagedPolicy = require('./managed-policy');
+const AgendaService = require('./agenda');
+const SettingsWindow = require('./settings-window');
+const SecureClipboard = require('./secure-clipboard');
+const OfflineSnapshot = require('./offline-snapshot');
+const TrustedCertificates = require('./trusted-certificates');
+const { buildProxyConfig } = require('./proxy-config');
+const GlobalShortcuts = require('./shortcuts');
+const QuickAddWindow = require('./quick-add-window');
+const { buildEventEditUrl } = require('./quick-add');
+const { parseCommandLine, buildCommand, hasActions, getCommandUrl, USAGE } = require('./command-line');
+const AutomationServer = require('./automation-server');
+const CalendarWindows = require('./calendar-windows');
+const { getDisplayConfiguration, fitToDisplays, selectWindowState, captureWindowState, rememberWindowState, watchWindowState } = require('./window-state');
+const { SETTINGS_FIELDS, getDefaultSettings, validateSettings } = require('./settings-schema');
+const { createBundle, openBundle, BUNDLE_EXTENSION, MAX_BUNDLE_BYTES, MIN_PASSWORD_LENGTH } = require('./settings-bundle');
 const AutoLaunch = require('auto-launch');
 
-// Initialize session protection
-const sessionProtection = new SessionProtection();
+// Initialize session protection (every lock and unlock is reflected in the UI by applyLockState)
+const sessionProtection = new SessionProtection({
+  onLockStateChanged: isLocked => applyLockState(isLocked),
+  onIdleWarning: secondsLeft => showIdleWarning(secondsLeft)
+});
+
+// Security: Plain-text, auto-clearing copies from the calendar
+const secureClipboard = new SecureClipboard(() => ({
+  enabled: sessionProtection.settings.secureClipboard,
+  clearAfterSeconds: sessionProtection.settings.clipboardClearSeconds
+}));
+
+// Encrypted copy of the upcoming agenda, shown when the calendar can't be reached
+const offlineSnapshot = new OfflineSnapshot(sessionProtection);
 
 // Auto-launch configuration
 const autoLauncher = new AutoLaunch({
@@ -14,91 +49,163 @@ const autoLauncher = new AutoLaunch({
   isHidden: true
 });
 
-// Initialize encrypted store for app settings
-const store = new Store({
-  name: 'app-config',
-  encryptionKey: 'wlfryt-google-calendar-secure-key-2024',
-  defaults: {
-    windowBounds: { width: 1200, height: 800 },
-    windowMaximized: false,
-    startWithWindows: false,
-    startMinimized: false,
-    minimizeToTray: true,
-    closeToTray: true
-  }
+// Defaults for the encrypted app settings store
+const STORE_DEFAULTS = {
+  windowBounds: { width: 1200, height: 800 },
+  windowMaximized: false,
+  startWithWindows: false,
+  startMinimized: false,
+  minimizeToTray: true,
+  closeToTray: true,
+  zoomFactor: 1.0,
+  profiles: [],
+  activeProfileId: 'default',
+  notifications: {
+    enabled: true,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    doNotDisturbUntil: 0
+  },
+  agenda: {
+    feeds: [],
+    count: 5,
+    refreshMinutes: 15
+  },
+  proxyMode: 'system',
+  proxyRules: '',
+  proxyBypassRules: '<local>',
+  proxyPacUrl: '',
+  trustedCertificates: [],
+  shortcuts: {
+    toggleWindow: 'CmdOrCtrl+Alt+Shift+C',
+    lockSession: 'CmdOrCtrl+Alt+Shift+L',
+    quickAdd: 'CmdOrCtrl+Alt+Shift+A'
+  },
+  automationEnabled: false
+};
+
+// Enterprise policy: enforced settings override saved ones and are locked in the UI
+const managedPolicy = new ManagedPolicy();
+if (managedPolicy.load()) {
+  sessionProtection.setManagedSettings(managedPolicy.security);
+}
+
+// The encrypted store and everything built on it are created once the app is ready,
+// since the store key comes from the OS keychain (see initializeStore)
+let store = null;
+let storeStatus = null;
+let profiles = null;
+let requestBlocker = null;
+let notificationCenter = null;
+let agendaService = null;
+let trustedCertificates = null;
+let globalShortcuts = null;
+let calendarWindows = null;
+
+// Settings window (menus and tray are rebuilt whenever a value changes)
+const settingsWindow = new SettingsWindow({
+  getValues: () => getSettingValues(),
+  getManagedKeys: () => SETTINGS_FIELDS.map(field => field.key).filter(key => isSettingManaged(key)),
+  applyChanges: changes => applySettings(changes),
+  restoreDefaults: () => restoreDefaultSettings()
+});
+
+// Local JSON-RPC endpoint for scripts and other tools (opt-in)
+const automationServer = new AutomationServer({
+  generateToken: () => sessionProtection.generateSecureToken(),
+  methods: {
+    navigate: params => automationNavigate(params),
+    newEvent: params => automationNewEvent(params),
+    lock: () => {
+      if (!lockSession('automation')) {
+        throw new AutomationServer.AutomationError(AutomationServer.ERRORS.FAILED, 'Set a passcode in the app before locking');
+      }
+      return { locked: true };
+    },
+    unlock: params => automationUnlock(params),
+    getStatus: () => ({ version: app.getVersion(), security: sessionProtection.getSecurityStatus() })
+  },
+  onEvent: (type, details) => sessionProtection.auditLog.record(type, details)
+});
+
+// Frameless window for typing an event as one line of text
+const quickAddWindow = new QuickAddWindow({
+  onSubmit: event => openQuickAddEvent(event)
 });
 
-// Security: Disable navigation to external URLs
-const ALLOWED_URLS = [
-  'https://calendar.google.com',
-  'https://accounts.google.com',
-  'https://www.google.com/calendar',
-  'https://www.google.com/signin',
-  'https://www.google.com/accounts',
-  'https://myaccount.google.com',
-  'https://support.google.com',
-  'https://ssl.gstatic.com',
-  'https://www.gstatic.com',
-  'https://apis.google.com',
-  'https://oauth2.googleapis.com',
-  'https://www.googleapis.com',
-  'https://play.google.com', // For app verification
-  'https://gds.google.com',
-  'https://ogs.google.com',
-  'https://lh3.googleusercontent.com', // Profile pictures
-  'https://fonts.googleapis.com',
-  'https://fonts.gstatic.com'
-];
+// Security: Ordered allow/deny/open-external rules for navigation
+const navigationPolicy = new NavigationPolicy();
+if (managedPolicy.allowedDomains) {
+  navigationPolicy.pinAllowedHosts(managedPolicy.allowedDomains);
+}
 
 let mainWindow = null;
 let tray = null;
 let isQuitting = false;
 
-// Security: Prevent multiple instances
-const gotTheLock = app.requestSingleInstanceLock();
+// Command-line options (--view, --new-event, --lock, ...) - bad input exits before anything starts
+const commandLine = parseCommandLine(process.argv);
+let commandLineExitCode = null;
+if (commandLine.errors.length > 0) {
+  commandLine.errors.forEach(error => console.error(`Error: ${error}`));
+  console.error('Run with --help for usage.');
+  commandLineExitCode = 2;
+} else if (commandLine.command.help) {
+  console.log(USAGE);
+  commandLineExitCode = 0;
+}
+
+// Security: Prevent multiple instances (a second launch hands its options to the first)
+const gotTheLock = commandLineExitCode === null && app.requestSingleInstanceLock({ args: commandLine.args });
 
-if (!gotTheLock) {
+if (commandLineExitCode !== null) {
+  app.exit(commandLineExitCode);
+} else if (!gotTheLock) {
   app.quit();
+} else if (commandLine.command.quit) {
+  // Nothing running to quit
+  app.exit(0);
 } else {
-  app.on('second-instance', () => {
-    if (mainWindow) {
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    // Older launchers don't send additional data - fall back to the raw arguments
+    const args = additionalData && Array.isArray(additionalData.args) ? additionalData.args : argv.slice(1);
+    const { command, errors } = parseCommandLine([argv[0], ...args.filter(arg => typeof arg === 'string')]);
+    if (errors.length > 0) {
+      console.error('Ignoring invalid command line from a second instance:', errors.join('; '));
+    } else if (hasActions(command)) {
+      runCommandLine(command);
+    } else if (mainWindow) {
       if (mainWindow.isMinimized()) mainWindow.restore();
-      mainWindow.focus();
+      showMainWindow();
     }
+    getCalendarSources(argv, workingDirectory).forEach(source => openCalendarSource(source));
   });
 }
 
-function isAllowedUrl(url) {
-  // Allow all Google domain URLs for authentication
-  const googleDomains = [
-    '.google.com',
-    '.googleapis.com',
-    '.gstatic.com',
-    '.googleusercontent.com'
-  ];
-  
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    
-    // Check if it's a Google domain
-    if (googleDomains.some(domain => hostname.endsWith(domain))) {
-      return true;
-    }
-    
-    // Check explicit allowed URLs
-    return ALLOWED_URLS.some(allowed => url.startsWith(allowed));
-  } catch (e) {
-    return false;
+// macOS delivers file associations and protocol links as events (possibly before ready)
+app.on('open-file', (event, filePath) => {
+  event.preventDefault();
+  openCalendarSource(filePath);
+});
+
+app.on('open-url', (event, url) => {
+  if (/^webcals?:/i.test(url)) {
+    event.preventDefault();
+    openCalendarSource(url);
   }
-}
+});
 
-function createWindow() {
-  const windowBounds = store.get('windowBounds');
-  const windowMaximized = store.get('windowMaximized');
+// Session partitions that already have security handlers installed
+const configuredPartitions = new Set();
 
-  // Configure session for persistent login with enhanced security
-  const ses = session.fromPartition('persist:google-calendar-secure');
+// Security: Install cookie monitoring, headers and request blocking on a profile's session
+function configureSession(partition) {
+  if (configuredPartitions.has(partition)) {
+    return;
+  }
+  configuredPartitions.add(partition);
+
+  const ses = session.fromPartition(partition);
+  ses.setProxy(getProxyConfig()).catch(error => console.error('Proxy configuration error:', error));
 
   // Security: Enhanced cookie settings
   ses.cookies.on('changed', (event, cookie, cause, removed) => {
@@ -121,479 +228,2193 @@ function createWindow() {
     });
   });
 
-  // Security: Block potentially dangerous requests
+  // Security: Block tracking and other requests matching the blocklist
   ses.webRequest.onBeforeRequest({ urls: ['*://*/*'] }, (details, callback) => {
-    const url = details.url.toLowerCase();
-    
-    // Block known tracking/analytics that aren't needed
-    const blockedPatterns = [
-      'doubleclick.net',
-      'googlesyndication.com',
-      'googleadservices.com'
-    ];
-    
-    if (blockedPatterns.some(pattern => url.includes(pattern))) {
+    if (requestBlocker.match(details.url, details)) {
       callback({ cancel: true });
       return;
     }
     
     callback({ cancel: false });
   });
+}
+
+function createWindow() {
+  const profile = profiles.getActive();
+  // The state saved for the connected displays - or the latest one, moved onto a screen
+  // that is actually there
+  const { state, matched } = selectWindowState(profile.windowStates, {
+    bounds: profile.windowBounds || store.get('windowBounds'),
+    maximized: profile.windowMaximized === true
+  });
+  if (matched && isValidZoomFactor(state.zoomFactor)) {
+    store.set('zoomFactor', state.zoomFactor);
+  }
+
+  // Configure session for persistent login with enhanced security
+  configureSession(profile.partition);
+  stopOfflineRetry();
 
   mainWindow = new BrowserWindow({
-    width: windowBounds.width,
-    height: windowBounds.height,
+    ...fitToDisplays(state.bounds),
     minWidth: 800,
     minHeight: 600,
     title: 'WlfRyt Google Calendar',
     icon: path.join(__dirname, '../assets/icon.png'),
-    webPreferences: {
-      // Security settings
-      nodeIntegration: false,
-      contextIsolation: true,
-      sandbox: false, // Required for preload script
-      webSecurity: true,
-      allowRunningInsecureContent: false,
-      // Preload script for secure IPC
-      preload: path.join(__dirname, 'preload.js'),
-      // Persistent session with encrypted partition
-      partition: 'persist:google-calendar-secure',
-      // Spellcheck
-      spellcheck: true
-    },
+    webPreferences: getCalendarWebPreferences(profile.partition),
     show: false,
     backgroundColor: '#ffffff'
   });
 
-  // Restore maximized state
-  if (windowMaximized) {
+  // Restore maximized/fullscreen state
+  if (state.maximized) {
     mainWindow.maximize();
   }
+  if (state.fullscreen) {
+    mainWindow.setFullScreen(true);
+  }
+  watchWindowState(mainWindow, () => saveWindowState());
 
   // Create application menu
-  const menuTemplate = [
-    {
-      label: 'File',
-      submenu: [
-        {
-          label: 'Reload',
-          accelerator: 'CmdOrCtrl+R',
-          click: () => mainWindow.reload()
-        },
-        {
-          label: 'Go to Today',
-          accelerator: 'CmdOrCtrl+T',
-          click: () => mainWindow.loadURL('https://calendar.google.com/calendar/r')
-        },
-        { type: 'separator' },
-        {
-          label: 'Lock Session',
-          accelerator: 'CmdOrCtrl+L',
-          click: () => lockSession()
-        },
-        { type: 'separator' },
-        {
-          label: 'Clear Session Data',
-          click: async () => {
-            const result = await dialog.showMessageBox(mainWindow, {
-              type: 'warning',
-              buttons: ['Cancel', 'Clear Data'],
-              defaultId: 0,
-              title: 'Clear Session Data',
-              message: 'This will log you out and clear all saved data. Continue?'
-            });
-            if (result.response === 1) {
-              await session.fromPartition('persist:google-calendar-secure').clearStorageData();
-              await sessionProtection.clearAllData();
-              mainWindow.reload();
-            }
-          }
-        },
-        { type: 'separator' },
-        {
-          label: 'Exit',
-          accelerator: 'Alt+F4',
-          click: () => app.quit()
-        }
-      ]
-    },
-    {
-      label: 'Edit',
-      submenu: [
-        { role: 'undo' },
-        { role: 'redo' },
-        { type: 'separator' },
-        { role: 'cut' },
-        { role: 'copy' },
-        { role: 'paste' },
-        { role: 'selectAll' }
-      ]
-    },
-    {
-      label: 'View',
-      submenu: [
-        {
-          label: 'Day View',
-          accelerator: 'D',
-          click: () => mainWindow.loadURL('https://calendar.google.com/calendar/r/day')
-        },
-        {
-          label: 'Week View',
-          accelerator: 'W',
-          click: () => mainWindow.loadURL('https://calendar.google.com/calendar/r/week')
-        },
-        {
-          label: 'Month View',
-          accelerator: 'M',
-          click: () => mainWindow.loadURL('https://calendar.google.com/calendar/r/month')
-        },
-        {
-          label: 'Year View',
-          accelerator: 'Y',
-          click: () => mainWindow.loadURL('https://calendar.google.com/calendar/r/year')
-        },
-        { type: 'separator' },
-        {
-          label: 'Zoom In',
-          accelerator: 'CmdOrCtrl+Plus',
-          click: () => {
-            const zoom = mainWindow.webContents.getZoomFactor();
-            mainWindow.webContents.setZoomFactor(Math.min(zoom + 0.1, 2.0));
-          }
-        },
-        {
-          label: 'Zoom Out',
-          accelerator: 'CmdOrCtrl+-',
-          click: () => {
-            const zoom = mainWindow.webContents.getZoomFactor();
-            mainWindow.webContents.setZoomFactor(Math.max(zoom - 0.1, 0.5));
-          }
-        },
-        {
-          label: 'Reset Zoom',
-          accelerator: 'CmdOrCtrl+0',
-          click: () => mainWindow.webContents.setZoomFactor(1.0)
-        },
-        { type: 'separator' },
-        { role: 'togglefullscreen' }
-      ]
-    },
-    {
-      label: 'Settings',
-      submenu: [
-        {
-          label: 'Start with Windows',
-          type: 'checkbox',
-          checked: store.get('startWithWindows'),
-          click: async (menuItem) => {
-            store.set('startWithWindows', menuItem.checked);
-            if (menuItem.checked) {
-              await autoLauncher.enable();
-            } else {
-              await autoLauncher.disable();
-            }
-          }
-        },
-        {
-          label: 'Start Minimized',
-          type: 'checkbox',
-          checked: store.get('startMinimized'),
-          click: (menuItem) => {
-            store.set('startMinimized', menuItem.checked);
-          }
-        },
-        { type: 'separator' },
-        {
-          label: 'Minimize to Tray',
-          type: 'checkbox',
-          checked: store.get('minimizeToTray'),
-          click: (menuItem) => {
-            store.set('minimizeToTray', menuItem.checked);
-          }
-        },
-        {
-          label: 'Close to Tray',
-          type: 'checkbox',
-          checked: store.get('closeToTray'),
-          click: (menuItem) => {
-            store.set('closeToTray', menuItem.checked);
-          }
-        },
-        { type: 'separator' },
-        {
-          label: 'Security',
-          submenu: [
-            {
-              label: 'Lock on Minimize',
-              type: 'checkbox',
-              checked: sessionProtection.settings.lockOnMinimize,
-              click: (menuItem) => {
-                sessionProtection.saveSettings({ lockOnMinimize: menuItem.checked });
-              }
-            },
-            {
-              label: 'Auto-Lock: 15 minutes',
-              type: 'radio',
-              checked: sessionProtection.settings.autoLockMinutes === 15,
-              click: () => {
-                sessionProtection.saveSettings({ autoLockMinutes: 15 });
-              }
-            },
-            {
-              label: 'Auto-Lock: 30 minutes',
-              type: 'radio',
-              checked: sessionProtection.settings.autoLockMinutes === 30,
-              click: () => {
-                sessionProtection.saveSettings({ autoLockMinutes: 30 });
-              }
-            },
-            {
-              label: 'Auto-Lock: 1 hour',
-              type: 'radio',
-              checked: sessionProtection.settings.autoLockMinutes === 60,
-              click: () => {
-                sessionProtection.saveSettings({ autoLockMinutes: 60 });
-              }
-            },
-            {
-              label: 'Auto-Lock: Never',
-              type: 'radio',
-              checked: sessionProtection.settings.autoLockMinutes === 0,
-              click: () => {
-                sessionProtection.saveSettings({ autoLockMinutes: 0 });
-                sessionProtection.clearLockTimeout();
-              }
-            },
-            { type: 'separator' },
-            {
-              label: 'Security Status...',
-              click: () => {
-                const status = sessionProtection.getSecurityStatus();
-                dialog.showMessageBox(mainWindow, {
-                  type: 'info',
-                  title: 'Security Status',
-                  message: 'Session Protection Status',
-                  detail: `Encryption: ${status.encryptionAlgorithm}\nKey Storage: ${status.keyStorage}\nSecure Storage: ${status.secureStorageAvailable ? 'Available' : 'Not Available'}\nSession Protected: ${status.sessionProtected ? 'Yes' : 'No'}\nIntegrity Verified: ${status.integrityVerified ? 'Yes' : 'No'}\nAuto-Lock: ${status.autoLockMinutes > 0 ? status.autoLockMinutes + ' minutes' : 'Disabled'}`
-                });
-              }
-            }
-          ]
-        }
-      ]
-    },
-    {
-      label: 'Help',
-      submenu: [
-        {
-          label: 'Google Calendar Help',
-          click: () => shell.openExternal('https://support.google.com/calendar')
-        },
-        { type: 'separator' },
-        {
-          label: 'About',
-          click: () => {
-            dialog.showMessageBox(mainWindow, {
-              type: 'info',
-              title: 'About WlfRyt Google Calendar',
-              message: 'WlfRyt Google Calendar',
-              detail: `Version ${app.getVersion()}\n\nA secure standalone Google Calendar application with persistent login.\n\nSecurity: AES-256-GCM encryption, OS-level key protection\n\n© 2025 WlfRyt`
-            });
-          }
-        }
-      ]
-    }
-  ];
-
-  const menu = Menu.buildFromTemplate(menuTemplate);
-  Menu.setApplicationMenu(menu);
+  buildAppMenu();
 
   // Load Google Calendar
   mainWindow.loadURL('https://calendar.google.com/calendar/r');
 
-  // Show window when ready (unless starting minimized)
-  mainWindow.once('ready-to-show', () => {
-    const startMinimized = store.get('startMinimized');
-    if (startMinimized && app.commandLine.hasSwitch('hidden')) {
-      // Don't show, stay in tray
-    } else {
-      mainWindow.show();
-    }
+  // Keep the saved zoom across navigations (sign-in pages use a different origin)
+  mainWindow.webContents.on('did-finish-load', () => {
+    mainWindow.webContents.setZoomFactor(store.get('zoomFactor'));
+    // The calendar loaded again (e.g. from the menu) - stop waiting to reload it
+    if (offlineUrl && !mainWindow.webContents.getURL().startsWith('data:')) {
+      stopOfflineRetry();
+    }
+  });
+
+  // Security: A new page renders before the blur could be inserted again - any load while
+  // blurred (offline retry, page or menu reload) hides the window until unlock instead
+  mainWindow.webContents.on('did-start-navigation', (event, url, isInPlace, isMainFrame) => {
+    if (mainWindowBlurred && isMainFrame && !isInPlace) {
+      hideBlurredMainWindow();
+    }
+  });
+
+  // Offline: show the saved agenda instead of Chrome's error page
+  mainWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (isMainFrame && OfflineSnapshot.isOfflineError(errorCode)) {
+      showOfflinePage(validatedURL);
+    }
+  });
+
+  // Show window when ready (unless starting minimized)
+  mainWindow.once('ready-to-show', () => {
+    const startMinimized = store.get('startMinimized');
+    if (startMinimized && app.commandLine.hasSwitch('hidden')) {
+      // Don't show, stay in tray
+    } else {
+      mainWindow.show();
+    }
+  });
+
+  setupCalendarWindow(mainWindow);
+
+  // Save window state on close
+  mainWindow.on('close', (event) => {
+    saveWindowState();
+    
+    // Minimize to tray instead of closing
+    if (store.get('closeToTray') && !isQuitting) {
+      event.preventDefault();
+      mainWindow.hide();
+      return false;
+    }
+  });
+  
+  // Handle minimize to tray
+  mainWindow.on('minimize', (event) => {
+    // Security: Lock on minimize if enabled
+    if (sessionProtection.settings.lockOnMinimize) {
+      lockSession('minimize');
+    }
+    
+    if (store.get('minimizeToTray')) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+
+  const win = mainWindow;
+  mainWindow.on('closed', () => {
+    // A profile switch may already have replaced the window
+    if (mainWindow === win) {
+      mainWindow = null;
+    }
+  });
+}
+
+// Web preferences shared by every window showing the calendar
+function getCalendarWebPreferences(partition) {
+  return {
+    // Security settings
+    nodeIntegration: false,
+    contextIsolation: true,
+    sandbox: false, // Required for preload script
+    webSecurity: true,
+    allowRunningInsecureContent: false,
+    // Preload script for secure IPC
+    preload: path.join(__dirname, 'preload.js'),
+    // Persistent session with encrypted partition
+    partition,
+    // Spellcheck
+    spellcheck: true,
+    // Keep reminders firing while hidden to tray
+    backgroundThrottling: false,
+    zoomFactor: store.get('zoomFactor')
+  };
+}
+
+// Security: Navigation policy and dev tools lock-down for a calendar window
+function setupCalendarWindow(win) {
+  // Security: Handle navigation
+  win.webContents.on('will-navigate', (event, url) => {
+    if (!applyNavigationPolicy(url, 'will-navigate')) {
+      event.preventDefault();
+    }
+  });
+
+  // Security: Redirects are checked against the same policy
+  win.webContents.on('will-redirect', (event, url, isInPlace, isMainFrame) => {
+    if (isMainFrame && !applyNavigationPolicy(url, 'will-redirect')) {
+      event.preventDefault();
+    }
+  });
+
+  // Security: Allowed links load in the same window, or in a new calendar window
+  // when the page asks for one (e.g. Shift+click) - never in an unmanaged popup
+  win.webContents.setWindowOpenHandler(({ url, disposition }) => {
+    if (applyNavigationPolicy(url, 'window-open')) {
+      if (disposition === 'new-window' && calendarWindows.openWindow(url, win)) {
+        return { action: 'deny' };
+      }
+      win.loadURL(url);
+    }
+    return { action: 'deny' };
+  });
+
+  // Security: Prevent dev tools in production
+  if (app.isPackaged) {
+    win.webContents.on('devtools-opened', () => {
+      win.webContents.closeDevTools();
+    });
+  }
+}
+
+// The calendar window menu commands apply to: the focused one, or the main window
+function getActiveCalendarWindow() {
+  const focused = BrowserWindow.getFocusedWindow();
+  return focused && calendarWindows.isCalendarWindow(focused) ? focused : mainWindow;
+}
+
+function loadInActiveWindow(url) {
+  const win = getActiveCalendarWindow();
+  if (win) {
+    win.loadURL(url);
+  }
+}
+
+// How often to check whether the calendar can be reached again
+const OFFLINE_RETRY_MS = 15 * 1000;
+let offlineRetryTimer = null;
+let offlineUrl = null;
+
+// Read-only agenda page while offline - the calendar reloads once it can be reached
+function showOfflinePage(failedUrl) {
+  offlineUrl = /^https:\/\//i.test(failedUrl) ? failedUrl : 'https://calendar.google.com/calendar/r';
+  mainWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(offlineSnapshot.renderPage()));
+  if (!offlineRetryTimer) {
+    offlineRetryTimer = setInterval(retryOfflineUrl, OFFLINE_RETRY_MS);
+  }
+}
+
+function stopOfflineRetry() {
+  clearInterval(offlineRetryTimer);
+  offlineRetryTimer = null;
+  offlineUrl = null;
+}
+
+async function retryOfflineUrl() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    stopOfflineRetry();
+    return;
+  }
+  if (!net.isOnline()) {
+    return;
+  }
+
+  // Any response means the calendar is reachable (through the window's session and proxy)
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 10000);
+  try {
+    await mainWindow.webContents.session.fetch('https://calendar.google.com/', { method: 'HEAD', signal: controller.signal });
+  } catch (error) {
+    return;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const url = offlineUrl;
+  stopOfflineRetry();
+  if (url && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.loadURL(url);
+  }
+}
+
+function getProxyConfig() {
+  return buildProxyConfig({
+    proxyMode: store.get('proxyMode'),
+    proxyRules: store.get('proxyRules'),
+    proxyBypassRules: store.get('proxyBypassRules'),
+    proxyPacUrl: store.get('proxyPacUrl')
+  });
+}
+
+// Apply the proxy settings to the feed downloads (default session) and every calendar session
+async function applyProxySettings() {
+  const config = getProxyConfig();
+  const sessions = [session.defaultSession, ...[...configuredPartitions].map(partition => session.fromPartition(partition))];
+  await Promise.all(sessions.map(async (ses) => {
+    try {
+      await ses.setProxy(config);
+      // Connections opened through the old proxy would otherwise stay in use
+      await ses.closeAllConnections();
+    } catch (error) {
+      console.error('Proxy configuration error:', error);
+    }
+  }));
+}
+
+// Grey out a menu item enforced by the managed policy
+function managedItem(item, isManaged) {
+  if (!isManaged) {
+    return item;
+  }
+  // Radio groups are annotated once, on the enforced choice
+  const annotate = item.type !== 'radio' || item.checked;
+  return {
+    ...item,
+    enabled: false,
+    label: annotate ? `${item.label} (Managed by your organization)` : item.label
+  };
+}
+
+function formatSessionKeyStatus(status) {
+  if (status.keyError) {
+    return `Unreadable - ${status.keyError}`;
+  }
+  if (!status.keyVersion) {
+    return 'Not created yet';
+  }
+  const rotated = status.keyRotatedAt ? new Date(status.keyRotatedAt).toLocaleDateString() : 'unknown';
+  const retained = status.retainedKeyVersions > 0 ? `, ${status.retainedKeyVersions} older key(s) kept for data not yet re-encrypted` : '';
+  return `Version ${status.keyVersion}, rotated ${rotated}${retained}`;
+}
+
+function formatStoreKeyStatus() {
+  const migrated = storeStatus.migratedFrom ? ' (migrated this session)' : '';
+  return `${storeStatus.keySourceLabel}${migrated}${storeStatus.problems.map(problem => `\n  - ${problem}`).join('')}`;
+}
+
+function formatIntegrityStatus(status) {
+  if (status.integrityStatus === 'verified') {
+    return 'Verified (signed manifest)';
+  }
+  if (status.integrityStatus === 'development') {
+    return 'Not checked (development build)';
+  }
+  return `FAILED - ${status.integrityProblems.slice(0, 3).join('; ')}`;
+}
+
+function formatProxyStatus() {
+  const config = getProxyConfig();
+  if (config.mode === 'fixed_servers') {
+    return config.proxyRules ? `Manual (${config.proxyRules})` : 'Manual (no servers - direct)';
+  }
+  if (config.mode === 'pac_script') {
+    return `PAC (${config.pacScript})`;
+  }
+  return config.mode === 'direct' ? 'None' : 'System settings';
+}
+
+function formatManagedPolicyStatus() {
+  const status = managedPolicy.getStatus();
+  if (!status.active) {
+    return status.errors.length > 0 ? `Invalid (${status.errors[0]})` : 'None';
+  }
+  const summary = `${status.managedKeys.length} setting${status.managedKeys.length === 1 ? '' : 's'} enforced by ${status.filePath}`;
+  return status.errors.length > 0 ? `${summary}\n  Ignored: ${status.errors.join('; ')}` : summary;
+}
+
+// Act on the navigation policy for a URL - returns true if it may load in the app
+function applyNavigationPolicy(url, context) {
+  const decision = navigationPolicy.evaluate(url, context);
+  // Security: Only hand web and mail links to other apps, whatever the policy says
+  if (decision.action === 'external' && /^(https?|mailto):/i.test(url)) {
+    shell.openExternal(url);
+  }
+  return decision.action === 'allow';
+}
+
+// Show the active navigation policy and test URLs against it
+async function showNavigationPolicy() {
+  const status = navigationPolicy.getStatus();
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: status.loadError ? 'warning' : 'info',
+    title: 'Navigation Policy',
+    message: 'Navigation Policy',
+    detail: `Source: ${status.source}\nRules: ${status.ruleCount}\nDefault Action: ${status.defaultAction}\nExplain Mode: ${status.explainMode ? 'On' : 'Off'}${status.loadError ? `\n\nPolicy file error (built-in policy in use):\n${status.loadError}` : ''}`,
+    buttons: ['Close', 'Test URL...', 'Reload Policy'],
+    defaultId: 0,
+    cancelId: 0
+  });
+
+  if (result.response === 1) {
+    const url = await promptText(mainWindow, {
+      title: 'Test URL',
+      message: 'URL to check against the navigation policy:',
+      placeholder: 'https://calendar.google.com/calendar/r'
+    });
+    if (url) {
+      const decision = navigationPolicy.explain(url.trim());
+      dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Test URL',
+        message: `${decision.action.toUpperCase()}: ${url.trim()}`,
+        detail: decision.reason
+      });
+    }
+  } else if (result.response === 2) {
+    navigationPolicy.load();
+    showNavigationPolicy();
+  }
+}
+
+// Current value of every setting in the settings schema
+function getSettingValues() {
+  const notifications = notificationCenter.getSettings();
+  const agenda = agendaService.getSettings();
+  const security = sessionProtection.settings;
+  return {
+    notificationsEnabled: notifications.enabled,
+    quietHoursEnabled: notifications.quietHours.enabled,
+    quietHours: `${notifications.quietHours.start}-${notifications.quietHours.end}`,
+    minimizeToTray: store.get('minimizeToTray'),
+    closeToTray: store.get('closeToTray'),
+    agendaCount: agenda.count,
+    startWithWindows: store.get('startWithWindows'),
+    startMinimized: store.get('startMinimized'),
+    autoLockMinutes: security.autoLockMinutes,
+    lockOnMinimize: security.lockOnMinimize,
+    lockDisplay: security.lockDisplay,
+    wipeAfterFailedAttempts: security.wipeAfterFailedAttempts,
+    requireBiometric: security.requireBiometric,
+    secureClipboard: security.secureClipboard,
+    clipboardClearSeconds: security.clipboardClearSeconds,
+    preventScreenCapture: security.preventScreenCapture,
+    integrityFailureAction: security.integrityFailureAction,
+    keyRotationDays: security.keyRotationDays,
+    zoomFactor: store.get('zoomFactor'),
+    blocklistEnabled: requestBlocker.isEnabled(),
+    agendaRefreshMinutes: agenda.refreshMinutes,
+    proxyMode: store.get('proxyMode'),
+    proxyRules: store.get('proxyRules'),
+    proxyBypassRules: store.get('proxyBypassRules'),
+    proxyPacUrl: store.get('proxyPacUrl'),
+    shortcutToggleWindow: store.get('shortcuts').toggleWindow,
+    shortcutLockSession: store.get('shortcuts').lockSession,
+    shortcutQuickAdd: store.get('shortcuts').quickAdd,
+    automationEnabled: store.get('automationEnabled')
+  };
+}
+
+function isSettingManaged(key) {
+  const field = SETTINGS_FIELDS.find(candidate => candidate.key === key);
+  if (!field) {
+    return false;
+  }
+  return field.scope === 'security' ? sessionProtection.isManaged(key) : managedPolicy.isSettingManaged(key);
+}
+
+// Choices for scheduled session key rotation (0 = never)
+const KEY_ROTATION_DAYS = [0, 30, 90, 180, 365];
+
+// How each validated setting is written to the module that owns it
+const settingAppliers = {
+  notificationsEnabled: value => notificationCenter.saveSettings({ enabled: value }),
+  quietHoursEnabled: value => notificationCenter.saveSettings({ quietHours: { ...notificationCenter.getSettings().quietHours, enabled: value } }),
+  quietHours: value => notificationCenter.saveSettings({ quietHours: { ...notificationCenter.getSettings().quietHours, ...NotificationCenter.parseQuietHours(value) } }),
+  minimizeToTray: value => store.set('minimizeToTray', value),
+  closeToTray: value => store.set('closeToTray', value),
+  agendaCount: value => agendaService.saveSettings({ count: value }),
+  startWithWindows: async (value) => {
+    store.set('startWithWindows', value);
+    try {
+      if (value) {
+        await autoLauncher.enable();
+      } else {
+        await autoLauncher.disable();
+      }
+    } catch (error) {
+      console.error('Auto-launch error:', error);
+    }
+  },
+  startMinimized: value => store.set('startMinimized', value),
+  autoLockMinutes: (value) => {
+    saveLockSettings({ autoLockMinutes: value });
+    if (value > 0) {
+      sessionProtection.resetLockTimeout();
+    } else {
+      sessionProtection.clearLockTimeout();
+    }
+  },
+  lockOnMinimize: value => saveLockSettings({ lockOnMinimize: value }),
+  lockDisplay: value => sessionProtection.saveSettings({ lockDisplay: value }),
+  wipeAfterFailedAttempts: value => sessionProtection.saveSettings({ wipeAfterFailedAttempts: value }),
+  requireBiometric: value => sessionProtection.saveSettings({ requireBiometric: value }),
+  secureClipboard: (value) => {
+    sessionProtection.saveSettings({ secureClipboard: value });
+    if (!value) {
+      secureClipboard.clearNow();
+    }
+  },
+  clipboardClearSeconds: value => sessionProtection.saveSettings({ clipboardClearSeconds: value }),
+  preventScreenCapture: (value) => {
+    sessionProtection.saveSettings({ preventScreenCapture: value });
+    BrowserWindow.getAllWindows().forEach(win => win.setContentProtection(value));
+  },
+  integrityFailureAction: value => sessionProtection.saveSettings({ integrityFailureAction: value }),
+  keyRotationDays: (value) => {
+    sessionProtection.saveSettings({ keyRotationDays: value });
+    sessionProtection.startKeyRotationSchedule();
+  },
+  zoomFactor: (value) => {
+    store.set('zoomFactor', value);
+    if (mainWindow) {
+      mainWindow.webContents.setZoomFactor(value);
+    }
+    // Zoom is remembered per display configuration with the window state
+    saveWindowState();
+  },
+  blocklistEnabled: value => requestBlocker.setEnabled(value),
+  agendaRefreshMinutes: value => agendaService.saveSettings({ refreshMinutes: value }),
+  proxyMode: (value) => {
+    store.set('proxyMode', value);
+    return applyProxySettings();
+  },
+  proxyRules: (value) => {
+    store.set('proxyRules', value);
+    return applyProxySettings();
+  },
+  proxyBypassRules: (value) => {
+    store.set('proxyBypassRules', value);
+    return applyProxySettings();
+  },
+  proxyPacUrl: (value) => {
+    store.set('proxyPacUrl', value);
+    return applyProxySettings();
+  },
+  shortcutToggleWindow: value => globalShortcuts.save({ toggleWindow: value }),
+  shortcutLockSession: value => globalShortcuts.save({ lockSession: value }),
+  shortcutQuickAdd: value => globalShortcuts.save({ quickAdd: value }),
+  automationEnabled: (value) => {
+    store.set('automationEnabled', value);
+    return applyAutomationSetting();
+  }
+};
+
+/**
+ * Validate and apply setting changes from the settings window, menus or tray
+ * Returns { values, errors } with the values after the change
+ */
+async function applySettings(changes) {
+  const { values, errors } = validateSettings(changes);
+
+  // Security: Enforced settings can't be changed from the UI
+  for (const key of Object.keys(values)) {
+    if (isSettingManaged(key)) {
+      delete values[key];
+      errors[key] = 'Managed by your organization';
+    }
+  }
+
+  // Global shortcuts must not clash with each other, the menus or other applications
+  const shortcutChanges = {};
+  for (const [id, { settingKey }] of Object.entries(GlobalShortcuts.ACTIONS)) {
+    if (settingKey in values) {
+      shortcutChanges[id] = values[settingKey];
+    }
+  }
+  for (const [id, message] of Object.entries(globalShortcuts.findConflicts(shortcutChanges))) {
+    const { settingKey } = GlobalShortcuts.ACTIONS[id];
+    delete values[settingKey];
+    errors[settingKey] = message;
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    await settingAppliers[key](value);
+  }
+
+  if (Object.keys(values).length > 0) {
+    buildAppMenu();
+    updateTrayMenu();
+    settingsWindow.notifyChanged();
+  }
+  return { values: getSettingValues(), errors };
+}
+
+// Reset every setting that isn't enforced by the managed policy
+function restoreDefaultSettings() {
+  const defaults = getDefaultSettings();
+  for (const key of Object.keys(defaults)) {
+    if (isSettingManaged(key)) {
+      delete defaults[key];
+    }
+  }
+  return applySettings(defaults);
+}
+
+// Open the settings window, optionally at a section (settings can't be changed while locked)
+function openSettings(sectionId = null) {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+  settingsWindow.open(mainWindow, sectionId);
+}
+
+// Auto-lock radio items, with an extra item for a custom value set in the settings window
+function buildAutoLockItems() {
+  const presets = [15, 30, 60, 0];
+  const current = sessionProtection.settings.autoLockMinutes;
+  const choices = presets.includes(current) ? presets : [current, ...presets];
+  const formatMinutes = minutes => {
+    if (minutes === 0) {
+      return 'Never';
+    }
+    return minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`;
+  };
+
+  return choices.map(minutes => managedItem({
+    label: `Auto-Lock: ${formatMinutes(minutes)}`,
+    type: 'radio',
+    checked: current === minutes,
+    click: () => applySettings({ autoLockMinutes: minutes })
+  }, sessionProtection.isManaged('autoLockMinutes')));
+}
+
+// Everything that goes into a settings backup (no cookies, passcode or keys)
+// Security: Trusted certificates are left out - a backup from someone else must not
+// be able to install a CA that can intercept the calendar's traffic
+function collectSettingsBackup() {
+  saveWindowState();
+  return {
+    settings: getSettingValues(),
+    window: {
+      windowBounds: store.get('windowBounds'),
+      windowMaximized: store.get('windowMaximized')
+    },
+    profiles: {
+      list: profiles.list(),
+      activeProfileId: profiles.getActive().id
+    },
+    blocklist: {
+      rules: requestBlocker.getRules()
+    },
+    agenda: {
+      feeds: agendaService.getFeeds()
+    }
+  };
+}
+
+// Apply a decrypted settings backup - returns the settings that were not applied
+async function applySettingsBackup(backup) {
+  const previousProfileId = profiles.getActive().id;
+
+  if (backup.profiles) {
+    profiles.importProfiles(backup.profiles.list, backup.profiles.activeProfileId);
+  }
+
+  const bounds = backup.window && backup.window.windowBounds;
+  if (bounds && ['width', 'height'].every(key => Number.isFinite(bounds[key]) && bounds[key] > 0)) {
+    store.set('windowBounds', bounds);
+    store.set('windowMaximized', backup.window.windowMaximized === true);
+  }
+
+  if (backup.blocklist) {
+    requestBlocker.replaceRules(backup.blocklist.rules);
+  }
+  if (backup.agenda) {
+    agendaService.replaceFeeds(backup.agenda.feeds);
+  }
+
+  // Applied last so the backup's security settings win over the imported profile's lock settings
+  const { errors } = await applySettings(backup.settings && typeof backup.settings === 'object' ? backup.settings : {});
+
+  if (profiles.getActive().id !== previousProfileId) {
+    reopenMainWindow();
+  } else {
+    buildAppMenu();
+    updateTrayMenu();
+  }
+  return Object.keys(errors);
+}
+
+async function exportSettings() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+
+  const password = await promptText(mainWindow, {
+    title: 'Export Settings',
+    message: `Choose a password for the backup (at least ${MIN_PASSWORD_LENGTH} characters).\nYou will need it to import the settings.`,
+    password: true
+  });
+  if (password === null) {
+    return;
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    dialog.showErrorBox('Export Settings', `The password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    return;
+  }
+  const confirmation = await promptText(mainWindow, {
+    title: 'Export Settings',
+    message: 'Enter the password again:',
+    password: true
+  });
+  if (confirmation === null) {
+    return;
+  }
+  if (confirmation !== password) {
+    dialog.showErrorBox('Export Settings', 'The passwords do not match.');
+    return;
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Settings',
+    defaultPath: `wlfryt-calendar-settings.${BUNDLE_EXTENSION}`,
+    filters: [{ name: 'Settings Backup', extensions: [BUNDLE_EXTENSION] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return;
+  }
+
+  try {
+    const bundle = createBundle(collectSettingsBackup(), password, { appVersion: app.getVersion() });
+    await fs.promises.writeFile(result.filePath, bundle, { encoding: 'utf8', mode: 0o600 });
+    sessionProtection.auditLog.record('settings-exported', { file: path.basename(result.filePath) });
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Export Settings',
+      message: 'Settings exported',
+      detail: 'The backup contains your settings, profiles, blocklist and agenda feeds. Sign-ins and cookies are not included.'
+    });
+  } catch (error) {
+    dialog.showErrorBox('Export Settings', `The settings could not be exported.\n\n${error.message}`);
+  }
+}
+
+async function importSettings() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Settings',
+    filters: [{ name: 'Settings Backup', extensions: [BUNDLE_EXTENSION] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  let text;
+  try {
+    const stats = await fs.promises.stat(result.filePaths[0]);
+    if (stats.size > MAX_BUNDLE_BYTES) {
+      throw new Error('The file is too large to be a settings backup');
+    }
+    text = await fs.promises.readFile(result.filePaths[0], 'utf8');
+  } catch (error) {
+    dialog.showErrorBox('Import Settings', `The backup could not be read.\n\n${error.message}`);
+    return;
+  }
+
+  const password = await promptText(mainWindow, {
+    title: 'Import Settings',
+    message: 'Password for this backup:',
+    password: true
+  });
+  if (password === null) {
+    return;
+  }
+
+  let backup;
+  try {
+    backup = openBundle(text, password);
+  } catch (error) {
+    dialog.showErrorBox('Import Settings', error.message);
+    return;
+  }
+
+  const created = new Date(backup.createdAt);
+  const confirm = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Cancel', 'Import'],
+    defaultId: 1,
+    cancelId: 0,
+    title: 'Import Settings',
+    message: `Import settings from the backup created ${Number.isNaN(created.getTime()) ? 'on another machine' : created.toLocaleString()}?`,
+    detail: 'Your settings, blocklist rules and agenda feeds are replaced. Profiles from the backup are added, or updated if they came from this machine. You will need to sign in again in imported profiles.'
+  });
+  if (confirm.response !== 1) {
+    return;
+  }
+
+  const skipped = await applySettingsBackup(backup.settings);
+  sessionProtection.auditLog.record('settings-imported', { createdAt: backup.createdAt, skipped });
+  dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Import Settings',
+    message: 'Settings imported',
+    detail: skipped.length > 0 ? `These settings were not changed (invalid or managed by your organization): ${skipped.join(', ')}` : ''
+  });
+}
+
+// Save the main window's bounds to the active profile
+function saveWindowState() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  const profile = profiles.getActive();
+  const state = captureWindowState(mainWindow, store.get('zoomFactor'));
+  profiles.update(profile.id, {
+    windowStates: rememberWindowState(profile.windowStates, state),
+    // Latest bounds, for backups and new profiles
+    windowBounds: state.bounds,
+    windowMaximized: state.maximized
+  });
+}
+
+function isValidZoomFactor(value) {
+  return Number.isFinite(value) && value >= 0.5 && value <= 2.0;
+}
+
+let displayConfiguration = null;
+let displayChangeTimer = null;
+
+// Displays were connected, disconnected or rearranged: restore the main window's state for
+// the new configuration if there is one, and make sure the window is still reachable
+function handleDisplayChange() {
+  clearTimeout(displayChangeTimer);
+  displayChangeTimer = setTimeout(() => {
+    const configuration = getDisplayConfiguration();
+    if (configuration === displayConfiguration) {
+      return;
+    }
+    displayConfiguration = configuration;
+    if (!mainWindow || mainWindow.isDestroyed() || mainWindow.isFullScreen()) {
+      return;
+    }
+
+    const { state, matched } = selectWindowState(profiles.getActive().windowStates);
+    if (!matched) {
+      if (!mainWindow.isMaximized()) {
+        mainWindow.setBounds(fitToDisplays(mainWindow.getBounds()));
+      }
+      return;
+    }
+    if (mainWindow.isMaximized()) {
+      mainWindow.unmaximize();
+    }
+    mainWindow.setBounds(fitToDisplays(state.bounds));
+    if (state.maximized) {
+      mainWindow.maximize();
+    }
+    if (isValidZoomFactor(state.zoomFactor) && state.zoomFactor !== store.get('zoomFactor')) {
+      applySettings({ zoomFactor: state.zoomFactor });
+    }
+  }, 500);
+}
+
+// Apply a profile's lock settings to session protection
+function applyProfileLockSettings(profile) {
+  if (profile.lockSettings) {
+    sessionProtection.saveSettings(profile.lockSettings);
+  }
+  if (sessionProtection.settings.autoLockMinutes > 0) {
+    sessionProtection.resetLockTimeout();
+  } else {
+    sessionProtection.clearLockTimeout();
+  }
+}
+
+// Save lock settings globally and for the active profile
+function saveLockSettings(newSettings) {
+  sessionProtection.saveSettings(newSettings);
+  const { autoLockMinutes, lockOnMinimize } = sessionProtection.settings;
+  profiles.update(profiles.getActive().id, { lockSettings: { autoLockMinutes, lockOnMinimize } });
+}
+
+// Switch the main window to another profile's session
+function switchProfile(id) {
+  if (id === profiles.getActive().id || !profiles.get(id)) {
+    return;
+  }
+
+  // Security: Don't reveal another profile while locked
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+
+  // Save the outgoing profile's window before it is replaced
+  saveWindowState();
+  profiles.setActive(id);
+  reopenMainWindow();
+}
+
+// Recreate the main window for the active profile (the partition can't change in place)
+// along with that profile's other calendar windows
+function reopenMainWindow() {
+  const previousWindow = mainWindow;
+  calendarWindows.closeAll();
+  applyProfileLockSettings(profiles.getActive());
+  createWindow();
+  mainWindow.once('ready-to-show', () => showMainWindow());
+  if (previousWindow) {
+    previousWindow.destroy();
+  }
+  calendarWindows.restore();
+  updateTrayMenu();
+}
+
+// Day or agenda view for the today widget (View menu)
+function buildWidgetViewItems() {
+  const current = calendarWindows.getWidgetView();
+  return [['day', 'Day'], ['agenda', 'Agenda']].map(([view, label]) => ({
+    label,
+    type: 'radio',
+    checked: current === view,
+    click: () => calendarWindows.setWidgetView(view)
+  }));
+}
+
+// Build (or rebuild) the application menu
+function buildAppMenu() {
+  const menuTemplate = [
+    {
+      label: 'File',
+      submenu: [
+        {
+          label: 'Reload',
+          accelerator: 'CmdOrCtrl+R',
+          click: () => {
+            const win = getActiveCalendarWindow();
+            if (win) {
+              win.reload();
+            }
+          }
+        },
+        {
+          label: 'Go to Today',
+          accelerator: 'CmdOrCtrl+T',
+          click: () => loadInActiveWindow('https://calendar.google.com/calendar/r')
+        },
+        { type: 'separator' },
+        {
+          label: 'New Window',
+          accelerator: 'CmdOrCtrl+N',
+          click: () => {
+            const source = getActiveCalendarWindow();
+            const url = source && source.webContents.getURL().startsWith('https://calendar.google.com/') ? source.webContents.getURL() : undefined;
+            calendarWindows.openWindow(url, source);
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Export Settings...',
+          click: () => exportSettings()
+        },
+        {
+          label: 'Import Settings...',
+          click: () => importSettings()
+        },
+        { type: 'separator' },
+        {
+          label: 'Lock Session',
+          accelerator: 'CmdOrCtrl+L',
+          click: () => lockSession()
+        },
+        { type: 'separator' },
+        managedItem({
+          label: 'Clear Session Data',
+          click: async () => {
+            const activeProfile = profiles.getActive();
+            const result = await dialog.showMessageBox(mainWindow, {
+              type: 'warning',
+              buttons: ['Cancel', `Clear "${activeProfile.name}"`, 'Clear All Profiles'],
+              defaultId: 0,
+              cancelId: 0,
+              title: 'Clear Session Data',
+              message: 'This will log you out and clear saved data. Continue?',
+              detail: 'Clearing all profiles also removes the passcode and encryption keys.'
+            });
+            if (result.response === 1) {
+              await clearSessionData(activeProfile.id);
+              mainWindow.reload();
+            } else if (result.response === 2) {
+              await clearSessionData();
+              mainWindow.reload();
+            }
+          }
+        }, managedPolicy.disableClearSessionData),
+        { type: 'separator' },
+        {
+          label: 'Exit',
+          accelerator: 'Alt+F4',
+          click: () => app.quit()
+        }
+      ]
+    },
+    {
+      label: 'Edit',
+      submenu: [
+        { role: 'undo' },
+        { role: 'redo' },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        { role: 'selectAll' }
+      ]
+    },
+    {
+      label: 'View',
+      submenu: [
+        {
+          label: 'Day View',
+          accelerator: 'CmdOrCtrl+1',
+          click: () => loadInActiveWindow('https://calendar.google.com/calendar/r/day')
+        },
+        {
+          label: 'Week View',
+          accelerator: 'CmdOrCtrl+2',
+          click: () => loadInActiveWindow('https://calendar.google.com/calendar/r/week')
+        },
+        {
+          label: 'Month View',
+          accelerator: 'CmdOrCtrl+3',
+          click: () => loadInActiveWindow('https://calendar.google.com/calendar/r/month')
+        },
+        {
+          label: 'Year View',
+          accelerator: 'CmdOrCtrl+4',
+          click: () => loadInActiveWindow('https://calendar.google.com/calendar/r/year')
+        },
+        { type: 'separator' },
+        {
+          label: 'Today Widget',
+          type: 'checkbox',
+          accelerator: 'CmdOrCtrl+Shift+D',
+          checked: calendarWindows.isWidgetOpen(),
+          click: () => calendarWindows.toggleWidget()
+        },
+        {
+          label: 'Widget Shows',
+          submenu: buildWidgetViewItems()
+        },
+        { type: 'separator' },
+        {
+          label: 'Zoom In',
+          accelerator: 'CmdOrCtrl+Plus',
+          click: () => applySettings({ zoomFactor: Math.min(store.get('zoomFactor') + 0.1, 2.0) })
+        },
+        {
+          label: 'Zoom Out',
+          accelerator: 'CmdOrCtrl+-',
+          click: () => applySettings({ zoomFactor: Math.max(store.get('zoomFactor') - 0.1, 0.5) })
+        },
+        {
+          label: 'Reset Zoom',
+          accelerator: 'CmdOrCtrl+0',
+          click: () => applySettings({ zoomFactor: 1.0 })
+        },
+        { type: 'separator' },
+        { role: 'togglefullscreen' }
+      ]
+    },
+    {
+      label: 'Settings',
+      submenu: [
+        {
+          label: 'All Settings...',
+          accelerator: 'CmdOrCtrl+,',
+          click: () => openSettings()
+        },
+        { type: 'separator' },
+        managedItem({
+          label: 'Start with Windows',
+          type: 'checkbox',
+          checked: store.get('startWithWindows'),
+          click: (menuItem) => applySettings({ startWithWindows: menuItem.checked })
+        }, managedPolicy.isSettingManaged('startWithWindows')),
+        managedItem({
+          label: 'Start Minimized',
+          type: 'checkbox',
+          checked: store.get('startMinimized'),
+          click: (menuItem) => applySettings({ startMinimized: menuItem.checked })
+        }, managedPolicy.isSettingManaged('startMinimized')),
+        { type: 'separator' },
+        managedItem({
+          label: 'Minimize to Tray',
+          type: 'checkbox',
+          checked: store.get('minimizeToTray'),
+          click: (menuItem) => applySettings({ minimizeToTray: menuItem.checked })
+        }, managedPolicy.isSettingManaged('minimizeToTray')),
+        managedItem({
+          label: 'Close to Tray',
+          type: 'checkbox',
+          checked: store.get('closeToTray'),
+          click: (menuItem) => applySettings({ closeToTray: menuItem.checked })
+        }, managedPolicy.isSettingManaged('closeToTray')),
+        { type: 'separator' },
+        {
+          label: 'Notifications',
+          submenu: [
+            {
+              label: 'Show Desktop Notifications',
+              type: 'checkbox',
+              checked: notificationCenter.getSettings().enabled,
+              click: (menuItem) => applySettings({ notificationsEnabled: menuItem.checked })
+            },
+            { type: 'separator' },
+            {
+              label: `Quiet Hours (${notificationCenter.getSettings().quietHours.start}-${notificationCenter.getSettings().quietHours.end})`,
+              type: 'checkbox',
+              checked: notificationCenter.getSettings().quietHours.enabled,
+              click: (menuItem) => applySettings({ quietHoursEnabled: menuItem.checked })
+            },
+            {
+              label: 'Set Quiet Hours...',
+              click: () => editQuietHours()
+            },
+            {
+              label: 'Do Not Disturb',
+              submenu: buildDoNotDisturbItems()
+            }
+          ]
+        },
+        {
+          label: 'Tray Agenda',
+          submenu: buildAgendaSettingsItems()
+        },
+        {
+          label: 'Blocklist',
+          submenu: buildBlocklistItems()
+        },
+        {
+          label: 'Proxy',
+          submenu: [
+            ...[
+              ['system', 'Use System Proxy Settings'],
+              ['direct', 'No Proxy'],
+              ['fixed_servers', 'Manual Proxy'],
+              ['pac_script', 'Automatic Configuration (PAC)']
+            ].map(([mode, label]) => managedItem({
+              label,
+              type: 'radio',
+              checked: store.get('proxyMode') === mode,
+              click: () => applySettings({ proxyMode: mode })
+            }, managedPolicy.isSettingManaged('proxyMode'))),
+            { type: 'separator' },
+            {
+              label: 'Proxy Settings...',
+              click: () => openSettings('network')
+            }
+          ]
+        },
+        {
+          label: 'Trusted Certificates',
+          submenu: buildTrustedCertificateItems()
+        },
+        {
+          label: 'Keyboard Shortcuts',
+          submenu: buildShortcutItems()
+        },
+        {
+          label: 'Automation API',
+          submenu: buildAutomationItems()
+        },
+        {
+          label: 'Navigation Policy',
+          submenu: [
+            {
+              label: 'Policy Status...',
+              click: () => showNavigationPolicy()
+            },
+            {
+              label: 'Log Navigation Decisions',
+              type: 'checkbox',
+              checked: navigationPolicy.explainMode,
+              click: (menuItem) => navigationPolicy.setExplainMode(menuItem.checked)
+            }
+          ]
+        },
+        { type: 'separator' },
+        {
+          label: 'Security',
+          submenu: [
+            {
+              label: sessionProtection.hasPasscode() ? 'Change Passcode...' : 'Set Passcode...',
+              click: () => openPasscodeWindow()
+            },
+            {
+              label: 'Wipe Session After Failed Attempts',
+              submenu: [0, 5, 10].map(attempts => managedItem({
+                label: attempts > 0 ? `${attempts} attempts` : 'Never',
+                type: 'radio',
+                checked: sessionProtection.settings.wipeAfterFailedAttempts === attempts,
+                click: () => applySettings({ wipeAfterFailedAttempts: attempts })
+              }, sessionProtection.isManaged('wipeAfterFailedAttempts')))
+            },
+            managedItem({
+              label: `Unlock with ${sessionProtection.authenticator ? sessionProtection.authenticator.label : 'Biometrics'}`,
+              type: 'checkbox',
+              checked: sessionProtection.settings.requireBiometric,
+              // Can always be turned off, but only turned on where the OS supports it
+              enabled: sessionProtection.biometricAvailable || sessionProtection.settings.requireBiometric,
+              click: (menuItem) => applySettings({ requireBiometric: menuItem.checked })
+            }, sessionProtection.isManaged('requireBiometric')),
+            { type: 'separator' },
+            managedItem({
+              label: 'Prevent Screen Capture',
+              type: 'checkbox',
+              checked: sessionProtection.settings.preventScreenCapture,
+              click: (menuItem) => applySettings({ preventScreenCapture: menuItem.checked })
+            }, sessionProtection.isManaged('preventScreenCapture')),
+            managedItem({
+              label: 'Secure Clipboard',
+              type: 'checkbox',
+              checked: sessionProtection.settings.secureClipboard,
+              click: (menuItem) => applySettings({ secureClipboard: menuItem.checked })
+            }, sessionProtection.isManaged('secureClipboard')),
+            {
+              label: 'Clear Copied Text After',
+              enabled: sessionProtection.settings.secureClipboard,
+              submenu: [
+                { seconds: 15, label: '15 Seconds' },
+                { seconds: 30, label: '30 Seconds' },
+                { seconds: 60, label: '1 Minute' },
+                { seconds: 120, label: '2 Minutes' },
+                { seconds: 0, label: 'Never' }
+              ].map(choice => managedItem({
+                label: choice.label,
+                type: 'radio',
+                checked: sessionProtection.settings.clipboardClearSeconds === choice.seconds,
+                click: () => applySettings({ clipboardClearSeconds: choice.seconds })
+              }, sessionProtection.isManaged('clipboardClearSeconds')))
+            },
+            { type: 'separator' },
+            managedItem({
+              label: 'Lock on Minimize',
+              type: 'checkbox',
+              checked: sessionProtection.settings.lockOnMinimize,
+              click: (menuItem) => applySettings({ lockOnMinimize: menuItem.checked })
+            }, sessionProtection.isManaged('lockOnMinimize')),
+            {
+              label: 'While Locked',
+              submenu: [
+                { value: 'hide', label: 'Hide the Calendar' },
+                { value: 'blur', label: 'Blur the Calendar in Place' }
+              ].map(choice => managedItem({
+                label: choice.label,
+                type: 'radio',
+                checked: sessionProtection.settings.lockDisplay === choice.value,
+                click: () => applySettings({ lockDisplay: choice.value })
+              }, sessionProtection.isManaged('lockDisplay')))
+            },
+            ...buildAutoLockItems(),
+            { type: 'separator' },
+            {
+              label: 'Rotate Session Key...',
+              click: () => rotateSessionKey()
+            },
+            {
+              label: 'Rotate Session Key Automatically',
+              submenu: KEY_ROTATION_DAYS.map(days => managedItem({
+                label: days > 0 ? `Every ${days} days` : 'Never',
+                type: 'radio',
+                checked: sessionProtection.settings.keyRotationDays === days,
+                click: () => applySettings({ keyRotationDays: days })
+              }, sessionProtection.isManaged('keyRotationDays')))
+            },
+            { type: 'separator' },
+            {
+              label: 'Audit Log...',
+              click: () => showAuditLog()
+            },
+            {
+              label: 'Security Status...',
+              click: () => {
+                const status = sessionProtection.getSecurityStatus();
+                dialog.showMessageBox(mainWindow, {
+                  type: 'info',
+                  title: 'Security Status',
+                  message: 'Session Protection Status',
+                  detail: `Encryption: ${status.encryptionAlgorithm}\nKey Storage: ${status.keyStorage}\nSettings Key: ${formatStoreKeyStatus()}\nSecure Storage: ${status.secureStorageAvailable ? 'Available' : 'Not Available'}\nProxy: ${formatProxyStatus()}\nTrusted Certificates: ${trustedCertificates.list().length || 'None'}\nAutomation API: ${automationServer.isRunning() ? 'On' : 'Off'}\nSession Protected: ${status.sessionProtected ? 'Yes' : 'No'}\nSession Key: ${formatSessionKeyStatus(status)}\nApp Integrity: ${formatIntegrityStatus(status)}\nScreen Capture Protection: ${{ on: 'On', off: 'Off', unsupported: 'On (not supported on this platform)' }[status.screenCaptureProtection]}\nSecure Clipboard: ${status.secureClipboard ? (status.clipboardClearSeconds > 0 ? `On, cleared after ${status.clipboardClearSeconds}s` : 'On') : 'Off'}\nPasscode: ${status.passcodeSet ? 'Set' : 'Not Set'}\nAuto-Lock: ${status.autoLockMinutes > 0 ? status.autoLockMinutes + ' minutes' : 'Disabled'}\nManaged Policy: ${formatManagedPolicyStatus()}`
+                });
+              }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      label: 'Profiles',
+      submenu: [
+        ...buildProfileSwitcherItems(),
+        { type: 'separator' },
+        {
+          label: 'Add Profile...',
+          click: () => addProfile()
+        },
+        {
+          label: 'Rename Profile...',
+          click: () => renameProfile()
+        },
+        {
+          label: 'Remove Profile...',
+          enabled: profiles.getActive().id !== ProfileManager.DEFAULT_PROFILE_ID,
+          click: () => removeProfile()
+        }
+      ]
+    },
+    {
+      label: 'Help',
+      submenu: [
+        {
+          label: 'Google Calendar Help',
+          click: () => shell.openExternal('https://support.google.com/calendar')
+        },
+        { type: 'separator' },
+        {
+          label: 'About',
+          click: () => {
+            dialog.showMessageBox(mainWindow, {
+              type: 'info',
+              title: 'About WlfRyt Google Calendar',
+              message: 'WlfRyt Google Calendar',
+              detail: `Version ${app.getVersion()}\n\nA secure standalone Google Calendar application with persistent login.\n\nSecurity: AES-256-GCM encryption, OS-level key protection\n\n© 2025 WlfRyt`
+            });
+          }
+        }
+      ]
+    }
+  ];
+
+  const menu = Menu.buildFromTemplate(menuTemplate);
+  Menu.setApplicationMenu(menu);
+}
+
+// Security: Disable hardware acceleration if needed for security
+// app.disableHardwareAcceleration();
+
+// Create system tray
+function createTray() {
+  // Create tray icon (16x16 for Windows)
+  const trayIconPath = path.join(__dirname, '../assets/icon.png');
+  let trayIcon;
+  
+  try {
+    trayIcon = nativeImage.createFromPath(trayIconPath);
+    trayIcon = trayIcon.resize({ width: 16, height: 16 });
+  } catch (e) {
+    // Fallback: create a simple icon
+    trayIcon = nativeImage.createEmpty();
+  }
+  
+  tray = new Tray(trayIcon);
+  tray.setToolTip('WlfRyt Google Calendar');
+  
+  updateTrayMenu();
+  
+  // Double-click to show window
+  tray.on('double-click', () => showMainWindow());
+}
+
+// Build (or rebuild) the tray context menu
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+
+  tray.setToolTip(buildTrayTooltip());
+
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: 'Open Google Calendar',
+      click: () => showMainWindow()
+    },
+    ...buildAgendaTrayItems(),
+    { type: 'separator' },
+    {
+      label: 'Today',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.loadURL('https://calendar.google.com/calendar/r');
+          showMainWindow();
+        }
+      }
+    },
+    {
+      label: 'New Event',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.loadURL('https://calendar.google.com/calendar/r/eventedit');
+          showMainWindow();
+        }
+      }
+    },
+    {
+      label: 'Quick Add Event...',
+      click: () => openQuickAdd()
+    },
+    {
+      label: 'Today Widget',
+      type: 'checkbox',
+      checked: calendarWindows.isWidgetOpen(),
+      click: () => calendarWindows.toggleWidget()
+    },
+    { type: 'separator' },
+    {
+      label: 'Recent Notifications',
+      submenu: buildNotificationHistoryItems()
+    },
+    {
+      label: 'Do Not Disturb',
+      submenu: buildDoNotDisturbItems()
+    },
+    { type: 'separator' },
+    {
+      label: 'Switch Profile',
+      submenu: buildProfileSwitcherItems()
+    },
+    {
+      label: 'Lock Session',
+      click: () => lockSession()
+    },
+    { type: 'separator' },
+    managedItem({
+      label: 'Start with Windows',
+      type: 'checkbox',
+      checked: store.get('startWithWindows'),
+      click: (menuItem) => applySettings({ startWithWindows: menuItem.checked })
+    }, managedPolicy.isSettingManaged('startWithWindows')),
+    {
+      label: 'Settings...',
+      click: () => openSettings()
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit',
+      click: () => {
+        isQuitting = true;
+        app.quit();
+      }
+    }
+  ]);
+  
+  tray.setContextMenu(contextMenu);
+}
+
+// Short time label for agenda items, e.g. "Mon 09:30" or "Tue (all day)"
+function formatAgendaTime(occurrence) {
+  const day = occurrence.start.toLocaleDateString([], { weekday: 'short' });
+  if (occurrence.allDay) {
+    return `${day} (all day)`;
+  }
+  return `${day} ${occurrence.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// Upcoming events section of the tray menu
+function buildAgendaTrayItems() {
+  if (agendaService.getFeeds().length === 0) {
+    return [];
+  }
+
+  // Security: Don't reveal event titles while locked
+  if (sessionProtection.isLocked) {
+    return [
+      { type: 'separator' },
+      { label: 'Unlock to see upcoming events', enabled: false }
+    ];
+  }
+
+  const upcoming = agendaService.getUpcoming();
+  return [
+    { type: 'separator' },
+    { label: 'Upcoming', enabled: false },
+    ...(upcoming.length > 0
+      ? upcoming.map(occurrence => ({
+        label: `${formatAgendaTime(occurrence)}  ${occurrence.summary || '(No title)'}`,
+        click: () => openCalendarDay(occurrence.start)
+      }))
+      : [{ label: 'No upcoming events', enabled: false }])
+  ];
+}
+
+// Tray tooltip with the next few events (Windows limits tooltips to 127 characters)
+function buildTrayTooltip() {
+  const title = 'WlfRyt Google Calendar';
+  if (sessionProtection.isLocked || agendaService.getFeeds().length === 0) {
+    return title;
+  }
+  const lines = agendaService.getUpcoming(3).map(occurrence => `${formatAgendaTime(occurrence)} ${occurrence.summary}`);
+  const tooltip = [title, ...lines].join('\n');
+  return tooltip.length > 127 ? `${tooltip.slice(0, 126)}…` : tooltip;
+}
+
+// Show a day in the main window
+function openCalendarDay(date) {
+  if (mainWindow) {
+    mainWindow.loadURL(`https://calendar.google.com/calendar/r/day/${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`);
+  }
+  showMainWindow();
+}
+
+// Feed management for the tray agenda (Settings menu)
+function buildAgendaSettingsItems() {
+  const errors = agendaService.getErrors();
+  const feedItems = agendaService.getFeeds().map(feed => ({
+    label: `${feed.name}${errors.has(feed.id) ? ' (error)' : ''}`,
+    submenu: [
+      { label: feed.source.length > 60 ? `${feed.source.slice(0, 60)}…` : feed.source, enabled: false },
+      ...(errors.has(feed.id) ? [{ label: errors.get(feed.id), enabled: false }] : []),
+      { type: 'separator' },
+      {
+        label: 'Remove Feed',
+        click: () => {
+          agendaService.removeFeed(feed.id);
+          buildAppMenu();
+        }
+      }
+    ]
+  }));
+
+  return [
+    ...(feedItems.length > 0 ? feedItems : [{ label: 'No feeds', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Add Feed URL...',
+      click: () => addAgendaFeedUrl()
+    },
+    {
+      label: 'Add Calendar File...',
+      click: () => addAgendaFeedFile()
+    },
+    {
+      label: 'Refresh Now',
+      click: async () => {
+        await agendaService.refresh();
+        buildAppMenu();
+      }
+    },
+    { type: 'separator' },
+    ...[3, 5, 10].map(count => ({
+      label: `Show ${count} Events`,
+      type: 'radio',
+      checked: agendaService.getSettings().count === count,
+      click: () => applySettings({ agendaCount: count })
+    }))
+  ];
+}
+
+async function addAgendaFeedUrl() {
+  const url = await promptText(mainWindow, {
+    title: 'Add Calendar Feed',
+    message: 'iCal feed URL (for example the "Secret address in iCal format" from Google Calendar settings):',
+    placeholder: 'https://calendar.google.com/calendar/ical/.../basic.ics'
+  });
+  if (url === null) {
+    return;
+  }
+  const result = agendaService.addFeed(url);
+  if (!result.success) {
+    dialog.showErrorBox('Add Calendar Feed', result.error);
+    return;
+  }
+  buildAppMenu();
+}
+
+async function addAgendaFeedFile() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Add Calendar File',
+    filters: [{ name: 'Calendar Files', extensions: ['ics', 'vcs'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+  const added = agendaService.addFeed(result.filePaths[0]);
+  if (!added.success) {
+    dialog.showErrorBox('Add Calendar File', added.error);
+    return;
+  }
+  buildAppMenu();
+}
+
+// Radio items for switching between profiles (shared by the app and tray menus)
+function buildProfileSwitcherItems() {
+  const activeId = profiles.getActive().id;
+  return profiles.list().map((profile, index) => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.id === activeId,
+    accelerator: index < 9 ? `CmdOrCtrl+Shift+${index + 1}` : undefined,
+    click: () => switchProfile(profile.id)
+  }));
+}
+
+// Rules listed in the menu - imported lists can have thousands (see Export Rules...)
+const MAX_RULE_MENU_ITEMS = 50;
+
+// Blocklist rules and management actions (Settings menu)
+function buildBlocklistItems() {
+  const rules = requestBlocker.getRules();
+  const ruleItems = rules.slice(0, MAX_RULE_MENU_ITEMS).map(rule => ({
+    label: `${rule.action === 'allow' ? 'Allow' : 'Block'}: ${RequestBlocker.formatRuleLine(rule)}  (${rule.hits} hits)`,
+    submenu: [
+      {
+        label: 'Enabled',
+        type: 'checkbox',
+        checked: rule.enabled,
+        click: (menuItem) => {
+          requestBlocker.setRuleEnabled(rule.id, menuItem.checked);
+          buildAppMenu();
+        }
+      },
+      {
+        label: 'Remove Rule',
+        click: () => {
+          requestBlocker.removeRule(rule.id);
+          buildAppMenu();
+        }
+      }
+    ]
+  }));
+  if (rules.length > MAX_RULE_MENU_ITEMS) {
+    ruleItems.push(
+      { type: 'separator' },
+      { label: `…and ${rules.length - MAX_RULE_MENU_ITEMS} more (${rules.length} rules in total)`, enabled: false }
+    );
+  }
+
+  return [
+    {
+      label: 'Block Requests',
+      type: 'checkbox',
+      checked: requestBlocker.isEnabled(),
+      click: (menuItem) => applySettings({ blocklistEnabled: menuItem.checked })
+    },
+    {
+      label: 'Blocked Requests...',
+      click: () => showBlockedRequests()
+    },
+    { type: 'separator' },
+    {
+      label: 'Rules',
+      submenu: ruleItems.length > 0 ? ruleItems : [{ label: 'No rules', enabled: false }]
+    },
+    {
+      label: 'Add Rule...',
+      click: () => addBlocklistRule()
+    },
+    { type: 'separator' },
+    {
+      label: 'Import Rules...',
+      click: () => importBlocklistRules()
+    },
+    {
+      label: 'Export Rules...',
+      click: () => exportBlocklistRules()
+    },
+    { type: 'separator' },
+    {
+      label: 'Reset Hit Counters',
+      click: () => {
+        requestBlocker.resetHitCounters();
+        buildAppMenu();
+      }
+    },
+    {
+      label: 'Restore Default Rules',
+      click: () => {
+        requestBlocker.restoreDefaults();
+        buildAppMenu();
+      }
+    }
+  ];
+}
+
+// Global shortcuts and where to change them (Settings menu)
+function buildShortcutItems() {
+  const shortcuts = globalShortcuts.getShortcuts();
+  const items = Object.entries(GlobalShortcuts.ACTIONS).map(([id, { label }]) => {
+    let state = shortcuts[id] || 'Off';
+    if (globalShortcuts.failures[id]) {
+      state += ' (in use by another application)';
+    }
+    return { label: `${label}: ${state}`, enabled: false };
+  });
+  return [
+    ...items,
+    { type: 'separator' },
+    {
+      label: 'Edit Shortcuts...',
+      click: () => openSettings('shortcuts')
+    }
+  ];
+}
+
+// Accelerators of the application menu, so global shortcuts don't take them over
+function getMenuAccelerators(menu = Menu.getApplicationMenu()) {
+  if (!menu) {
+    return [];
+  }
+  return menu.items.flatMap(item => [
+    ...(item.accelerator ? [{ accelerator: item.accelerator, label: item.label }] : []),
+    ...(item.submenu ? getMenuAccelerators(item.submenu) : [])
+  ]);
+}
+
+// Global shortcut: hide the window if it's in front, otherwise bring it (or the lock screen) up
+function toggleMainWindow() {
+  if (!sessionProtection.isLocked && mainWindow && mainWindow.isVisible() && mainWindow.isFocused()) {
+    mainWindow.hide();
+    return;
+  }
+  showMainWindow();
+}
+
+function openQuickAdd() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+  quickAddWindow.open();
+}
+
+// Open a quick-add event in Google Calendar's editor, prefilled for the user to check and save
+function openQuickAddEvent(event) {
+  if (sessionProtection.isLocked || !mainWindow) {
+    showMainWindow();
+    return;
+  }
+  mainWindow.loadURL(buildEventEditUrl(event));
+  showMainWindow();
+}
+
+// Extra CA certificates and pinned fingerprints (Settings menu)
+function buildTrustedCertificateItems() {
+  const entryItems = trustedCertificates.list().map(entry => ({
+    label: `${entry.type === 'ca' ? 'CA' : 'Pinned'}: ${entry.name}`,
+    submenu: [
+      {
+        label: 'Details...',
+        click: () => dialog.showMessageBox(mainWindow, {
+          type: 'info',
+          title: 'Trusted Certificate',
+          message: entry.name,
+          detail: `Type: ${entry.type === 'ca' ? 'CA certificate' : 'Pinned server certificate'}\nFingerprint: ${entry.fingerprint}${entry.validTo ? `\nValid Until: ${new Date(entry.validTo).toLocaleString()}` : ''}\nAdded: ${new Date(entry.addedAt).toLocaleString()}`
+        })
+      },
+      {
+        label: 'Remove',
+        click: () => {
+          trustedCertificates.remove(entry.id);
+          sessionProtection.auditLog.record('certificate-trust-removed', { type: entry.type, name: entry.name, fingerprint: entry.fingerprint });
+          buildAppMenu();
+        }
+      }
+    ]
+  }));
+
+  return [
+    ...(entryItems.length > 0 ? entryItems : [{ label: 'No trusted certificates', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Add CA Certificate...',
+      click: () => addTrustedCertificate()
+    },
+    {
+      label: 'Pin Certificate Fingerprint...',
+      click: () => pinCertificateFingerprint()
+    }
+  ];
+}
+
+async function addTrustedCertificate() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Add CA Certificate',
+    filters: [
+      { name: 'Certificates', extensions: ['pem', 'crt', 'cer', 'der'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  let contents;
+  try {
+    contents = await fs.promises.readFile(result.filePaths[0]);
+  } catch (error) {
+    dialog.showErrorBox('Add CA Certificate', `The certificate file could not be read.\n\n${error.message}`);
+    return;
+  }
+  const { added, error } = trustedCertificates.addCertificates(contents);
+  if (error) {
+    dialog.showErrorBox('Add CA Certificate', error);
+    return;
+  }
+  for (const entry of added) {
+    sessionProtection.auditLog.record('certificate-trust-added', { type: 'ca', name: entry.name, fingerprint: entry.fingerprint });
+  }
+  buildAppMenu();
+  dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Add CA Certificate',
+    message: added.length > 0 ? `Trusting ${added.map(entry => entry.name).join(', ')}` : 'This certificate is already trusted',
+    detail: added.length > 0 ? 'Sites signed by this CA are accepted when Chromium does not recognise the issuer. Expired certificates and certificates for the wrong host are still rejected.' : ''
+  });
+}
+
+async function pinCertificateFingerprint() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+  const value = await promptText(mainWindow, {
+    title: 'Pin Certificate Fingerprint',
+    message: 'SHA-256 fingerprint of the server certificate to trust:',
+    placeholder: 'AB:CD:EF:… or sha256/…'
+  });
+  if (value === null) {
+    return;
+  }
+  const name = await promptText(mainWindow, {
+    title: 'Pin Certificate Fingerprint',
+    message: 'Name for this certificate (optional):',
+    placeholder: 'proxy.example.com'
+  });
+  if (name === null) {
+    return;
+  }
+  const result = trustedCertificates.addFingerprint(value, name);
+  if (result.error) {
+    dialog.showErrorBox('Pin Certificate Fingerprint', result.error);
+    return;
+  }
+  sessionProtection.auditLog.record('certificate-trust-added', { type: 'fingerprint', name: result.entry.name, fingerprint: result.entry.fingerprint });
+  buildAppMenu();
+}
+
+async function addBlocklistRule() {
+  const line = await promptText(mainWindow, {
+    title: 'Add Blocklist Rule',
+    message: 'Rule to add:\n  example.com or ||example.com^  - block a domain\n  */ads/*  - wildcard on the full URL\n  /ads?\\d+/  - regular expression\n  @@ prefix  - allow instead of block',
+    placeholder: '||example.com^'
+  });
+  if (line === null) {
+    return;
+  }
+  const result = requestBlocker.addRuleFromLine(line);
+  if (!result.success) {
+    dialog.showErrorBox('Add Blocklist Rule', `"${line}" was not added: ${result.error}`);
+    return;
+  }
+  buildAppMenu();
+}
+
+async function importBlocklistRules() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Blocklist Rules',
+    filters: [
+      { name: 'Rule Files', extensions: ['txt', 'hosts', 'list'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
   });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
 
-  // Security: Handle navigation
-  mainWindow.webContents.on('will-navigate', (event, url) => {
-    if (!isAllowedUrl(url)) {
-      event.preventDefault();
-      shell.openExternal(url);
-    }
-    // Allow navigation within the same window for Google URLs
+  try {
+    const text = await fs.promises.readFile(result.filePaths[0], 'utf8');
+    const { added, skipped } = requestBlocker.importRules(text);
+    buildAppMenu();
+    dialog.showMessageBox(mainWindow, {
+      type: 'info',
+      title: 'Import Blocklist Rules',
+      message: `Imported ${added} rule${added === 1 ? '' : 's'}`,
+      detail: skipped > 0 ? `${skipped} duplicate or invalid rule${skipped === 1 ? ' was' : 's were'} skipped.` : ''
+    });
+  } catch (error) {
+    dialog.showErrorBox('Import Blocklist Rules', `The rule file could not be read.\n\n${error.message}`);
+  }
+}
+
+async function exportBlocklistRules() {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Blocklist Rules',
+    defaultPath: 'wlfryt-blocklist.txt',
+    filters: [{ name: 'Rule Files', extensions: ['txt'] }]
   });
+  if (result.canceled || !result.filePath) {
+    return;
+  }
 
-  // Security: Handle new window requests - load in same window instead of opening new ones
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    if (isAllowedUrl(url)) {
-      // Load Google URLs in the same window instead of opening a new window
-      mainWindow.loadURL(url);
-      return { action: 'deny' };
-    }
-    // Open non-Google URLs in external browser
-    shell.openExternal(url);
-    return { action: 'deny' };
+  try {
+    await fs.promises.writeFile(result.filePath, requestBlocker.exportRules(), 'utf8');
+  } catch (error) {
+    dialog.showErrorBox('Export Blocklist Rules', `The rule file could not be saved.\n\n${error.message}`);
+  }
+}
+
+// Show what the blocklist cancelled recently and which rule matched
+async function showBlockedRequests() {
+  const log = requestBlocker.getBlockedLog();
+  const count = requestBlocker.getBlockedCount();
+  const lines = log.slice(0, 25).map((entry) => {
+    const time = new Date(entry.time).toLocaleTimeString();
+    const url = entry.url.length > 90 ? `${entry.url.slice(0, 90)}…` : entry.url;
+    return `${time}  ${url}\n    blocked by ${entry.rule}${entry.resourceType ? ` (${entry.resourceType})` : ''}`;
   });
+  const stats = requestBlocker.getRules()
+    .filter(rule => rule.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(rule => `${rule.hits}\t${RequestBlocker.formatRuleLine(rule)}`);
 
-  // Save window state on close
-  mainWindow.on('close', (event) => {
-    if (!mainWindow.isMaximized()) {
-      store.set('windowBounds', mainWindow.getBounds());
-    }
-    store.set('windowMaximized', mainWindow.isMaximized());
-    
-    // Minimize to tray instead of closing
-    if (store.get('closeToTray') && !isQuitting) {
-      event.preventDefault();
-      mainWindow.hide();
-      return false;
-    }
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Blocked Requests',
+    message: count > 0 ? `${count} request${count === 1 ? '' : 's'} blocked this session` : 'No requests blocked this session',
+    detail: [
+      ...lines,
+      log.length > lines.length ? `…and ${log.length - lines.length} more${count > log.length ? ` (of the last ${log.length} logged)` : ''}` : '',
+      stats.length > 0 ? `\nHits per rule:\n${stats.join('\n')}` : ''
+    ].filter(Boolean).join('\n'),
+    buttons: ['Close', 'Clear Log'],
+    defaultId: 0,
+    cancelId: 0
   });
-  
-  // Handle minimize to tray
-  mainWindow.on('minimize', (event) => {
-    // Security: Lock on minimize if enabled
-    if (sessionProtection.settings.lockOnMinimize) {
-      lockSession();
-    }
-    
-    if (store.get('minimizeToTray')) {
-      event.preventDefault();
-      mainWindow.hide();
-    }
+  if (result.response === 1) {
+    requestBlocker.clearBlockedLog();
+  }
+}
+
+// Replace the session key and re-encrypt the protected data (audit log, agenda cache)
+async function rotateSessionKey() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Rotate Session Key',
+    message: 'Create a new session key and re-encrypt all protected data with it?',
+    detail: 'The audit log and cached agenda are rewritten with the new key. You stay signed in.',
+    buttons: ['Cancel', 'Rotate Key'],
+    defaultId: 1,
+    cancelId: 0
   });
+  if (response !== 1) {
+    return;
+  }
+
+  try {
+    const { version, failed } = sessionProtection.rotateSessionKey('manual');
+    buildAppMenu();
+    dialog.showMessageBox(mainWindow, failed.length === 0
+      ? { type: 'info', title: 'Rotate Session Key', message: `The session key was rotated (version ${version}).` }
+      : {
+        type: 'warning',
+        title: 'Rotate Session Key',
+        message: `The session key was rotated (version ${version}), but some data could not be re-encrypted.`,
+        detail: `${failed.join('\n')}\n\nThe previous key is kept so this data stays readable. Check the audit log for damage.`
+      });
+  } catch (error) {
+    dialog.showErrorBox('Rotate Session Key', `The session key could not be rotated.\n\n${error.message}`);
+  }
+}
+
+// Security: Never replace an unreadable session key without asking - data encrypted
+// with it would be lost. Returns false if the app must not continue
+async function checkSessionKey() {
+  if (sessionProtection.isSessionKeyReadable()) {
+    return true;
+  }
 
-  // Security: Lock when window loses focus for extended time
-  let focusLostTime = null;
-  mainWindow.on('blur', () => {
-    focusLostTime = Date.now();
+  const { response } = await dialog.showMessageBox({
+    type: 'error',
+    title: 'Session Key Unreadable',
+    message: 'The session encryption key could not be read.',
+    detail: `${sessionProtection.keyError}\n\nThis can happen after your user profile was copied to another machine or your OS account password was reset. The audit log and other protected data cannot be decrypted without this key.\n\nCreating a new key moves the unreadable key and data to a backup folder. They are not deleted.`,
+    buttons: ['Quit', 'Create New Key'],
+    defaultId: 0,
+    cancelId: 0
   });
-  
-  mainWindow.on('focus', () => {
-    // If window was unfocused for more than 5 minutes, consider locking
-    if (focusLostTime && (Date.now() - focusLostTime) > 5 * 60 * 1000) {
-      if (sessionProtection.settings.autoLockMinutes > 0) {
-        // Reset the activity timer
-        sessionProtection.resetLockTimeout();
-      }
-    }
-    focusLostTime = null;
+  if (response !== 1) {
+    isQuitting = true;
+    app.quit();
+    return false;
+  }
+
+  try {
+    sessionProtection.resetSessionKey();
+    return true;
+  } catch (error) {
+    dialog.showErrorBox('Session Key Unreadable', `A new session key could not be created.\n\n${error.message}`);
+    isQuitting = true;
+    app.quit();
+    return false;
+  }
+}
+
+// Show recent security events and whether the log is intact
+async function showAuditLog() {
+  if (sessionProtection.isLocked) {
+    showMainWindow();
+    return;
+  }
+
+  const { entries, problems, verified } = sessionProtection.auditLog.read();
+  const lines = entries.slice(-30).reverse().map((entry) => {
+    const details = Object.entries(entry.details).map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`).join('; ');
+    return `${new Date(entry.time).toLocaleString()}  ${entry.type}${details ? `\n    ${details}` : ''}`;
   });
 
-  mainWindow.on('closed', () => {
-    mainWindow = null;
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: verified ? 'info' : 'warning',
+    title: 'Audit Log',
+    message: verified
+      ? `Audit log intact (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'})`
+      : 'The audit log has been modified or damaged',
+    detail: [
+      ...problems.map(problem => `⚠ ${problem}`),
+      problems.length > 0 ? '' : null,
+      ...lines,
+      entries.length > lines.length ? `…and ${entries.length - lines.length} older entries (export to see all)` : null
+    ].filter(line => line !== null).join('\n'),
+    buttons: ['Close', 'Export JSON...', 'Export CSV...'],
+    defaultId: 0,
+    cancelId: 0
   });
 
-  // Security: Prevent dev tools in production
-  if (app.isPackaged) {
-    mainWindow.webContents.on('devtools-opened', () => {
-      mainWindow.webContents.closeDevTools();
-    });
+  if (result.response === 1) {
+    exportAuditLog('json');
+  } else if (result.response === 2) {
+    exportAuditLog('csv');
   }
 }
 
-// Security: Disable hardware acceleration if needed for security
-// app.disableHardwareAcceleration();
+async function exportAuditLog(format) {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Audit Log',
+    defaultPath: `wlfryt-audit-log.${format}`,
+    filters: [format === 'csv' ? { name: 'CSV Files', extensions: ['csv'] } : { name: 'JSON Files', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return;
+  }
 
-// Create system tray
-function createTray() {
-  // Create tray icon (16x16 for Windows)
-  const trayIconPath = path.join(__dirname, '../assets/icon.png');
-  let trayIcon;
-  
   try {
-    trayIcon = nativeImage.createFromPath(trayIconPath);
-    trayIcon = trayIcon.resize({ width: 16, height: 16 });
-  } catch (e) {
-    // Fallback: create a simple icon
-    trayIcon = nativeImage.createEmpty();
+    const text = format === 'csv' ? sessionProtection.auditLog.exportCsv() : sessionProtection.auditLog.exportJson();
+    await fs.promises.writeFile(result.filePath, text, { encoding: 'utf8', mode: 0o600 });
+    sessionProtection.auditLog.record('audit-log-exported', { format });
+  } catch (error) {
+    dialog.showErrorBox('Export Audit Log', `The audit log could not be saved.\n\n${error.message}`);
   }
-  
-  tray = new Tray(trayIcon);
-  tray.setToolTip('WlfRyt Google Calendar');
-  
-  const contextMenu = Menu.buildFromTemplate([
-    {
-      label: 'Open Google Calendar',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
-    },
+}
+
+// Recent notifications with open/snooze actions (tray)
+function buildNotificationHistoryItems() {
+  // Security: Don't reveal event titles while locked
+  if (sessionProtection.isLocked) {
+    return [{ label: 'Unlock to see notifications', enabled: false }];
+  }
+
+  const history = notificationCenter.getHistory();
+  if (history.length === 0) {
+    return [{ label: 'No notifications', enabled: false }];
+  }
+
+  const items = history.slice(0, 10).map((entry) => {
+    const time = new Date(entry.receivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    let status = '';
+    if (entry.snoozedUntil) {
+      status = ' (snoozed)';
+    } else if (entry.suppressed) {
+      status = ' (silenced)';
+    }
+    return {
+      label: `${time}  ${entry.title}${status}`,
+      submenu: [
+        {
+          label: 'Open Event',
+          click: () => notificationCenter.open(entry.id)
+        },
+        ...NotificationCenter.SNOOZE_MINUTES.map(minutes => ({
+          label: `Snooze ${minutes} min`,
+          click: () => notificationCenter.snooze(entry.id, minutes)
+        }))
+      ]
+    };
+  });
+
+  return [
+    ...items,
     { type: 'separator' },
     {
-      label: 'Today',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.loadURL('https://calendar.google.com/calendar/r');
-          mainWindow.show();
-        }
-      }
-    },
-    {
-      label: 'New Event',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.loadURL('https://calendar.google.com/calendar/r/eventedit');
-          mainWindow.show();
-        }
-      }
-    },
-    { type: 'separator' },
+      label: 'Clear History',
+      click: () => notificationCenter.clearHistory()
+    }
+  ];
+}
+
+// Do Not Disturb durations (shared by the app and tray menus)
+function buildDoNotDisturbItems() {
+  const until = notificationCenter.getSettings().doNotDisturbUntil;
+  const active = until > Date.now();
+  const options = [
+    { label: '1 hour', minutes: 60 },
+    { label: '4 hours', minutes: 4 * 60 },
+    { label: '8 hours', minutes: 8 * 60 }
+  ];
+
+  return [
     {
-      label: 'Lock Session',
-      click: () => lockSession()
+      label: active
+        ? `On until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'Off',
+      enabled: false
     },
     { type: 'separator' },
-    {
-      label: 'Start with Windows',
-      type: 'checkbox',
-      checked: store.get('startWithWindows'),
-      click: async (menuItem) => {
-        store.set('startWithWindows', menuItem.checked);
-        if (menuItem.checked) {
-          await autoLauncher.enable();
-        } else {
-          await autoLauncher.disable();
-        }
+    ...options.map(option => ({
+      label: `Silence for ${option.label}`,
+      click: () => {
+        notificationCenter.setDoNotDisturb(option.minutes);
+        buildAppMenu();
       }
-    },
-    { type: 'separator' },
+    })),
     {
-      label: 'Quit',
+      label: 'Turn Off',
+      enabled: active,
       click: () => {
-        isQuitting = true;
-        app.quit();
+        notificationCenter.setDoNotDisturb(0);
+        buildAppMenu();
       }
     }
-  ]);
-  
-  tray.setContextMenu(contextMenu);
-  
-  // Double-click to show window
-  tray.on('double-click', () => {
-    if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
-    }
+  ];
+}
+
+async function editQuietHours() {
+  const { quietHours } = notificationCenter.getSettings();
+  const text = await promptText(mainWindow, {
+    title: 'Quiet Hours',
+    message: 'Silence notifications between these times (24-hour, e.g. 22:00-07:00):',
+    value: `${quietHours.start}-${quietHours.end}`
+  });
+  if (text === null) {
+    return;
+  }
+
+  const result = await applySettings({ quietHours: text, quietHoursEnabled: true });
+  if (result.errors.quietHours) {
+    dialog.showErrorBox('Quiet Hours', `"${text}" is not a valid time range. Use the format HH:MM-HH:MM.`);
+  }
+}
+
+// Rebuild menus after profiles change
+function refreshProfileMenus() {
+  buildAppMenu();
+  updateTrayMenu();
+}
+
+async function addProfile() {
+  const name = await promptText(mainWindow, {
+    title: 'Add Profile',
+    message: 'Name for the new profile (for example "Work" or "Personal"):',
+    placeholder: 'Profile name'
   });
+  if (!name || !name.trim()) {
+    return;
+  }
+  const profile = profiles.create(name);
+  refreshProfileMenus();
+  switchProfile(profile.id);
+}
+
+async function renameProfile() {
+  const active = profiles.getActive();
+  const name = await promptText(mainWindow, {
+    title: 'Rename Profile',
+    message: 'New name for this profile:',
+    value: active.name
+  });
+  if (name && profiles.rename(active.id, name)) {
+    refreshProfileMenus();
+  }
+}
+
+async function removeProfile() {
+  const active = profiles.getActive();
+  if (active.id === ProfileManager.DEFAULT_PROFILE_ID) {
+    return;
+  }
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Remove Profile'],
+    defaultId: 0,
+    title: 'Remove Profile',
+    message: `Remove the profile "${active.name}"? Its saved login and data will be cleared.`
+  });
+  if (result.response !== 1) {
+    return;
+  }
+  await session.fromPartition(active.partition).clearStorageData();
+  sessionProtection.auditLog.record('profile-removed', { profile: active.name });
+  profiles.remove(active.id);
+
+  // Reopen the window on the default profile
+  reopenMainWindow();
 }
 
-// Lock screen HTML
-const lockScreenHtml = `
+// Lock screen / passcode HTML
+// mode 'lock' unlocks the session, mode 'change' sets a new passcode (or the first one)
+function getPasscodeScreenHtml(mode) {
+  return `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
-  <title>Session Locked</title>
+  <title>${mode === 'lock' ? 'Session Locked' : 'Change Passcode'}</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
@@ -610,11 +2431,21 @@ const lockScreenHtml = `
       border-radius: 16px;
       box-shadow: 0 20px 60px rgba(0,0,0,0.3);
       text-align: center;
-      max-width: 400px;
+      width: 400px;
     }
     .lock-icon { font-size: 64px; margin-bottom: 20px; }
     h1 { color: #333; margin-bottom: 10px; font-size: 24px; }
-    p { color: #666; margin-bottom: 30px; }
+    p { color: #666; margin-bottom: 20px; }
+    input {
+      display: block;
+      width: 100%;
+      padding: 12px;
+      margin-bottom: 12px;
+      font-size: 16px;
+      border: 1px solid #ccc;
+      border-radius: 8px;
+      text-align: center;
+    }
     button {
       background: #4285f4;
       color: white;
@@ -626,6 +2457,12 @@ const lockScreenHtml = `
       transition: background 0.2s;
     }
     button:hover { background: #3367d6; }
+    button:disabled { background: #9bbcf5; cursor: default; }
+    button.secondary { background: #eee; color: #333; margin-left: 8px; }
+    #biometric { margin: 12px 0 0; }
+    .link { display: inline-block; margin-top: 16px; font-size: 12px; color: #4285f4; cursor: pointer; }
+    .error { color: #d93025; min-height: 20px; margin-bottom: 12px; font-size: 14px; }
+    .hidden { display: none; }
     .security-note {
       margin-top: 20px;
       font-size: 12px;
@@ -636,36 +2473,296 @@ const lockScreenHtml = `
 <body>
   <div class="lock-container">
     <div class="lock-icon">🔒</div>
-    <h1>Session Locked</h1>
-    <p>Your Google Calendar session has been locked for security.</p>
-    <button onclick="unlock()">Unlock Session</button>
+    <h1 id="title"></h1>
+    <p id="subtitle"></p>
+    <form id="form">
+      <input id="current" type="password" autocomplete="off" placeholder="Current passcode" class="hidden">
+      <input id="passcode" type="password" autocomplete="off" placeholder="Passcode" autofocus>
+      <input id="confirm" type="password" autocomplete="off" placeholder="Confirm passcode" class="hidden">
+      <div class="error" id="error"></div>
+      <button type="submit" id="submit"></button>
+      <button type="button" id="cancel" class="secondary hidden">Cancel</button>
+    </form>
+    <button type="button" id="biometric" class="secondary hidden"></button>
+    <span class="link hidden" id="reset">Forgot passcode?</span>
     <p class="security-note">Session data is encrypted and protected</p>
   </div>
   <script>
-    function unlock() {
-      window.secureApp.lockSession().then(() => window.location.reload());
+    const mode = '${mode}';
+    const $ = (id) => document.getElementById(id);
+    let state = null;
+    let retryTimer = null;
+
+    function show(id, visible) {
+      $(id).classList.toggle('hidden', !visible);
     }
+
+    function waitForRetry(ms) {
+      clearInterval(retryTimer);
+      const until = Date.now() + ms;
+      const tick = () => {
+        const remaining = Math.ceil((until - Date.now()) / 1000);
+        if (remaining <= 0) {
+          clearInterval(retryTimer);
+          $('submit').disabled = false;
+          $('error').textContent = '';
+          return;
+        }
+        $('submit').disabled = true;
+        $('error').textContent = 'Too many failed attempts. Try again in ' + remaining + 's';
+      };
+      tick();
+      retryTimer = setInterval(tick, 1000);
+    }
+
+    async function render() {
+      state = await window.secureApp.getPasscodeState();
+      const settingUp = !state.hasPasscode;
+      $('form').reset();
+
+      if (mode === 'lock') {
+        $('title').textContent = 'Session Locked';
+        $('subtitle').textContent = 'Enter your passcode to unlock Google Calendar.';
+        $('submit').textContent = 'Unlock Session';
+        show('confirm', false);
+        show('reset', true);
+        if (state.biometricLabel) {
+          $('biometric').textContent = 'Unlock with ' + state.biometricLabel;
+          show('biometric', true);
+        }
+      } else {
+        $('title').textContent = settingUp ? 'Set a Passcode' : 'Change Passcode';
+        $('subtitle').textContent = 'Choose a new passcode of at least ' + state.minLength + ' characters.';
+        $('submit').textContent = 'Save Passcode';
+        $('passcode').placeholder = 'New passcode';
+        show('current', !settingUp);
+        show('confirm', true);
+        show('cancel', true);
+      }
+
+      if (state.retryAfterMs > 0) {
+        waitForRetry(state.retryAfterMs);
+      }
+      (mode === 'change' && !settingUp ? $('current') : $('passcode')).focus();
+    }
+
+    function showResult(result) {
+      if (result.wiped || result.wipeRequired) {
+        render();
+        $('error').textContent = 'Too many failed attempts. Session data has been wiped.';
+        return;
+      }
+      if (result.retryAfterMs > 0) {
+        waitForRetry(result.retryAfterMs);
+        return;
+      }
+      let message = result.error || 'Something went wrong';
+      if (result.attemptsRemaining != null) {
+        message += ' (' + result.attemptsRemaining + ' attempts before wipe)';
+      }
+      $('error').textContent = message;
+    }
+
+    $('form').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const passcode = $('passcode').value;
+      const settingNew = mode === 'change';
+
+      if (settingNew && passcode !== $('confirm').value) {
+        $('error').textContent = 'Passcodes do not match';
+        return;
+      }
+
+      $('submit').disabled = true;
+      const result = settingNew
+        ? await window.secureApp.setPasscode({ passcode, currentPasscode: $('current').value })
+        : await window.secureApp.unlockSession(passcode);
+      $('submit').disabled = false;
+
+      if (result.success) {
+        if (mode === 'change') {
+          window.close();
+        }
+        return;
+      }
+      $('passcode').value = '';
+      showResult(result);
+    });
+
+    $('cancel').addEventListener('click', () => window.close());
+
+    $('biometric').addEventListener('click', async () => {
+      $('biometric').disabled = true;
+      $('error').textContent = '';
+      const result = await window.secureApp.unlockWithBiometrics();
+      $('biometric').disabled = false;
+      if (!result.success) {
+        $('error').textContent = result.error;
+        $('passcode').focus();
+      }
+    });
+
+    $('reset').addEventListener('click', async () => {
+      if (await window.secureApp.resetPasscode()) {
+        render();
+      }
+    });
+
+    render();
   </script>
 </body>
 </html>
 `;
+}
+
+let lockWindow = null;
+let passcodeWindow = null;
+
+// Hides the page under the lock screen in "blur in place" mode
+const LOCK_BLUR_CSS = 'html { filter: blur(24px) !important; pointer-events: none !important; user-select: none !important; }';
+let lockBlurKey = null;
+let mainWindowBlurred = false;
+
+// Lock from the menu, tray, IPC, minimize or a power event - the inactivity timer locks
+// SessionProtection directly. Either way the UI follows in applyLockState
+// Returns whether the session is locked (it can't be until a passcode is set)
+function lockSession(reason = 'manual') {
+  sessionProtection.lock(reason);
+  if (!sessionProtection.isLocked && ['manual', 'shortcut'].includes(reason)) {
+    offerPasscodeSetup();
+  }
+  return sessionProtection.isLocked;
+}
+
+async function offerPasscodeSetup() {
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    buttons: ['Set Passcode...', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Lock Session',
+    message: 'Set a passcode first',
+    detail: 'The session can only be locked once a passcode is set. Auto-lock starts then too.'
+  });
+  if (response === 0) {
+    openPasscodeWindow();
+  }
+}
+
+// Reflect a lock state change in every window and the tray
+function applyLockState(isLocked) {
+  if (isLocked) {
+    // Security: Settings can't be changed while locked, and copied calendar text goes
+    settingsWindow.close();
+    secureClipboard.clearNow();
+    concealMainWindow();
+    calendarWindows.conceal();
+    showLockScreen();
+  } else {
+    if (lockWindow) {
+      lockWindow.close();
+      lockWindow = null;
+    }
+    revealMainWindow();
+    calendarWindows.reveal();
+    processPendingCommandUrl();
+    processPendingCalendarSources();
+  }
+
+  updateTrayMenu();
+  for (const win of BrowserWindow.getAllWindows()) {
+    win.webContents.send('lock-state-changed', isLocked);
+  }
+}
+
+// Hide the calendar while locked - or, in "blur in place" mode, keep a visible window
+// where it is, blurred and disabled under the lock screen
+function concealMainWindow() {
+  if (!mainWindow) {
+    return;
+  }
+  if (sessionProtection.settings.lockDisplay === 'blur' && mainWindow.isVisible() && !mainWindow.isMinimized()) {
+    mainWindowBlurred = true;
+    mainWindow.setEnabled(false);
+    applyLockBlur();
+  } else {
+    mainWindow.hide();
+  }
+}
+
+async function applyLockBlur() {
+  const win = mainWindow;
+  const key = await win.webContents.insertCSS(LOCK_BLUR_CSS, { cssOrigin: 'user' });
+  // Unlocked (or navigated away) while the style was being inserted
+  if (!mainWindowBlurred || win !== mainWindow) {
+    win.webContents.removeInsertedCSS(key);
+    return;
+  }
+  lockBlurKey = key;
+}
+
+// Switch a blurred calendar to hidden (see did-start-navigation)
+function hideBlurredMainWindow() {
+  mainWindowBlurred = false;
+  // The inserted style went with the old page
+  lockBlurKey = null;
+  mainWindow.setEnabled(true);
+  mainWindow.hide();
+}
+
+function revealMainWindow() {
+  if (!mainWindow) {
+    return;
+  }
+  if (mainWindowBlurred) {
+    mainWindowBlurred = false;
+    mainWindow.setEnabled(true);
+    if (lockBlurKey) {
+      mainWindow.webContents.removeInsertedCSS(lockBlurKey);
+      lockBlurKey = null;
+    }
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
 
-let lockWindow = null;
+let idleWarning = null;
 
-function lockSession() {
-  if (lockWindow) return;
-  
-  sessionProtection.lock();
-  
-  // Hide main window
-  if (mainWindow) {
-    mainWindow.hide();
+// "Locking in 30s" notification before an inactivity lock (null closes it)
+function showIdleWarning(secondsLeft) {
+  if (idleWarning) {
+    idleWarning.close();
+    idleWarning = null;
   }
-  
-  // Create lock window
+  if (secondsLeft === null || !Notification.isSupported()) {
+    return;
+  }
+
+  const stayUnlocked = () => sessionProtection.resetLockTimeout();
+  idleWarning = new Notification({
+    title: `Locking in ${secondsLeft}s`,
+    body: 'WlfRyt Google Calendar is about to lock because you are away. Click to stay unlocked.',
+    actions: [{ type: 'button', text: 'Stay Unlocked' }],
+    urgency: 'critical',
+    silent: true
+  });
+  idleWarning.on('click', stayUnlocked);
+  idleWarning.on('action', stayUnlocked);
+  idleWarning.show();
+}
+
+// Create the lock screen (it can only be dismissed by unlocking)
+function showLockScreen() {
+  if (lockWindow) {
+    return;
+  }
+
+  // Over the blurred calendar, or centered on screen when the calendar is hidden
+  const position = mainWindowBlurred ? centerOver(mainWindow.getBounds(), 500, 520) : {};
   lockWindow = new BrowserWindow({
     width: 500,
-    height: 400,
+    height: 520,
+    ...position,
     resizable: false,
     frame: false,
     alwaysOnTop: true,
@@ -676,52 +2773,635 @@ function lockSession() {
     }
   });
   
-  lockWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(lockScreenHtml));
+  lockWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(getPasscodeScreenHtml('lock')));
+
+  lockWindow.on('close', (event) => {
+    if (sessionProtection.isLocked && !isQuitting) {
+      event.preventDefault();
+    }
+  });
   
   lockWindow.on('closed', () => {
     lockWindow = null;
   });
 }
 
-function unlockSession() {
-  sessionProtection.unlock();
-  
-  if (lockWindow) {
-    lockWindow.close();
-    lockWindow = null;
+function centerOver(bounds, width, height) {
+  return {
+    x: Math.round(bounds.x + (bounds.width - width) / 2),
+    y: Math.round(bounds.y + (bounds.height - height) / 2)
+  };
+}
+
+async function unlockSession(passcode) {
+  const result = await sessionProtection.unlock(passcode);
+
+  // Security: Wipe the session after too many failed attempts
+  if (result.wipeRequired) {
+    await clearSessionData(undefined, 'failed-attempts');
+    if (mainWindow) {
+      mainWindow.reload();
+    }
+    return { ...result, wiped: true };
+  }
+  return result;
+}
+
+// Unlock with Touch ID / Windows Hello / polkit - the passcode stays available on failure
+async function unlockSessionWithBiometrics() {
+  const result = await sessionProtection.unlockWithBiometrics();
+  if (!result.success && lockWindow) {
+    // The OS prompt takes focus - bring the lock screen back for the passcode
+    lockWindow.show();
+    lockWindow.focus();
+  }
+  return result;
+}
+
+// Show the main window, or the lock screen if the session is locked
+function showMainWindow() {
+  if (sessionProtection.isLocked) {
+    showLockScreen();
+    lockWindow.show();
+    lockWindow.focus();
+    return;
   }
-  
   if (mainWindow) {
     mainWindow.show();
     mainWindow.focus();
   }
 }
 
-// IPC Handlers
-ipcMain.handle('lock-session', () => {
-  if (sessionProtection.isLocked) {
-    unlockSession();
+// Open the set/change passcode window
+function openPasscodeWindow() {
+  if (passcodeWindow) {
+    passcodeWindow.focus();
+    return;
+  }
+
+  passcodeWindow = new BrowserWindow({
+    width: 500,
+    height: 560,
+    resizable: false,
+    parent: mainWindow,
+    modal: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    }
+  });
+  passcodeWindow.setMenu(null);
+  passcodeWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(getPasscodeScreenHtml('change')));
+
+  passcodeWindow.on('closed', () => {
+    passcodeWindow = null;
+  });
+}
+
+// Clear one profile's browser session, or every profile plus all protected data
+// `reason` is recorded in the audit log
+async function clearSessionData(profileId, reason = 'user') {
+  if (profileId) {
+    const profile = profiles.get(profileId);
+    if (profile) {
+      await session.fromPartition(profile.partition).clearStorageData();
+      sessionProtection.auditLog.record('session-cleared', { profile: profile.name, reason });
+    }
+    return;
+  }
+
+  for (const profile of profiles.list()) {
+    await session.fromPartition(profile.partition).clearStorageData();
+  }
+  await sessionProtection.clearAllData(reason);
+}
+
+// The saved settings can't be decrypted - usually the keychain is locked or not running yet
+async function askUnreadableStore(problems) {
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    title: 'App Settings',
+    message: 'Your saved settings could not be decrypted',
+    detail: `${problems.length > 0 ? `${problems.join('\n')}\n\n` : ''}If the OS keychain is locked or still starting, unlock it and try again. ` +
+      'Continuing without saving leaves your settings untouched but uses the defaults until the next start. ' +
+      'Resetting starts over with new settings (the old file is kept in the app data folder).',
+    buttons: ['Try Again', 'Continue Without Saving', 'Reset Settings'],
+    defaultId: 0,
+    cancelId: 1
+  });
+  return ['retry', 'continue', 'reset'][response];
+}
+
+// Open the encrypted store and create the services that keep their state in it
+async function initializeStore() {
+  ({ store, status: storeStatus } = await openAppStore({
+    name: 'app-config',
+    defaults: STORE_DEFAULTS,
+    onEvent: (type, details) => sessionProtection.auditLog.record(type, details),
+    onUnreadable: ({ problems }) => askUnreadableStore(problems)
+  }));
+  if (storeStatus.problems.length > 0) {
+    console.warn('App settings store:', storeStatus.problems.join('; '));
+  }
+
+  if (managedPolicy.active) {
+    managedPolicy.applyToStore(store);
+  }
+
+  // Named account profiles, each with an isolated session partition
+  profiles = new ProfileManager(store);
+
+  // User-editable request blocklist
+  requestBlocker = new RequestBlocker(store);
+
+  // Proxy for the feed downloads (calendar sessions get it in configureSession)
+  // and the opt-in extra CAs checked on certificate errors
+  await applyProxySettings();
+  trustedCertificates = new TrustedCertificates(store);
+
+  // Additional calendar windows and the today widget
+  calendarWindows = new CalendarWindows({
+    profiles,
+    createWebPreferences: partition => getCalendarWebPreferences(partition),
+    setupWindow: win => setupCalendarWindow(win),
+    isLocked: () => sessionProtection.isLocked,
+    isQuitting: () => isQuitting,
+    onChange: () => {
+      buildAppMenu();
+      updateTrayMenu();
+    }
+  });
+
+  // OS-wide hotkeys (registered once the app is ready)
+  globalShortcuts = new GlobalShortcuts({
+    store,
+    actions: {
+      toggleWindow: () => toggleMainWindow(),
+      lockSession: () => lockSession('shortcut'),
+      quickAdd: () => openQuickAdd()
+    },
+    getMenuAccelerators: () => getMenuAccelerators()
+  });
+
+  // Native notifications bridged from the calendar page
+  notificationCenter = new NotificationCenter(store, {
+    onOpen: (entry) => {
+      showMainWindow();
+      if (!entry.webContents.isDestroyed()) {
+        entry.webContents.send('notification-event', { id: entry.pageId, type: 'click' });
+      }
+    },
+    onChange: () => updateTrayMenu(),
+    shouldRedact: () => sessionProtection.isLocked
+  });
+
+  // Upcoming events for the tray, polled from iCal feeds
+  agendaService = new AgendaService({
+    store,
+    sessionProtection,
+    loadSource: source => (/^[a-z]+:\/\//i.test(source) ? fetchCalendarFeed(source) : readCalendarFile(source)),
+    onUpdate: () => {
+      updateTrayMenu();
+      offlineSnapshot.capture(agendaService);
+    }
+  });
+}
+
+// Respond to a failed app integrity check as configured (warn, block or wipe)
+// Returns false if the app must not continue
+async function handleIntegrityFailure() {
+  const integrity = sessionProtection.integrityStatus;
+  if (integrity.status !== 'failed') {
+    return true;
+  }
+
+  const action = sessionProtection.settings.integrityFailureAction;
+  const detail = integrity.problems.slice(0, 10).join('\n') +
+    (integrity.problems.length > 10 ? `\n…and ${integrity.problems.length - 10} more` : '');
+
+  if (action === 'block') {
+    dialog.showMessageBoxSync({
+      type: 'error',
+      title: 'App Integrity Check Failed',
+      message: 'WlfRyt Google Calendar has been modified and will not open your calendar session.',
+      detail: `${detail}\n\nReinstall the app from a trusted source.`,
+      buttons: ['Quit']
+    });
+    isQuitting = true;
+    app.quit();
     return false;
+  }
+
+  if (action === 'wipe') {
+    await clearSessionData(undefined, 'integrity-failure');
+  }
+  dialog.showMessageBox({
+    type: 'warning',
+    title: 'App Integrity Check Failed',
+    message: action === 'wipe'
+      ? 'App files have been modified. Your saved session was wiped as a precaution.'
+      : 'App files have been modified. Reinstall the app from a trusted source if you did not expect this.',
+    detail
+  });
+  return true;
+}
+
+// Calendar files and webcal:// links waiting for the window (or an unlock)
+const pendingCalendarSources = [];
+
+// Find .ics/.vcs files and webcal:// links in command-line arguments
+function getCalendarSources(argv, workingDirectory = process.cwd()) {
+  return argv.slice(1)
+    .filter(arg => !arg.startsWith('--'))
+    .map((arg) => {
+      if (/^webcals?:\/\//i.test(arg)) {
+        return arg;
+      }
+      if (/\.(ics|vcs)$/i.test(arg)) {
+        return path.resolve(workingDirectory, arg);
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Fetch a webcal:// feed (always over HTTPS)
+async function fetchCalendarFeed(url) {
+  const httpsUrl = url.replace(/^webcals?:\/\//i, 'https://');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 15000);
+  try {
+    const response = await net.fetch(httpsUrl, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`The server responded with ${response.status} ${response.statusText}`);
+    }
+    const text = await response.text();
+    if (Buffer.byteLength(text, 'utf8') > MAX_CALENDAR_BYTES) {
+      throw new Error('The calendar feed is too large');
+    }
+    return text;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('The calendar feed did not respond in time');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Read a local .ics/.vcs file
+async function readCalendarFile(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  if (!stats.isFile()) {
+    throw new Error('Not a file');
+  }
+  if (stats.size > MAX_CALENDAR_BYTES) {
+    throw new Error('The calendar file is too large');
+  }
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
+// Summarize events for the preview dialog
+function formatEventPreview(events) {
+  const sorted = [...events].sort((a, b) => a.start - b.start);
+  const lines = sorted.slice(0, 15).map((event) => {
+    const when = event.allDay
+      ? event.start.toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })
+      : event.start.toLocaleString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    return `• ${when} – ${event.summary || '(No title)'}${event.rrule ? ' (repeats)' : ''}`;
+  });
+  if (sorted.length > lines.length) {
+    lines.push(`…and ${sorted.length - lines.length} more`);
+  }
+  return lines.join('\n');
+}
+
+// Preview a calendar file or feed and offer to import/subscribe via Google Calendar
+async function openCalendarSource(source) {
+  if (!app.isReady() || !mainWindow || sessionProtection.isLocked) {
+    pendingCalendarSources.push(source);
+    if (sessionProtection.isLocked) {
+      showMainWindow();
+    }
+    return;
+  }
+
+  const isFeed = /^webcals?:\/\//i.test(source);
+  const displayName = isFeed ? source : path.basename(source);
+  let calendar;
+
+  try {
+    const text = isFeed ? await fetchCalendarFeed(source) : await readCalendarFile(source);
+    calendar = parseICal(text);
+    if (!isFeed && calendar.events.length === 0) {
+      throw new Error('The file contains no events');
+    }
+  } catch (error) {
+    dialog.showErrorBox('Could Not Open Calendar', `${displayName} could not be opened.\n\n${error.message}`);
+    return;
+  }
+
+  showMainWindow();
+  const count = calendar.events.length;
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: isFeed ? 'Subscribe to Calendar' : 'Import Calendar File',
+    message: `${calendar.name || displayName} (${count} event${count === 1 ? '' : 's'})`,
+    detail: count > 0 ? formatEventPreview(calendar.events) : 'This calendar has no events yet.',
+    buttons: ['Cancel', isFeed ? 'Subscribe in Google Calendar' : 'Import into Google Calendar'],
+    defaultId: 1,
+    cancelId: 0
+  });
+  if (result.response !== 1) {
+    return;
+  }
+
+  if (isFeed) {
+    mainWindow.loadURL(`https://calendar.google.com/calendar/r?cid=${encodeURIComponent(source)}`);
   } else {
-    lockSession();
-    return true;
+    // Google's import page needs the file picked by hand - reveal it to make that easy
+    mainWindow.loadURL('https://calendar.google.com/calendar/r/settings/export');
+    shell.showItemInFolder(source);
+  }
+}
+
+function processPendingCalendarSources() {
+  const sources = pendingCalendarSources.splice(0);
+  sources.forEach(source => openCalendarSource(source));
+}
+
+// Calendar page asked for on the command line while locked (opened on unlock)
+let pendingCommandUrl = null;
+
+// Carry out command-line options, from this launch, a second one or the automation API
+function runCommandLine(command) {
+  if (command.quit) {
+    isQuitting = true;
+    app.quit();
+    return;
+  }
+
+  if (command.profile) {
+    const name = command.profile.toLowerCase();
+    const profile = profiles.list().find(item => item.id === command.profile || item.name.toLowerCase() === name);
+    if (!profile) {
+      dialog.showErrorBox('Unknown Profile', `There is no profile named "${command.profile}".`);
+    } else {
+      switchProfile(profile.id);
+    }
+  }
+
+  if (command.lock) {
+    lockSession('command-line');
+  }
+
+  const url = getCommandUrl(command);
+  if (url && sessionProtection.isLocked) {
+    pendingCommandUrl = url;
+  } else if (url && mainWindow) {
+    mainWindow.loadURL(url);
+  }
+  if (mainWindow) {
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    showMainWindow();
+  }
+}
+
+// String parameters of an automation call - anything else is refused
+function pickAutomationParams(params, names) {
+  const values = {};
+  for (const [name, value] of Object.entries(params)) {
+    if (!names.includes(name)) {
+      throw new AutomationServer.AutomationError(AutomationServer.ERRORS.INVALID_PARAMS, `Unknown parameter "${name}"`);
+    }
+    if (typeof value !== 'string') {
+      throw new AutomationServer.AutomationError(AutomationServer.ERRORS.INVALID_PARAMS, `${name} must be a string`);
+    }
+    values[name] = value.trim();
+  }
+  return values;
+}
+
+// Run a command built from automation parameters (validated like the command line)
+function runAutomationCommand(values) {
+  const { command, errors } = buildCommand(values);
+  if (errors.length > 0) {
+    throw new AutomationServer.AutomationError(AutomationServer.ERRORS.INVALID_PARAMS, errors.join('; '));
+  }
+  runCommandLine(command);
+  return { url: getCommandUrl(command), waitingForUnlock: sessionProtection.isLocked };
+}
+
+// navigate({ view, date }) - show a view and/or a date
+function automationNavigate(params) {
+  const values = pickAutomationParams(params, ['view', 'date']);
+  if (!values.view && !values.date) {
+    throw new AutomationServer.AutomationError(AutomationServer.ERRORS.INVALID_PARAMS, 'Give a view, a date or both');
+  }
+  return runAutomationCommand(values);
+}
+
+// newEvent({ title, start, end | duration, location }) - open the prefilled event editor
+function automationNewEvent(params) {
+  return runAutomationCommand({ 'new-event': true, ...pickAutomationParams(params, ['title', 'start', 'end', 'duration', 'location']) });
+}
+
+// unlock({ passcode }) - counts towards failed attempts like the lock screen
+async function automationUnlock(params) {
+  const { passcode } = pickAutomationParams(params, ['passcode']);
+  if (!sessionProtection.isLocked) {
+    return { unlocked: true };
+  }
+  if (!passcode) {
+    throw new AutomationServer.AutomationError(AutomationServer.ERRORS.INVALID_PARAMS, 'passcode is required');
+  }
+  const result = await unlockSession(passcode);
+  if (!result.success) {
+    throw new AutomationServer.AutomationError(AutomationServer.ERRORS.FAILED, result.error || 'Incorrect passcode');
+  }
+  return { unlocked: true };
+}
+
+// Start or stop the automation server to match the setting
+async function applyAutomationSetting() {
+  if (!store.get('automationEnabled')) {
+    automationServer.stop();
+    return;
+  }
+  try {
+    await automationServer.start();
+  } catch (error) {
+    dialog.showErrorBox('Automation API', `The automation API could not be started.\n\n${error.message}`);
+  }
+}
+
+// Automation API switch and token (Settings menu)
+function buildAutomationItems() {
+  return [
+    managedItem({
+      label: 'Allow Local Scripts',
+      type: 'checkbox',
+      checked: store.get('automationEnabled'),
+      click: item => applySettings({ automationEnabled: item.checked })
+    }, managedPolicy.isSettingManaged('automationEnabled')),
+    { type: 'separator' },
+    {
+      label: 'Show Token File',
+      enabled: automationServer.isRunning(),
+      click: () => shell.showItemInFolder(automationServer.getTokenPath())
+    },
+    {
+      label: 'Regenerate Token',
+      enabled: automationServer.isRunning(),
+      click: () => {
+        automationServer.regenerateToken();
+        sessionProtection.auditLog.record('automation-token-regenerated', {});
+      }
+    },
+    {
+      label: 'Connection Details...',
+      enabled: automationServer.isRunning(),
+      click: () => dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Automation API',
+        message: 'Automation API',
+        detail: `Endpoint: ${automationServer.getSocketPath()}\nToken file: ${automationServer.getTokenPath()}\n\nSend one JSON-RPC 2.0 message per line, starting with "authenticate" and the token.`
+      })
+    }
+  ];
+}
+
+function processPendingCommandUrl() {
+  if (pendingCommandUrl && mainWindow) {
+    mainWindow.loadURL(pendingCommandUrl);
+  }
+  pendingCommandUrl = null;
+}
+
+// Passcode IPC is only accepted from the lock screen and passcode windows
+function isPasscodeSender(event) {
+  return [lockWindow, passcodeWindow].some(win => win && !win.isDestroyed() && event.sender === win.webContents);
+}
+
+// IPC Handlers
+ipcMain.handle('lock-session', () => {
+  lockSession('renderer');
+  return true;
+});
+
+ipcMain.handle('unlock-session', async (event, passcode) => {
+  if (!lockWindow || event.sender !== lockWindow.webContents) {
+    return { success: false, error: 'Unlock is only available from the lock screen' };
+  }
+  return unlockSession(passcode);
+});
+
+ipcMain.handle('unlock-session-biometric', async (event) => {
+  if (!lockWindow || event.sender !== lockWindow.webContents) {
+    return { success: false, error: 'Unlock is only available from the lock screen' };
   }
+  return unlockSessionWithBiometrics();
 });
 
 ipcMain.handle('is-locked', () => sessionProtection.isLocked);
 
+ipcMain.on('clipboard-copied', (event) => {
+  if ((mainWindow && event.sender === mainWindow.webContents) || calendarWindows.owns(event.sender)) {
+    secureClipboard.handleCopy();
+  }
+});
+
+ipcMain.handle('get-passcode-state', (event) => {
+  if (!isPasscodeSender(event)) {
+    return null;
+  }
+  return sessionProtection.getPasscodeState();
+});
+
+ipcMain.handle('set-passcode', async (event, { passcode, currentPasscode } = {}) => {
+  if (!isPasscodeSender(event)) {
+    return { success: false, error: 'Not allowed' };
+  }
+  const result = await sessionProtection.setPasscode(passcode, currentPasscode);
+  if (result.wipeRequired) {
+    await clearSessionData(undefined, 'failed-attempts');
+    return { ...result, wiped: true };
+  }
+  if (result.success) {
+    // "Set Passcode..." becomes "Change Passcode..."
+    buildAppMenu();
+  }
+  return result;
+});
+
+ipcMain.handle('reset-passcode', async (event) => {
+  if (!isPasscodeSender(event)) {
+    return false;
+  }
+  const result = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+    type: 'warning',
+    buttons: ['Cancel', 'Reset and Log Out'],
+    defaultId: 0,
+    title: 'Reset Passcode',
+    message: 'Resetting the passcode clears all saved session data and logs you out of Google. Continue?'
+  });
+  if (result.response !== 1) {
+    return false;
+  }
+  await clearSessionData(undefined, 'passcode-reset');
+  if (mainWindow) {
+    mainWindow.reload();
+  }
+  return true;
+});
+
+// Notifications from the calendar page are shown natively
+ipcMain.handle('show-notification', (event, notification) => {
+  if (!mainWindow || event.sender !== mainWindow.webContents || !notification) {
+    return false;
+  }
+  return notificationCenter.show(event.sender, notification);
+});
+
+ipcMain.on('close-notification', (event, id) => {
+  notificationCenter.closeFromPage(event.sender, id);
+});
+
 ipcMain.handle('get-app-info', () => ({
   version: app.getVersion(),
   securityStatus: sessionProtection.getSecurityStatus()
 }));
 
 ipcMain.handle('clear-session', async () => {
-  await session.fromPartition('persist:google-calendar-secure').clearStorageData();
-  await sessionProtection.clearAllData();
+  if (managedPolicy.disableClearSessionData) {
+    return false;
+  }
+  await clearSessionData(undefined, 'renderer');
   return true;
 });
 
 app.whenReady().then(async () => {
+  // The session key is usable now - write audit events recorded during startup
+  // (after making sure it can be read)
+  if (!(await checkSessionKey())) {
+    return;
+  }
+  sessionProtection.auditLog.start();
+  sessionProtection.startKeyRotationSchedule();
+
+  // Security: Open the settings store with its per-install key (migrating older data)
+  await initializeStore();
+
+  // Security: Act on a failed app integrity check before any session is loaded
+  if (!(await handleIntegrityFailure())) {
+    return;
+  }
+
+  // Load the navigation policy file, if one is deployed
+  navigationPolicy.load();
+
   // Security: Set up permission handler
   session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
     const allowedPermissions = ['notifications', 'clipboard-read', 'clipboard-sanitized-write'];
@@ -750,26 +3430,61 @@ app.whenReady().then(async () => {
   // Create system tray
   createTray();
 
+  // Start polling agenda feeds for the tray
+  agendaService.start();
+
+  // Security: Find out whether Touch ID / Windows Hello / polkit can be offered (may be slow)
+  sessionProtection.isBiometricAvailable().then(() => buildAppMenu());
+
   // Monitor system lock/sleep events
   powerMonitor.on('lock-screen', () => {
-    lockSession();
+    lockSession('screen-lock');
   });
 
   powerMonitor.on('suspend', () => {
-    lockSession();
+    lockSession('suspend');
   });
 
-  // Start activity timeout
-  sessionProtection.resetLockTimeout();
+  // Apply the active profile's lock settings and start activity timeout
+  applyProfileLockSettings(profiles.getActive());
+
+  // Global shortcuts (before the menu is built, which shows any that are taken)
+  globalShortcuts.register();
+
+  // Local automation API, if turned on (before the menu, which shows whether it's running)
+  await applyAutomationSetting();
 
   createWindow();
-  
-  // Reset timeout on user activity
-  if (mainWindow) {
-    mainWindow.on('focus', () => sessionProtection.resetLockTimeout());
-    mainWindow.webContents.on('before-input-event', () => sessionProtection.resetLockTimeout());
+
+  // Follow displays being connected and disconnected (e.g. undocking a laptop)
+  displayConfiguration = getDisplayConfiguration();
+  ['display-added', 'display-removed', 'display-metrics-changed'].forEach(event => screen.on(event, handleDisplayChange));
+
+  // Reopen the other calendar windows - with the main window when starting hidden in the tray
+  if (store.get('startMinimized') && app.commandLine.hasSwitch('hidden')) {
+    mainWindow.once('show', () => calendarWindows.restore());
+  } else {
+    calendarWindows.restore();
+  }
+
+  // Register for webcal:// links (file associations are registered by the installer)
+  for (const scheme of ['webcal', 'webcals']) {
+    if (process.defaultApp) {
+      app.setAsDefaultProtocolClient(scheme, process.execPath, [path.resolve(process.argv[1])]);
+    } else {
+      app.setAsDefaultProtocolClient(scheme);
+    }
+  }
+
+  // Carry out the options the app was launched with
+  if (hasActions(commandLine.command)) {
+    runCommandLine(commandLine.command);
   }
 
+  // Open any calendar file or link the app was launched with
+  pendingCalendarSources.push(...getCalendarSources(process.argv));
+  processPendingCalendarSources();
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -780,6 +3495,21 @@ app.whenReady().then(async () => {
 // Handle before-quit to set quitting flag
 app.on('before-quit', () => {
   isQuitting = true;
+  secureClipboard.clearNow();
+  quickAddWindow.close();
+  // A second instance quits before the store is opened
+  if (requestBlocker) {
+    requestBlocker.flush();
+  }
+  // Other calendar windows open now are reopened next time
+  if (calendarWindows) {
+    calendarWindows.saveState();
+  }
+});
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  automationServer.stop();
 });
 
 app.on('window-all-closed', () => {
@@ -788,10 +3518,20 @@ app.on('window-all-closed', () => {
   }
 });
 
-// Security: Handle certificate errors strictly
+// Security: Handle certificate errors strictly - only an unknown issuer can be
+// overridden, by a CA or fingerprint the user chose to trust
 app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
   event.preventDefault();
-  callback(false); // Reject invalid certificates
+  const trusted = trustedCertificates ? trustedCertificates.match(url, error, certificate) : null;
+  if (trusted) {
+    sessionProtection.auditLog.record('certificate-trusted', { host: new URL(url).host, name: trusted.name, type: trusted.type });
+  }
+  callback(Boolean(trusted)); // Reject everything else
+});
+
+// Security: Content protection applies to every window, including the lock screen
+app.on('browser-window-created', (event, win) => {
+  win.setContentProtection(sessionProtection.settings.preventScreenCapture);
 });
 
 // Security: Prevent loading remote content
@@ -799,4 +3539,6 @@ app.on('web-contents-created', (event, contents) => {
   contents.on('will-attach-webview', (event) => {
     event.preventDefault();
   });
+  // Keyboard and mouse input counts as activity for auto-lock where the system idle time is unavailable
+  contents.on('input-event', () => sessionProtection.recordInput());
 });
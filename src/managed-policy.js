@@ -0,0 +1,182 @@
+/**
+ * Managed Policy
+ * Read-only, machine-wide policy deployed by IT that enforces settings
+ * and locks them in the UI
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POLICY_FILE_NAME = 'policy.json';
+
+// Settings an administrator can enforce, with their expected types
+const MANAGEABLE_SETTINGS = {
+  startWithWindows: 'boolean',
+  startMinimized: 'boolean',
+  minimizeToTray: 'boolean',
+  closeToTray: 'boolean',
+  proxyMode: ['system', 'direct', 'fixed_servers', 'pac_script'],
+  proxyRules: 'string',
+  proxyBypassRules: 'string',
+  proxyPacUrl: 'string',
+  automationEnabled: 'boolean'
+};
+
+const MANAGEABLE_SECURITY = {
+  autoLockMinutes: 'number',
+  lockOnMinimize: 'boolean',
+  wipeAfterFailedAttempts: 'number',
+  requireBiometric: 'boolean',
+  secureClipboard: 'boolean',
+  clipboardClearSeconds: 'number',
+  preventScreenCapture: 'boolean',
+  integrityFailureAction: ['warn', 'block', 'wipe'],
+  keyRotationDays: 'number',
+  lockDisplay: ['hide', 'blur']
+};
+
+/**
+ * Machine-wide directory where administrators deploy policy files
+ */
+function getMachinePolicyDirectory() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.ProgramData || 'C:\\ProgramData', 'WlfRyt Google Calendar');
+  }
+  if (process.platform === 'darwin') {
+    return '/Library/Application Support/WlfRyt Google Calendar';
+  }
+  return '/etc/wlfryt-google-calendar';
+}
+
+/**
+ * Pick the known, correctly typed keys from a policy section
+ */
+function pickSection(section, schema, sectionName, errors) {
+  const result = {};
+  if (section === undefined) {
+    return result;
+  }
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`"${sectionName}" must be an object`);
+    return result;
+  }
+  for (const [key, value] of Object.entries(section)) {
+    if (!schema[key]) {
+      errors.push(`Unknown setting "${sectionName}.${key}"`);
+    } else if (Array.isArray(schema[key])) {
+      // Enumerated string setting
+      if (schema[key].includes(value)) {
+        result[key] = value;
+      } else {
+        errors.push(`"${sectionName}.${key}" must be one of ${schema[key].map(option => `"${option}"`).join(', ')}`);
+      }
+    } else if (typeof value !== schema[key] || (schema[key] === 'number' && (!Number.isInteger(value) || value < 0))) {
+      errors.push(`"${sectionName}.${key}" must be a ${schema[key] === 'number' ? 'non-negative integer' : schema[key]}`);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+class ManagedPolicy {
+  constructor() {
+    this.filePath = path.join(getMachinePolicyDirectory(), POLICY_FILE_NAME);
+    this.active = false;
+    this.errors = [];
+    this.settings = {};
+    this.security = {};
+    this.disableClearSessionData = false;
+    this.allowedDomains = null;
+  }
+
+  /**
+   * Read the policy file - invalid entries are ignored and reported
+   */
+  load() {
+    this.active = false;
+    this.errors = [];
+
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      this.errors.push(`Could not read policy: ${error.message}`);
+      console.error('Managed policy error:', this.errors[0]);
+      return false;
+    }
+
+    this.settings = pickSection(policy.settings, MANAGEABLE_SETTINGS, 'settings', this.errors);
+    this.security = pickSection(policy.security, MANAGEABLE_SECURITY, 'security', this.errors);
+
+    if (policy.disableClearSessionData !== undefined) {
+      if (typeof policy.disableClearSessionData === 'boolean') {
+        this.disableClearSessionData = policy.disableClearSessionData;
+      } else {
+        this.errors.push('"disableClearSessionData" must be a boolean');
+      }
+    }
+
+    if (policy.allowedDomains !== undefined) {
+      if (Array.isArray(policy.allowedDomains) && policy.allowedDomains.every(domain => typeof domain === 'string' && /^(\*\.)?[a-z0-9.-]+$/i.test(domain))) {
+        this.allowedDomains = policy.allowedDomains.map(domain => domain.toLowerCase());
+      } else {
+        this.errors.push('"allowedDomains" must be a list of host names (optionally starting with "*.")');
+      }
+    }
+
+    if (this.errors.length > 0) {
+      console.warn('Managed policy warnings:', this.errors.join('; '));
+    }
+    this.active = true;
+    return true;
+  }
+
+  /**
+   * Write enforced general settings into the app store
+   */
+  applyToStore(store) {
+    for (const [key, value] of Object.entries(this.settings)) {
+      store.set(key, value);
+    }
+  }
+
+  /**
+   * Check if a general setting is enforced
+   */
+  isSettingManaged(key) {
+    return Object.prototype.hasOwnProperty.call(this.settings, key);
+  }
+
+  /**
+   * Check if a SessionProtection setting is enforced
+   */
+  isSecurityManaged(key) {
+    return Object.prototype.hasOwnProperty.call(this.security, key);
+  }
+
+  /**
+   * Policy details for the Security Status dialog
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      filePath: this.filePath,
+      managedKeys: [
+        ...Object.keys(this.settings),
+        ...Object.keys(this.security),
+        ...(this.disableClearSessionData ? ['disableClearSessionData'] : []),
+        ...(this.allowedDomains ? ['allowedDomains'] : [])
+      ],
+      errors: this.errors
+    };
+  }
+}
+
+ManagedPolicy.getMachinePolicyDirectory = getMachinePolicyDirectory;
+
+module.exports = ManagedPolicy;
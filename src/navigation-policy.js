@@ -0,0 +1,224 @@
+/**
+ * Navigation Policy
+ * Ordered allow/deny/open-external rules for URLs the calendar window navigates to,
+ * optionally loaded from a JSON policy file deployed by an administrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { getMachinePolicyDirectory } = require('./managed-policy');
+
+const ACTIONS = ['allow', 'deny', 'external'];
+const POLICY_FILE_NAME = 'navigation-policy.json';
+
+// Built-in policy: Google Calendar and the sign-in hosts it depends on stay in the app
+const DEFAULT_POLICY = {
+  version: 1,
+  defaultAction: 'deny',
+  rules: [
+    { action: 'deny', scheme: ['javascript', 'file', 'data', 'blob'], description: 'Never navigate to local or script URLs' },
+    { action: 'allow', scheme: 'https', host: 'calendar.google.com', description: 'Google Calendar' },
+    { action: 'allow', scheme: 'https', host: 'accounts.google.com', description: 'Google sign-in' },
+    { action: 'allow', scheme: 'https', host: 'accounts.youtube.com', description: 'Google sign-in cookie check' },
+    { action: 'allow', scheme: 'https', host: 'www.google.com', path: '/calendar', description: 'Legacy calendar URLs' },
+    { action: 'allow', scheme: 'https', host: 'www.google.com', path: '/signin', description: 'Google sign-in' },
+    { action: 'allow', scheme: 'https', host: 'www.google.com', path: '/accounts', description: 'Google sign-in' },
+    { action: 'allow', scheme: 'https', host: 'myaccount.google.com', description: 'Google account settings' },
+    { action: 'allow', scheme: 'https', host: 'oauth2.googleapis.com', description: 'OAuth' },
+    { action: 'allow', scheme: 'https', host: 'play.google.com', description: 'App verification' },
+    { action: 'allow', scheme: 'https', host: 'gds.google.com', description: 'Sign-in security prompts' },
+    { action: 'allow', scheme: 'https', host: 'ogs.google.com', description: 'Google app launcher' },
+    { action: 'external', scheme: ['http', 'https', 'mailto'], description: 'Everything else opens in the default browser' }
+  ]
+};
+
+/**
+ * Validate and pre-process one policy rule
+ */
+function compileRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Rule ${index + 1} is not an object`);
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule ${index + 1} has an unknown action "${rule.action}"`);
+  }
+
+  const schemes = [].concat(rule.scheme || '*').map(scheme => String(scheme).toLowerCase().replace(/:$/, ''));
+  const host = String(rule.host || '*').toLowerCase();
+  if (host !== '*' && !/^(\*\.)?[a-z0-9.-]+$/.test(host)) {
+    throw new Error(`Rule ${index + 1} has an invalid host pattern "${rule.host}"`);
+  }
+  const pathPrefix = rule.path ? String(rule.path) : '';
+  if (pathPrefix && !pathPrefix.startsWith('/')) {
+    throw new Error(`Rule ${index + 1} path must start with "/"`);
+  }
+
+  return {
+    index,
+    action: rule.action,
+    schemes,
+    host,
+    path: pathPrefix,
+    description: rule.description ? String(rule.description) : ''
+  };
+}
+
+/**
+ * Match a hostname against "*", "host.example.com" or "*.example.com" (subdomains only)
+ */
+function hostMatches(pattern, hostname) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+class NavigationPolicy {
+  constructor() {
+    this.source = 'built-in';
+    this.loadError = null;
+    this.explainMode = false;
+    this.pinnedHosts = null;
+    this._apply(DEFAULT_POLICY);
+  }
+
+  /**
+   * Restrict in-app navigation to a fixed list of hosts (managed policy)
+   * Pinned hosts take precedence over any navigation policy file
+   */
+  pinAllowedHosts(hosts) {
+    this.pinnedHosts = hosts;
+    this.load();
+  }
+
+  /**
+   * Load the first policy file found (machine-wide, then per-user)
+   * Falls back to the built-in policy if a file is invalid
+   */
+  load() {
+    this.loadError = null;
+    if (this.pinnedHosts) {
+      this._apply({
+        defaultAction: 'deny',
+        rules: [
+          DEFAULT_POLICY.rules[0],
+          ...this.pinnedHosts.map(host => ({ action: 'allow', scheme: 'https', host, description: 'Managed by your organization' })),
+          DEFAULT_POLICY.rules[DEFAULT_POLICY.rules.length - 1]
+        ]
+      });
+      this.source = 'managed policy (pinned domains)';
+      return true;
+    }
+
+    const candidates = [
+      path.join(getMachinePolicyDirectory(), POLICY_FILE_NAME),
+      path.join(app.getPath('userData'), POLICY_FILE_NAME)
+    ];
+
+    for (const file of candidates) {
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+      try {
+        const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this._apply(policy);
+        this.source = file;
+        return true;
+      } catch (error) {
+        this.loadError = `${file}: ${error.message}`;
+        console.error('Invalid navigation policy, using built-in policy:', this.loadError);
+        break;
+      }
+    }
+
+    this._apply(DEFAULT_POLICY);
+    this.source = 'built-in';
+    return false;
+  }
+
+  /**
+   * Turn logging of every navigation decision on or off
+   */
+  setExplainMode(enabled) {
+    this.explainMode = Boolean(enabled);
+  }
+
+  /**
+   * Decide what to do with a URL without acting on it
+   * Returns { action, rule, url, reason }
+   */
+  explain(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { action: 'deny', rule: null, url, reason: 'Invalid URL' };
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+    const hostname = parsed.hostname.toLowerCase();
+
+    const rule = this.rules.find(candidate => (
+      (candidate.schemes.includes('*') || candidate.schemes.includes(scheme)) &&
+      hostMatches(candidate.host, hostname) &&
+      (!candidate.path || parsed.pathname === candidate.path || parsed.pathname.startsWith(candidate.path.endsWith('/') ? candidate.path : `${candidate.path}/`))
+    ));
+
+    if (rule) {
+      return {
+        action: rule.action,
+        rule,
+        url,
+        reason: `Rule ${rule.index + 1}${rule.description ? ` (${rule.description})` : ''}`
+      };
+    }
+    return { action: this.defaultAction, rule: null, url, reason: 'No rule matched - default action' };
+  }
+
+  /**
+   * Decide what to do with a URL, logging the decision in explain mode
+   */
+  evaluate(url, context = 'navigate') {
+    const decision = this.explain(url);
+    if (this.explainMode) {
+      console.log(`[navigation-policy] ${context}: ${decision.action.toUpperCase()} ${url} - ${decision.reason}`);
+    }
+    return decision;
+  }
+
+  /**
+   * Policy details for the status dialog
+   */
+  getStatus() {
+    return {
+      source: this.source,
+      loadError: this.loadError,
+      ruleCount: this.rules.length,
+      defaultAction: this.defaultAction,
+      explainMode: this.explainMode
+    };
+  }
+
+  _apply(policy) {
+    if (!policy || !Array.isArray(policy.rules)) {
+      throw new Error('Policy must have a "rules" array');
+    }
+    const defaultAction = policy.defaultAction || 'deny';
+    if (!ACTIONS.includes(defaultAction)) {
+      throw new Error(`Unknown default action "${defaultAction}"`);
+    }
+    this.rules = policy.rules.map(compileRule);
+    this.defaultAction = defaultAction;
+    if (typeof policy.explain === 'boolean') {
+      this.explainMode = policy.explain;
+    }
+  }
+}
+
+NavigationPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = NavigationPolicy;
@@ -0,0 +1,286 @@
+/**
+ * Notification Center
+ * Shows calendar page notifications as native desktop notifications,
+ * with snooze, quiet hours / Do Not Disturb and a recent history
+ */
+
+const { Notification } = require('electron');
+
+const HISTORY_LIMIT = 50;
+const SNOOZE_MINUTES = [5, 10];
+const QUIET_HOURS_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a quiet hours range like "22:00-07:00"
+ * Returns { start, end } or null if the text is invalid
+ */
+function parseQuietHours(text) {
+  const match = QUIET_HOURS_PATTERN.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+  const pad = (value) => value.padStart(2, '0');
+  return {
+    start: `${pad(match[1])}:${match[2]}`,
+    end: `${pad(match[3])}:${match[4]}`
+  };
+}
+
+class NotificationCenter {
+  /**
+   * @param {Store} store - electron-store holding the `notifications` settings
+   * @param {Object} handlers - onOpen(entry), onChange(), shouldRedact()
+   */
+  constructor(store, handlers = {}) {
+    this.store = store;
+    this.handlers = handlers;
+    this.history = [];
+    this.active = new Map();
+    this.snoozeTimers = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Get notification settings
+   */
+  getSettings() {
+    return this.store.get('notifications');
+  }
+
+  /**
+   * Save notification settings
+   */
+  saveSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    this.store.set('notifications', settings);
+    this._changed();
+    return settings;
+  }
+
+  /**
+   * Silence notifications for a number of minutes (0 turns Do Not Disturb off)
+   */
+  setDoNotDisturb(minutes) {
+    return this.saveSettings({ doNotDisturbUntil: minutes > 0 ? Date.now() + minutes * 60 * 1000 : 0 });
+  }
+
+  /**
+   * Check if Do Not Disturb or quiet hours are in effect
+   */
+  isQuiet(now = new Date()) {
+    const settings = this.getSettings();
+    if (settings.doNotDisturbUntil && settings.doNotDisturbUntil > now.getTime()) {
+      return true;
+    }
+    if (!settings.quietHours.enabled) {
+      return false;
+    }
+
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(settings.quietHours.start);
+    const end = toMinutes(settings.quietHours.end);
+    if (start === end) {
+      return false;
+    }
+    // Ranges like 22:00-07:00 wrap past midnight
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Handle a notification raised by a page
+   * Returns true if a native notification was shown
+   */
+  show(webContents, payload) {
+    const entry = {
+      id: this.nextId++,
+      pageId: String(payload.id),
+      title: String(payload.title || '').slice(0, 200),
+      body: String(payload.body || '').slice(0, 500),
+      tag: payload.tag ? String(payload.tag) : '',
+      silent: Boolean(payload.silent),
+      receivedAt: Date.now(),
+      suppressed: false,
+      snoozedUntil: 0,
+      webContents
+    };
+
+    // A new notification with the same tag replaces the old one, like the web API
+    if (entry.tag) {
+      for (const previous of this.history) {
+        if (previous.tag === entry.tag && previous.webContents === webContents) {
+          this._dismiss(previous.id);
+        }
+      }
+    }
+
+    this.history.unshift(entry);
+    // Entries dropped from the history can't be reached again, so close them first
+    for (const evicted of this.history.slice(HISTORY_LIMIT)) {
+      this._dismiss(evicted.id);
+    }
+    this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+
+    if (!this.getSettings().enabled || this.isQuiet()) {
+      entry.suppressed = true;
+      this._changed();
+      return false;
+    }
+
+    this._present(entry);
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Close notifications the page closed itself
+   */
+  closeFromPage(webContents, pageId) {
+    for (const entry of this.history) {
+      if (entry.pageId === String(pageId) && entry.webContents === webContents) {
+        this._dismiss(entry.id);
+      }
+    }
+  }
+
+  /**
+   * Show the notification again after a delay
+   */
+  snooze(id, minutes) {
+    const entry = this._find(id);
+    if (!entry) {
+      return;
+    }
+    this._dismiss(id);
+
+    entry.snoozedUntil = Date.now() + minutes * 60 * 1000;
+    this.snoozeTimers.set(id, setTimeout(() => {
+      this.snoozeTimers.delete(id);
+      entry.snoozedUntil = 0;
+      if (this.isQuiet()) {
+        entry.suppressed = true;
+      } else {
+        this._present(entry);
+      }
+      this._changed();
+    }, minutes * 60 * 1000));
+    this._changed();
+  }
+
+  /**
+   * Open the event a notification belongs to
+   */
+  open(id) {
+    const entry = this._find(id);
+    if (!entry) {
+      return;
+    }
+    this._dismiss(id);
+    if (this.handlers.onOpen) {
+      this.handlers.onOpen(entry);
+    }
+  }
+
+  /**
+   * Get recent notifications, newest first
+   */
+  getHistory() {
+    return this.history.map(({ webContents, ...entry }) => entry);
+  }
+
+  /**
+   * Clear the notification history (pending snoozes are cancelled)
+   */
+  clearHistory() {
+    for (const entry of this.history) {
+      this._dismiss(entry.id);
+    }
+    this.history = [];
+    this._changed();
+  }
+
+  /**
+   * Show a native notification for an entry
+   */
+  _present(entry) {
+    if (!Notification.isSupported()) {
+      return;
+    }
+
+    // Security: Don't leak event details while the session is locked
+    const redact = this.handlers.shouldRedact && this.handlers.shouldRedact();
+
+    // Action buttons are only rendered on macOS; elsewhere the tray history offers snooze
+    const notification = new Notification({
+      title: redact ? 'Calendar reminder' : entry.title,
+      body: redact ? 'Unlock WlfRyt Google Calendar to see details' : entry.body,
+      silent: entry.silent,
+      actions: [
+        ...SNOOZE_MINUTES.map(minutes => ({ type: 'button', text: `Snooze ${minutes} min` })),
+        { type: 'button', text: 'Open event' }
+      ]
+    });
+
+    notification.on('click', () => this.open(entry.id));
+    notification.on('action', (event, index) => {
+      if (index < SNOOZE_MINUTES.length) {
+        this.snooze(entry.id, SNOOZE_MINUTES[index]);
+      } else {
+        this.open(entry.id);
+      }
+    });
+    notification.on('close', () => {
+      if (this.active.get(entry.id) === notification) {
+        this.active.delete(entry.id);
+      }
+    });
+
+    this.active.set(entry.id, notification);
+    entry.suppressed = false;
+    notification.show();
+  }
+
+  /**
+   * Close the native notification and cancel any snooze for an entry
+   */
+  _dismiss(id) {
+    const notification = this.active.get(id);
+    if (notification) {
+      this.active.delete(id);
+      notification.close();
+    }
+    const timer = this.snoozeTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.snoozeTimers.delete(id);
+      const entry = this._find(id);
+      if (entry) {
+        entry.snoozedUntil = 0;
+      }
+    }
+  }
+
+  _find(id) {
+    return this.history.find(entry => entry.id === id) || null;
+  }
+
+  _changed() {
+    if (this.handlers.onChange) {
+      this.handlers.onChange();
+    }
+  }
+}
+
+NotificationCenter.SNOOZE_MINUTES = SNOOZE_MINUTES;
+NotificationCenter.parseQuietHours = parseQuietHours;
+
+module.exports = NotificationCenter;
@@ -0,0 +1,160 @@
+/**
+ * Offline Snapshot
+ * Keeps an encrypted copy of the upcoming agenda (from the tray agenda feeds)
+ * and renders it as a local read-only page when the calendar can't be loaded
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_NAME = 'offline-snapshot';
+const SNAPSHOT_DAYS = 14;
+const MAX_EVENTS = 300;
+
+// Chromium network errors that mean "offline" rather than a problem with the page
+const OFFLINE_ERROR_CODES = new Set([
+  -21, // NETWORK_CHANGED
+  -100, // CONNECTION_CLOSED
+  -101, // CONNECTION_RESET
+  -102, // CONNECTION_REFUSED
+  -104, // CONNECTION_FAILED
+  -105, // NAME_NOT_RESOLVED
+  -106, // INTERNET_DISCONNECTED
+  -109, // ADDRESS_UNREACHABLE
+  -118, // CONNECTION_TIMED_OUT
+  -130, // PROXY_CONNECTION_FAILED
+  -137 // NAME_RESOLUTION_FAILED
+]);
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function formatTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+class OfflineSnapshot {
+  /**
+   * @param {SessionProtection} sessionProtection - stores the snapshot encrypted
+   */
+  constructor(sessionProtection) {
+    this.sessionProtection = sessionProtection;
+  }
+
+  /**
+   * Save the upcoming events from the agenda service
+   * (removing the feeds removes the snapshot too)
+   */
+  capture(agendaService) {
+    if (agendaService.getFeeds().length === 0) {
+      this.clear();
+      return false;
+    }
+    const now = new Date();
+    const rangeEnd = now.getTime() + SNAPSHOT_DAYS * 24 * 60 * 60 * 1000;
+    const events = agendaService.getUpcoming(MAX_EVENTS, now)
+      .filter(occurrence => occurrence.start.getTime() < rangeEnd)
+      .map(occurrence => ({
+        summary: occurrence.summary || '',
+        location: occurrence.location || '',
+        start: occurrence.start.toISOString(),
+        end: occurrence.end ? occurrence.end.toISOString() : null,
+        allDay: Boolean(occurrence.allDay)
+      }));
+    return this.sessionProtection.writeProtectedFile(SNAPSHOT_NAME, { capturedAt: now.toISOString(), events });
+  }
+
+  /**
+   * The saved snapshot - { capturedAt, events } or null
+   */
+  read() {
+    const snapshot = this.sessionProtection.readProtectedFile(SNAPSHOT_NAME);
+    if (!snapshot || !Array.isArray(snapshot.events)) {
+      return null;
+    }
+    return snapshot;
+  }
+
+  clear() {
+    try {
+      fs.rmSync(path.join(this.sessionProtection.dataPath, `${SNAPSHOT_NAME}.enc`), { force: true });
+    } catch (error) {
+      console.error('Could not remove the offline snapshot:', error);
+    }
+  }
+
+  /**
+   * Read-only agenda page with an offline banner (no scripts - the main process
+   * reloads the calendar once the connection is back)
+   */
+  renderPage() {
+    const snapshot = this.read();
+    const now = Date.now();
+    const upcoming = snapshot
+      ? snapshot.events.filter(event => new Date(event.end || event.start).getTime() >= now)
+      : [];
+
+    const days = new Map();
+    for (const event of upcoming) {
+      const start = new Date(event.start);
+      const key = start.toDateString();
+      if (!days.has(key)) {
+        days.set(key, { date: start, events: [] });
+      }
+      days.get(key).events.push({ ...event, start });
+    }
+
+    let body;
+    if (!snapshot) {
+      body = '<p class="empty">No offline agenda is available. Add an iCal feed under Settings &gt; Tray Agenda to keep a copy of your upcoming events for offline use.</p>';
+    } else if (upcoming.length === 0) {
+      body = '<p class="empty">No upcoming events in the saved agenda.</p>';
+    } else {
+      body = [...days.values()].map(({ date, events }) => `
+        <h2>${escapeHtml(date.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' }))}</h2>
+        <ul>${events.map(event => `
+          <li>
+            <span class="time">${event.allDay ? 'All day' : escapeHtml(formatTime(event.start))}</span>
+            <span class="title">${escapeHtml(event.summary || '(No title)')}</span>
+            ${event.location ? `<span class="location">${escapeHtml(event.location)}</span>` : ''}
+          </li>`).join('')}
+        </ul>`).join('');
+    }
+
+    const captured = snapshot
+      ? ` Showing the agenda saved ${escapeHtml(new Date(snapshot.capturedAt).toLocaleString())}.`
+      : '';
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+  <title>Offline - WlfRyt Google Calendar</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; }
+    .banner { background: #fef7e0; border-bottom: 1px solid #f9e1a0; padding: 12px 24px; font-size: 14px; }
+    main { max-width: 720px; margin: 0 auto; padding: 16px 24px 40px; }
+    h2 { font-size: 15px; font-weight: 600; margin: 20px 0 8px; color: #1a5fd0; }
+    ul { list-style: none; }
+    li { display: flex; gap: 12px; padding: 8px 0; border-bottom: 1px solid #eee; font-size: 14px; flex-wrap: wrap; }
+    .time { width: 80px; color: #666; flex-shrink: 0; }
+    .title { flex: 1; }
+    .location { width: 100%; padding-left: 92px; color: #777; font-size: 12px; }
+    .empty { margin-top: 40px; color: #666; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="banner"><strong>You're offline.</strong>${captured} The calendar reloads automatically when the connection is back.</div>
+  <main>${body}</main>
+</body>
+</html>
+`;
+  }
+}
+
+OfflineSnapshot.isOfflineError = errorCode => OFFLINE_ERROR_CODES.has(errorCode);
+
+module.exports = OfflineSnapshot;
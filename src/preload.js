@@ -1,13 +1,27 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
 
 // Expose protected APIs to the renderer process
 contextBridge.exposeInMainWorld('secureApp', {
   // Lock the session
   lockSession: () => ipcRenderer.invoke('lock-session'),
   
+  // Unlock the session (passcode is verified in the main process)
+  unlockSession: (passcode) => ipcRenderer.invoke('unlock-session', passcode),
+
+  // Unlock with Touch ID / Windows Hello / system authentication (lock screen only)
+  unlockWithBiometrics: () => ipcRenderer.invoke('unlock-session-biometric'),
+  
   // Check if session is locked
   isLocked: () => ipcRenderer.invoke('is-locked'),
   
+  // Passcode setup / change / reset (lock screen and passcode window only)
+  getPasscodeState: () => ipcRenderer.invoke('get-passcode-state'),
+  setPasscode: (options) => ipcRenderer.invoke('set-passcode', options),
+  resetPasscode: () => ipcRenderer.invoke('reset-passcode'),
+  
+  // Submit the value of a text prompt window
+  submitPrompt: (value) => ipcRenderer.send('prompt-response', value),
+  
   // Get app info
   getAppInfo: () => ipcRenderer.invoke('get-app-info'),
   
@@ -19,3 +33,92 @@ contextBridge.exposeInMainWorld('secureApp', {
     ipcRenderer.on('lock-state-changed', (event, isLocked) => callback(isLocked));
   }
 });
+
+// Replaces the page's Notification API so reminders are shown natively by the main process.
+// Runs in the page's world, so it can only reach the main process through `nativeNotifications`.
+function notificationShim() {
+  const bridge = window.nativeNotifications;
+  const instances = new Map();
+  let nextId = 1;
+
+  class BridgedNotification extends EventTarget {
+    constructor(title, options = {}) {
+      super();
+      this.title = String(title);
+      this.body = options.body || '';
+      this.tag = options.tag || '';
+      this.icon = options.icon || '';
+      this.data = options.data;
+      this.silent = Boolean(options.silent);
+      this.onclick = null;
+      this.onshow = null;
+      this.onclose = null;
+      this.onerror = null;
+      this._id = String(nextId++);
+
+      // Keep the map bounded if the page never closes its notifications
+      if (instances.size >= 100) {
+        instances.delete(instances.keys().next().value);
+      }
+      instances.set(this._id, this);
+
+      bridge.show({ id: this._id, title: this.title, body: this.body, tag: this.tag, silent: this.silent })
+        .then(() => this._dispatch('show'), () => this._dispatch('error'));
+    }
+
+    static get permission() {
+      return 'granted';
+    }
+
+    static requestPermission(callback) {
+      if (typeof callback === 'function') {
+        callback('granted');
+      }
+      return Promise.resolve('granted');
+    }
+
+    close() {
+      bridge.close(this._id);
+      this._dispatch('close');
+    }
+
+    _dispatch(type) {
+      const event = new Event(type);
+      const handler = this['on' + type];
+      if (typeof handler === 'function') {
+        handler.call(this, event);
+      }
+      this.dispatchEvent(event);
+      if (type === 'close') {
+        instances.delete(this._id);
+      }
+    }
+  }
+
+  bridge.onEvent(({ id, type }) => {
+    const notification = instances.get(id);
+    if (notification) {
+      notification._dispatch(type);
+    }
+  });
+
+  window.Notification = BridgedNotification;
+}
+
+// Only the calendar page gets the notification bridge
+if (window.location.hostname === 'calendar.google.com') {
+  // Let the main process sanitize and later clear copied text (secure clipboard).
+  // The clipboard is written after the event, hence the timeout
+  for (const type of ['copy', 'cut']) {
+    window.addEventListener(type, () => setTimeout(() => ipcRenderer.send('clipboard-copied'), 0), true);
+  }
+
+  contextBridge.exposeInMainWorld('nativeNotifications', {
+    show: (notification) => ipcRenderer.invoke('show-notification', notification),
+    close: (id) => ipcRenderer.send('close-notification', id),
+    onEvent: (callback) => {
+      ipcRenderer.on('notification-event', (event, data) => callback(data));
+    }
+  });
+  webFrame.executeJavaScript(`(${notificationShim.toString()})();`);
+}
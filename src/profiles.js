@@ -0,0 +1,191 @@
+/**
+ * Profile Manager
+ * Named Google account profiles, each with its own persistent session partition,
+ * window bounds and lock settings
+ */
+
+const crypto = require('crypto');
+
+// The original single-profile partition is kept so existing logins survive
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PARTITION = 'persist:google-calendar-secure';
+
+class ProfileManager {
+  constructor(store) {
+    this.store = store;
+
+    // Move pre-profile settings into a default profile
+    this._migrate();
+  }
+
+  /**
+   * Create the default profile from the legacy single-window settings
+   */
+  _migrate() {
+    const profiles = this.store.get('profiles');
+    if (Array.isArray(profiles) && profiles.length > 0) {
+      return;
+    }
+
+    this.store.set('profiles', [{
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      partition: DEFAULT_PARTITION,
+      windowBounds: this.store.get('windowBounds'),
+      windowMaximized: this.store.get('windowMaximized'),
+      lockSettings: null
+    }]);
+    this.store.set('activeProfileId', DEFAULT_PROFILE_ID);
+  }
+
+  /**
+   * Get all profiles
+   */
+  list() {
+    return this.store.get('profiles');
+  }
+
+  /**
+   * Get a profile by id
+   */
+  get(id) {
+    return this.list().find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the active profile (falls back to the first profile)
+   */
+  getActive() {
+    return this.get(this.store.get('activeProfileId')) || this.list()[0];
+  }
+
+  /**
+   * Make a profile the active one
+   */
+  setActive(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+    this.store.set('activeProfileId', id);
+    return true;
+  }
+
+  /**
+   * Create a new profile with an isolated partition
+   */
+  create(name) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const profile = {
+      id,
+      name: this._normalizeName(name) || 'Profile',
+      partition: `persist:google-calendar-${id}`,
+      windowBounds: this.store.get('windowBounds'),
+      windowMaximized: false,
+      lockSettings: null
+    };
+    this.store.set('profiles', [...this.list(), profile]);
+    return profile;
+  }
+
+  /**
+   * Update stored fields of a profile
+   */
+  update(id, changes) {
+    let updated = null;
+    const profiles = this.list().map((profile) => {
+      if (profile.id !== id) {
+        return profile;
+      }
+      updated = { ...profile, ...changes, id: profile.id, partition: profile.partition };
+      return updated;
+    });
+    this.store.set('profiles', profiles);
+    return updated;
+  }
+
+  /**
+   * Rename a profile
+   */
+  rename(id, name) {
+    const normalized = this._normalizeName(name);
+    if (!normalized) {
+      return null;
+    }
+    return this.update(id, { name: normalized });
+  }
+
+  /**
+   * Remove a profile - the default profile cannot be removed
+   * Returns the removed profile so its partition can be cleared
+   */
+  remove(id) {
+    const profile = this.get(id);
+    if (!profile || id === DEFAULT_PROFILE_ID) {
+      return null;
+    }
+    this.store.set('profiles', this.list().filter(p => p.id !== id));
+    if (this.store.get('activeProfileId') === id) {
+      this.store.set('activeProfileId', DEFAULT_PROFILE_ID);
+    }
+    return profile;
+  }
+
+  /**
+   * Merge profiles from a settings backup - profiles with the same id are replaced,
+   * others are added. Partitions are derived from the id, never taken from the backup.
+   * Returns the number of profiles imported
+   */
+  importProfiles(imported, activeProfileId) {
+    const profiles = [...this.list()];
+    let count = 0;
+
+    for (const entry of Array.isArray(imported) ? imported : []) {
+      const id = entry && String(entry.id);
+      const name = this._normalizeName(entry && entry.name);
+      if (!name || (id !== DEFAULT_PROFILE_ID && !/^[a-f0-9]{8}$/.test(id))) {
+        continue;
+      }
+
+      const bounds = entry.windowBounds;
+      const validBounds = bounds && ['width', 'height'].every(key => Number.isFinite(bounds[key]) && bounds[key] > 0);
+      const lock = entry.lockSettings;
+      const profile = {
+        id,
+        name,
+        partition: id === DEFAULT_PROFILE_ID ? DEFAULT_PARTITION : `persist:google-calendar-${id}`,
+        windowBounds: validBounds
+          ? Object.fromEntries(['x', 'y', 'width', 'height'].filter(key => Number.isFinite(bounds[key])).map(key => [key, bounds[key]]))
+          : this.store.get('windowBounds'),
+        windowMaximized: entry.windowMaximized === true,
+        lockSettings: lock && Number.isInteger(lock.autoLockMinutes) && lock.autoLockMinutes >= 0 && typeof lock.lockOnMinimize === 'boolean'
+          ? { autoLockMinutes: lock.autoLockMinutes, lockOnMinimize: lock.lockOnMinimize }
+          : null
+      };
+
+      const index = profiles.findIndex(existing => existing.id === id);
+      if (index >= 0) {
+        profiles[index] = profile;
+      } else {
+        profiles.push(profile);
+      }
+      count++;
+    }
+
+    this.store.set('profiles', profiles);
+    if (activeProfileId) {
+      this.setActive(activeProfileId);
+    }
+    return count;
+  }
+
+  /**
+   * Trim and limit profile names
+   */
+  _normalizeName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, 40) : '';
+  }
+}
+
+ProfileManager.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
+
+module.exports = ProfileManager;
@@ -0,0 +1,140 @@
+/**
+ * Text Prompt Window
+ * Small modal window that asks for a line of text (Electron has no built-in prompt dialog)
+ */
+
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+
+// Pending prompts keyed by the prompt window's webContents id
+const pendingPrompts = new Map();
+
+ipcMain.on('prompt-response', (event, value) => {
+  const resolve = pendingPrompts.get(event.sender.id);
+  if (!resolve) {
+    return;
+  }
+  pendingPrompts.delete(event.sender.id);
+  resolve(typeof value === 'string' ? value : null);
+
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (win) {
+    win.close();
+  }
+});
+
+/**
+ * Serialize a value for embedding inside an inline <script>
+ */
+function toScriptValue(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function getPromptHtml(options) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title></title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      padding: 20px;
+      color: #333;
+    }
+    p { margin-bottom: 12px; font-size: 14px; white-space: pre-line; }
+    input {
+      width: 100%;
+      padding: 10px;
+      font-size: 14px;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      margin-bottom: 16px;
+    }
+    .buttons { text-align: right; }
+    button {
+      background: #4285f4;
+      color: white;
+      border: none;
+      padding: 8px 20px;
+      font-size: 14px;
+      border-radius: 6px;
+      cursor: pointer;
+      margin-left: 8px;
+    }
+    button.secondary { background: #eee; color: #333; }
+  </style>
+</head>
+<body>
+  <form id="form">
+    <p id="message"></p>
+    <input id="value" type="text" autocomplete="off" autofocus>
+    <div class="buttons">
+      <button type="button" class="secondary" id="cancel">Cancel</button>
+      <button type="submit">OK</button>
+    </div>
+  </form>
+  <script>
+    const options = ${toScriptValue(options)};
+    document.title = options.title;
+    document.getElementById('message').textContent = options.message;
+    const input = document.getElementById('value');
+    input.type = options.password ? 'password' : 'text';
+    input.value = options.value;
+    input.placeholder = options.placeholder;
+    input.select();
+
+    document.getElementById('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      window.secureApp.submitPrompt(input.value);
+    });
+    document.getElementById('cancel').addEventListener('click', () => window.close());
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') window.close();
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Ask the user for a line of text (masked if `password` is set)
+ * Resolves with the entered string, or null if the prompt was cancelled
+ */
+function promptText(parent, { title = '', message = '', value = '', placeholder = '', password = false } = {}) {
+  return new Promise((resolve) => {
+    const promptWindow = new BrowserWindow({
+      width: 420,
+      height: 200,
+      parent: parent || undefined,
+      modal: Boolean(parent),
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      title,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'preload.js')
+      }
+    });
+    promptWindow.setMenu(null);
+
+    const id = promptWindow.webContents.id;
+    pendingPrompts.set(id, resolve);
+
+    promptWindow.on('closed', () => {
+      if (pendingPrompts.has(id)) {
+        pendingPrompts.delete(id);
+        resolve(null);
+      }
+    });
+
+    promptWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(getPromptHtml({ title, message, value, placeholder, password })));
+  });
+}
+
+module.exports = { promptText };
@@ -0,0 +1,77 @@
+/**
+ * Proxy Configuration
+ * Validates the proxy settings and turns them into the config passed to
+ * session.setProxy() for the calendar sessions and the feed downloads
+ */
+
+// Values of the proxyMode setting, as understood by session.setProxy()
+const PROXY_MODES = ['system', 'direct', 'fixed_servers', 'pac_script'];
+
+// "proxy:8080", "http=proxy:8080", "socks5://proxy:1080", "[::1]:8080"
+const PROXY_RULE_PATTERN = /^(?:[a-z]+=)?(?:[a-z0-9]+:\/\/)?(?:[a-z0-9_.-]+|\[[0-9a-f:.]+\])(?::\d{1,5})?$/i;
+// "example.com", "*.corp.example.com", "10.0.0.0/8", ".local", "<local>", "<-loopback>"
+const BYPASS_RULE_PATTERN = /^(?:<-?[a-z]+>|(?:[a-z]+:\/\/)?[a-z0-9_.*-]+(?::\d{1,5})?(?:\/\d{1,3})?|\[[0-9a-f:.]+\](?:\/\d{1,3})?)$/i;
+
+function splitList(value, separator) {
+  return String(value || '').split(separator).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize manual proxy rules ("host:port", or "scheme=host:port" entries separated by ";")
+ * Returns the normalized text or null if an entry is invalid
+ */
+function normalizeProxyRules(value) {
+  const rules = splitList(value, ';');
+  return rules.every(rule => PROXY_RULE_PATTERN.test(rule)) ? rules.join(';') : null;
+}
+
+/**
+ * Normalize hosts that bypass the proxy (separated by "," or ";")
+ * Returns the normalized text or null if an entry is invalid
+ */
+function normalizeBypassRules(value) {
+  const rules = splitList(value, /[,;]/);
+  return rules.every(rule => BYPASS_RULE_PATTERN.test(rule)) ? rules.join(',') : null;
+}
+
+/**
+ * Normalize a PAC script URL (http, https or file) - '' is allowed while not in use
+ * Returns the normalized URL or null if it is invalid
+ */
+function normalizePacUrl(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return '';
+  }
+  try {
+    const url = new URL(text);
+    return ['http:', 'https:', 'file:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Config for session.setProxy() from the proxy settings
+ * @param {Object} settings - { proxyMode, proxyRules, proxyBypassRules, proxyPacUrl }
+ */
+function buildProxyConfig({ proxyMode, proxyRules, proxyBypassRules, proxyPacUrl }) {
+  if (proxyMode === 'fixed_servers') {
+    return { mode: 'fixed_servers', proxyRules: proxyRules || '', proxyBypassRules: proxyBypassRules || '' };
+  }
+  if (proxyMode === 'pac_script' && proxyPacUrl) {
+    return { mode: 'pac_script', pacScript: proxyPacUrl };
+  }
+  if (proxyMode === 'direct') {
+    return { mode: 'direct' };
+  }
+  return { mode: 'system' };
+}
+
+module.exports = {
+  PROXY_MODES,
+  normalizeProxyRules,
+  normalizeBypassRules,
+  normalizePacUrl,
+  buildProxyConfig
+};
@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Quick add window API - the main process only answers these for the quick add window
+contextBridge.exposeInMainWorld('quickAdd', {
+  // Parse the text - resolves with { title, when, location } for the preview
+  preview: (text) => ipcRenderer.invoke('quick-add-preview', text),
+
+  // Open the parsed event in the calendar for editing
+  submit: (text) => ipcRenderer.send('quick-add-submit', text),
+
+  // Dismiss the window
+  cancel: () => ipcRenderer.send('quick-add-cancel')
+});
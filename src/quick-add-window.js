@@ -0,0 +1,182 @@
+/**
+ * Quick Add Window
+ * Small frameless window, opened by a global shortcut, where an event is typed as
+ * one line of text and previewed as it is parsed
+ */
+
+const path = require('path');
+const { BrowserWindow, ipcMain, screen } = require('electron');
+const { parseQuickAdd, describeEvent } = require('./quick-add');
+
+const WINDOW_WIDTH = 520;
+const WINDOW_HEIGHT = 112;
+
+function getQuickAddHtml() {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+  <title>Quick Add</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    html, body { height: 100%; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #333;
+      background: #fff;
+      border: 1px solid #ccc;
+      border-radius: 8px;
+      padding: 16px;
+      overflow: hidden;
+    }
+    input {
+      width: 100%;
+      padding: 10px 12px;
+      font-size: 16px;
+      border: 1px solid #4285f4;
+      border-radius: 6px;
+      outline: none;
+    }
+    #preview { margin-top: 10px; font-size: 13px; color: #555; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    #preview strong { color: #1a5fd0; font-weight: 600; }
+  </style>
+</head>
+<body>
+  <form id="form">
+    <input id="text" type="text" autocomplete="off" spellcheck="false" placeholder="Lunch with Sam Fri 1pm 1h @ Cafe Luna" autofocus>
+  </form>
+  <div id="preview">Type an event and press Enter - Esc to cancel</div>
+  <script>
+    const input = document.getElementById('text');
+    const preview = document.getElementById('preview');
+
+    async function updatePreview() {
+      const event = await window.quickAdd.preview(input.value);
+      if (!event || !input.value.trim()) {
+        preview.textContent = 'Type an event and press Enter - Esc to cancel';
+        return;
+      }
+      const title = document.createElement('strong');
+      title.textContent = event.title || '(No title)';
+      preview.replaceChildren(title, ' - ' + event.when + (event.location ? ' - ' + event.location : ''));
+    }
+
+    input.addEventListener('input', updatePreview);
+    document.getElementById('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (input.value.trim()) {
+        window.quickAdd.submit(input.value);
+      }
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') window.quickAdd.cancel();
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+class QuickAddWindow {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onSubmit - (event) => open the parsed event for editing
+   */
+  constructor({ onSubmit }) {
+    this.onSubmit = onSubmit;
+    this.window = null;
+
+    ipcMain.handle('quick-add-preview', (event, text) => {
+      if (!this.isSender(event) || typeof text !== 'string') {
+        return null;
+      }
+      const parsed = parseQuickAdd(text);
+      return { title: parsed.title, location: parsed.location, when: describeEvent(parsed) };
+    });
+
+    ipcMain.on('quick-add-submit', (event, text) => {
+      if (!this.isSender(event) || typeof text !== 'string' || !text.trim()) {
+        return;
+      }
+      this.close();
+      this.onSubmit(parseQuickAdd(text));
+    });
+
+    ipcMain.on('quick-add-cancel', (event) => {
+      if (this.isSender(event)) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Show the window on the display with the mouse pointer (or focus it if already open)
+   */
+  open() {
+    if (this.window) {
+      this.window.focus();
+      return;
+    }
+
+    const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    this._create({
+      x: Math.round(workArea.x + (workArea.width - WINDOW_WIDTH) / 2),
+      y: Math.round(workArea.y + workArea.height / 4)
+    });
+  }
+
+  /**
+   * The window is closed rather than hidden, so it never keeps the app from quitting
+   */
+  close() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.close();
+    }
+  }
+
+  isSender(event) {
+    return Boolean(this.window) && !this.window.isDestroyed() && event.sender === this.window.webContents;
+  }
+
+  _create({ x, y }) {
+    this.window = new BrowserWindow({
+      x,
+      y,
+      width: WINDOW_WIDTH,
+      height: WINDOW_HEIGHT,
+      frame: false,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      alwaysOnTop: true,
+      show: false,
+      title: 'Quick Add',
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: path.join(__dirname, 'quick-add-preload.js')
+      }
+    });
+
+    // Security: The quick add page never navigates or opens windows
+    this.window.webContents.on('will-navigate', (event) => event.preventDefault());
+    this.window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+    const win = this.window;
+    win.once('ready-to-show', () => win.show());
+    // Dismiss like a popup when focus moves elsewhere
+    win.on('blur', () => this.close());
+    win.on('closed', () => {
+      this.window = null;
+    });
+
+    this.window.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(getQuickAddHtml()));
+  }
+}
+
+module.exports = QuickAddWindow;
@@ -0,0 +1,282 @@
+/**
+ * Quick Add
+ * Parses a one-line event description like "Lunch with Sam Fri 1pm 1h @ Cafe Luna"
+ * into title, date, time, duration and location - locally, nothing is sent anywhere -
+ * and builds the Google Calendar event-edit URL prefilled with them
+ */
+
+const EVENT_EDIT_URL = 'https://calendar.google.com/calendar/r/eventedit';
+const DEFAULT_DURATION_MINUTES = 60;
+// Default start for "tonight" without a time
+const TONIGHT_HOUR = 19;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*([ap]\\.?m?\\.?)?';
+
+/**
+ * Remove the first match of `pattern` that `accept` agrees with from the remaining text
+ */
+function take(state, pattern, accept = () => true) {
+  const search = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  for (const match of state.text.matchAll(search)) {
+    if (accept(match)) {
+      state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+      return match;
+    }
+  }
+  return null;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * 24-hour { hour, minute } from parts of TIME_PATTERN, or null if out of range
+ * Without am/pm, 1-6 are read as afternoon (few events start at 3 in the morning)
+ */
+function toTime(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  if (meridiem) {
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    const pm = meridiem.toLowerCase().startsWith('p');
+    hour = (hour % 12) + (pm ? 12 : 0);
+  } else if (hour >= 1 && hour <= 6) {
+    hour += 12;
+  }
+  return { hour, minute };
+}
+
+function parseDuration(state) {
+  const hours = take(state, /\b(?:for\s+)?(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)(?:\s*(\d+)\s*(?:m|mins?|minutes?))?\b/i);
+  if (hours) {
+    return Math.round(Number(hours[1]) * 60) + Number(hours[2] || 0);
+  }
+  const minutes = take(state, /\b(?:for\s+)?(\d+)\s*(?:m|mins?|minutes?)\b/i);
+  return minutes ? Number(minutes[1]) : null;
+}
+
+/**
+ * Start time and optional end time ("1pm", "13:30", "at 9", "1-2pm", "10:00 to 11:30", "noon")
+ */
+function parseTimes(state) {
+  // Two bare numbers ("3-4") are not a time range
+  const range = take(state, new RegExp(`\\b(?:from\\s+|at\\s+)?${TIME_PATTERN}\\s*(?:-|–|to|until)\\s*${TIME_PATTERN}(?=\\s|$)`, 'i'),
+    match => Boolean(match[2] || match[3] || match[5] || match[6]));
+  if (range) {
+    // "1-2pm": the start takes the end's am/pm unless that would put it after the end
+    let startMeridiem = range[3];
+    if (!startMeridiem && range[6]) {
+      const sameHalf = Number(range[1]) % 12 <= Number(range[4]) % 12;
+      startMeridiem = sameHalf ? range[6] : (range[6].toLowerCase().startsWith('p') ? 'am' : 'pm');
+    }
+    const start = toTime(range[1], range[2], startMeridiem);
+    const end = toTime(range[4], range[5], range[6]);
+    if (start && end) {
+      return { start, end };
+    }
+  }
+
+  const named = take(state, /\b(?:at\s+)?(noon|midday|midnight)\b/i);
+  if (named) {
+    return { start: { hour: named[1].toLowerCase() === 'midnight' ? 0 : 12, minute: 0 } };
+  }
+
+  const single = take(state, new RegExp(`\\b(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*([ap]\\.?m\\.?)(?=\\s|$)`, 'i')) ||
+    take(state, /\b(?:at\s+)?(\d{1,2}):(\d{2})\b/i) ||
+    take(state, /\bat\s+(\d{1,2})\b/i);
+  if (single) {
+    const start = toTime(single[1], single[2], single[3]);
+    return start ? { start } : null;
+  }
+  return null;
+}
+
+/**
+ * Explicit date, or null ("today", "tomorrow", "fri", "next monday", "in 3 days",
+ * "Oct 23", "23 October", "10/23", "2026-10-23")
+ */
+function parseDate(state, now) {
+  const today = startOfDay(now);
+
+  const relative = take(state, /\b(today|tonight|tomorrow|tmrw?)\b/i);
+  if (relative) {
+    const word = relative[1].toLowerCase();
+    return { date: word.startsWith('to') && word !== 'tomorrow' ? today : addDays(today, 1), tonight: word === 'tonight' };
+  }
+
+  const offset = take(state, /\bin\s+(\d+)\s+(days?|weeks?)\b/i);
+  if (offset) {
+    return { date: addDays(today, Number(offset[1]) * (offset[2].toLowerCase().startsWith('w') ? 7 : 1)) };
+  }
+
+  const weekday = take(state, new RegExp(`\\b(?:on\\s+)?(next\\s+)?${WEEKDAY_PATTERN}\\b\\.?`, 'i'));
+  if (weekday) {
+    const target = WEEKDAYS.findIndex(name => name.startsWith(weekday[2].toLowerCase().slice(0, 3)));
+    let days = (target - today.getDay() + 7) % 7;
+    if (weekday[1] && days === 0) {
+      days = 7;
+    }
+    return { date: addDays(today, days) };
+  }
+
+  const iso = take(state, /\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) {
+    return { date: new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) };
+  }
+
+  let month = null;
+  let day = null;
+  let year = null;
+  const monthFirst = take(state, new RegExp(`\\b(?:on\\s+)?${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'));
+  const dayFirst = !monthFirst && take(state, new RegExp(`\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b\\.?(?:,?\\s+(\\d{4}))?`, 'i'));
+  if (monthFirst) {
+    [month, day, year] = [MONTHS.indexOf(monthFirst[1].slice(0, 3).toLowerCase()), Number(monthFirst[2]), monthFirst[3]];
+  } else if (dayFirst) {
+    [month, day, year] = [MONTHS.indexOf(dayFirst[2].slice(0, 3).toLowerCase()), Number(dayFirst[1]), dayFirst[3]];
+  } else {
+    // Numeric dates are month/day, unless the first number can't be a month
+    const numeric = take(state, /\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/);
+    if (numeric) {
+      const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+      [month, day] = first > 12 ? [second - 1, first] : [first - 1, second];
+      year = numeric[3] && numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3];
+    }
+  }
+  if (month === null || month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+
+  let date = new Date(year ? Number(year) : today.getFullYear(), month, day);
+  // Without a year, a date that has passed means next year's
+  if (!year && date < today) {
+    date = new Date(today.getFullYear() + 1, month, day);
+  }
+  return { date };
+}
+
+/**
+ * What's left of the text after the date and time words are removed
+ */
+function cleanTitle(text) {
+  let title = text.replace(/\s+/g, ' ').trim();
+  let previous;
+  do {
+    previous = title;
+    title = title
+      .replace(/^(?:on|at|from|for|by|in|,|-)\s+/i, '')
+      .replace(/\s+(?:on|at|from|for|by|in|,|-)$/i, '')
+      .replace(/^[,\-–]+|[,\-–]+$/g, '')
+      .trim();
+  } while (title !== previous);
+  return title;
+}
+
+/**
+ * Parse a quick-add line
+ * Returns { title, location, start, end, allDay } - an event without a time is all-day
+ * on its date (today if none), and one without a date is today, or tomorrow once the
+ * time has passed
+ */
+function parseQuickAdd(text, now = new Date()) {
+  const state = { text: String(text || '').replace(/\s+/g, ' ').trim() };
+
+  const locationMatch = take(state, /(?:^|\s)@\s*(.+)$/);
+  const location = locationMatch ? locationMatch[1].trim() : '';
+  const duration = parseDuration(state);
+  const times = parseTimes(state);
+  const parsedDate = parseDate(state, now);
+  const title = cleanTitle(state.text);
+
+  let date = parsedDate ? parsedDate.date : startOfDay(now);
+  let startTime = times ? times.start : null;
+  if (!startTime && parsedDate && parsedDate.tonight) {
+    startTime = { hour: TONIGHT_HOUR, minute: 0 };
+  }
+
+  if (!startTime) {
+    return { title, location, start: date, end: addDays(date, 1), allDay: true };
+  }
+
+  let start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), startTime.hour, startTime.minute);
+  if (!parsedDate && start < now) {
+    date = addDays(date, 1);
+    start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), startTime.hour, startTime.minute);
+  }
+
+  let end;
+  if (times && times.end) {
+    end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), times.end.hour, times.end.minute);
+    // "11pm-1am" ends the next day
+    if (end <= start) {
+      end = addDays(end, 1);
+      end.setHours(times.end.hour, times.end.minute);
+    }
+  } else {
+    end = new Date(start.getTime() + (duration || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+  }
+  return { title, location, start, end, allDay: false };
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function formatUrlDate(date, allDay) {
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  return allDay ? day : `${day}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+/**
+ * Google Calendar's event-edit URL prefilled with a parsed event
+ * (times are local, so the time zone is passed along; without a start the
+ * calendar picks the next slot itself)
+ */
+function buildEventEditUrl({ title, location, start, end, allDay }) {
+  const params = new URLSearchParams();
+  if (title) {
+    params.set('text', title);
+  }
+  if (start) {
+    params.set('dates', `${formatUrlDate(start, allDay)}/${formatUrlDate(end, allDay)}`);
+  }
+  if (location) {
+    params.set('location', location);
+  }
+  if (start && !allDay) {
+    params.set('ctz', Intl.DateTimeFormat().resolvedOptions().timeZone);
+  }
+  const query = params.toString();
+  return query ? `${EVENT_EDIT_URL}?${query}` : EVENT_EDIT_URL;
+}
+
+/**
+ * One-line description of a parsed event for the quick-add preview
+ */
+function describeEvent({ start, end, allDay }) {
+  const dateOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+  if (allDay) {
+    const lastDay = addDays(end, -1);
+    const first = start.toLocaleDateString([], dateOptions);
+    return lastDay > start ? `${first} – ${lastDay.toLocaleDateString([], dateOptions)}, all day` : `${first}, all day`;
+  }
+  const timeOptions = { hour: 'numeric', minute: '2-digit' };
+  const sameDay = startOfDay(start).getTime() === startOfDay(end).getTime();
+  return `${start.toLocaleDateString([], dateOptions)}, ${start.toLocaleTimeString([], timeOptions)} – ` +
+    (sameDay ? end.toLocaleTimeString([], timeOptions) : `${end.toLocaleDateString([], dateOptions)}, ${end.toLocaleTimeString([], timeOptions)}`);
+}
+
+module.exports = { parseQuickAdd, buildEventEditUrl, describeEvent };
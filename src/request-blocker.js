@@ -0,0 +1,492 @@
+/**
+ * Request Blocker
+ * User-editable blocklist for the calendar session with allow-overrides,
+ * per-rule hit counters and a log of recently blocked requests
+ */
+
+const crypto = require('crypto');
+
+const RULE_TYPES = ['domain', 'wildcard', 'regex'];
+const LOG_LIMIT = 200;
+const MAX_REGEX_LENGTH = 256;
+const FLUSH_DELAY_MS = 30 * 1000;
+
+// Tracking/ad domains blocked out of the box
+const DEFAULT_RULES = [
+  { type: 'domain', pattern: 'doubleclick.net', action: 'block' },
+  { type: 'domain', pattern: 'googlesyndication.com', action: 'block' },
+  { type: 'domain', pattern: 'googleadservices.com', action: 'block' }
+];
+
+/**
+ * Convert a wildcard pattern (`*` matches anything) to a RegExp
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Why a regex rule could take exponential time on a URL (it runs on every request,
+ * on the main thread) - or null if it is safe to use
+ * Rejects backreferences and repeated groups that contain a quantifier or alternation,
+ * e.g. (a+)+ or (a|ab)*
+ */
+function getRegexRisk(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+  }
+  // Per open group: whether it contains a quantifier or alternation
+  const groups = [];
+  let lastGroupRisky = false;
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let quantifier = false;
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'Backreferences are not supported in regex rules';
+      }
+      i++;
+      lastGroupRisky = false;
+      continue;
+    }
+    if (inClass) {
+      inClass = char !== ']';
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      lastGroupRisky = groups.pop() === true;
+      if (groups.length > 0 && lastGroupRisky) {
+        groups[groups.length - 1] = true;
+      }
+      continue;
+    } else if (char === '|') {
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ('*+?{'.includes(char)) {
+      quantifier = char !== '?' || !['(', '*', '+', '?', '}'].includes(pattern[i - 1]);
+    }
+    if (quantifier) {
+      if (lastGroupRisky && char !== '?') {
+        return 'Nested repetition like (a+)+ or (a|b)* is not supported in regex rules';
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    lastGroupRisky = false;
+  }
+  return null;
+}
+
+/**
+ * Parse one line of a hosts file or Adblock Plus (subset) filter list
+ * Returns a rule ({ type, pattern, action }) or null for comments/unsupported lines
+ */
+function parseRuleLine(line) {
+  let text = String(line || '').trim();
+  if (!text || text.startsWith('!') || text.startsWith('#') || text.startsWith('[')) {
+    return null;
+  }
+
+  // hosts file: "0.0.0.0 example.com"
+  const hosts = /^(?:0\.0\.0\.0|127\.0\.0\.1|::1?)\s+([^\s#]+)/.exec(text);
+  if (hosts) {
+    return hosts[1] === 'localhost' ? null : { type: 'domain', pattern: hosts[1].toLowerCase(), action: 'block' };
+  }
+
+  let action = 'block';
+  if (text.startsWith('@@')) {
+    action = 'allow';
+    text = text.slice(2);
+  }
+
+  // Regex rule: "/pattern/"
+  if (text.length > 2 && text.startsWith('/') && text.endsWith('/')) {
+    return { type: 'regex', pattern: text.slice(1, -1), action };
+  }
+
+  // Element hiding and filter options are not supported
+  if (text.includes('##') || text.includes('#@#')) {
+    return null;
+  }
+  text = text.replace(/\$.*$/, '');
+
+  // Domain anchor: "||example.com^"
+  const anchored = /^\|\|([a-z0-9.-]+)\^?$/i.exec(text);
+  if (anchored) {
+    return { type: 'domain', pattern: anchored[1].toLowerCase(), action };
+  }
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(text)) {
+    return { type: 'domain', pattern: text.toLowerCase(), action };
+  }
+  if (text) {
+    return { type: 'wildcard', pattern: text.includes('*') ? text : `*${text}*`, action };
+  }
+  return null;
+}
+
+/**
+ * Identity of a rule for duplicate checks
+ */
+function ruleKey(rule) {
+  return `${rule.type} ${rule.action} ${rule.pattern.trim()}`;
+}
+
+/**
+ * Format a rule as an Adblock Plus (subset) filter line
+ */
+function formatRuleLine(rule) {
+  const prefix = rule.action === 'allow' ? '@@' : '';
+  if (rule.type === 'domain') {
+    return `${prefix}||${rule.pattern}^`;
+  }
+  if (rule.type === 'regex') {
+    return `${prefix}/${rule.pattern}/`;
+  }
+  return `${prefix}${rule.pattern}`;
+}
+
+class RequestBlocker {
+  constructor(store) {
+    this.store = store;
+    this.blockedLog = [];
+    // Requests blocked since startup (the log only keeps the latest LOG_LIMIT)
+    this.blockedCount = 0;
+    this.flushTimer = null;
+    this.pendingHits = new Map();
+
+    // Checked on every request, so kept in memory rather than read from the store
+    this.enabled = this.store.get('blocklist.enabled', true);
+
+    if (!Array.isArray(this.store.get('blocklist.rules'))) {
+      this.store.set('blocklist.rules', DEFAULT_RULES.map(rule => this._createRule(rule)));
+    }
+    this._compile();
+  }
+
+  /**
+   * Check if blocking is turned on (rules are kept when it is off)
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.store.set('blocklist.enabled', this.enabled);
+  }
+
+  /**
+   * Get all rules with their hit counts
+   */
+  getRules() {
+    return this.store.get('blocklist.rules').map(rule => ({
+      ...rule,
+      hits: rule.hits + (this.pendingHits.get(rule.id) || 0)
+    }));
+  }
+
+  /**
+   * Validate and add a rule
+   * Returns { success, rule } or { success: false, error }
+   */
+  addRule(rule) {
+    const error = this._validate(rule);
+    if (error) {
+      return { success: false, error };
+    }
+    const existing = this.getRules().find(r => ruleKey(r) === ruleKey(rule));
+    if (existing) {
+      return { success: false, error: 'This rule already exists' };
+    }
+    const created = this._createRule(rule);
+    this._saveRules([...this.store.get('blocklist.rules'), created]);
+    return { success: true, rule: created };
+  }
+
+  /**
+   * Add a rule from a filter line (same syntax as imported rule files)
+   */
+  addRuleFromLine(line) {
+    const rule = parseRuleLine(line);
+    if (!rule) {
+      return { success: false, error: 'Not a supported rule' };
+    }
+    return this.addRule(rule);
+  }
+
+  /**
+   * Replace all rules (e.g. from a settings backup) - invalid rules are dropped
+   * Returns the number of rules kept
+   */
+  replaceRules(rules) {
+    const valid = (Array.isArray(rules) ? rules : [])
+      .filter(rule => !this._validate(rule))
+      .map(rule => ({
+        ...this._createRule(rule),
+        enabled: rule.enabled !== false,
+        hits: Number.isInteger(rule.hits) && rule.hits > 0 ? rule.hits : 0
+      }));
+    this.pendingHits.clear();
+    this._saveRules(valid);
+    return valid.length;
+  }
+
+  removeRule(id) {
+    this._saveRules(this.store.get('blocklist.rules').filter(rule => rule.id !== id));
+  }
+
+  setRuleEnabled(id, enabled) {
+    this._saveRules(this.store.get('blocklist.rules').map(rule => (rule.id === id ? { ...rule, enabled } : rule)));
+  }
+
+  resetHitCounters() {
+    this.pendingHits.clear();
+    this._saveRules(this.store.get('blocklist.rules').map(rule => ({ ...rule, hits: 0 })));
+  }
+
+  restoreDefaults() {
+    this.pendingHits.clear();
+    this._saveRules(DEFAULT_RULES.map(rule => this._createRule(rule)));
+  }
+
+  /**
+   * Import rules from hosts/ABP-subset text
+   * Returns { added, skipped }
+   */
+  importRules(text) {
+    const rules = this.store.get('blocklist.rules');
+    const seen = new Set(rules.map(rule => ruleKey(rule)));
+    const created = [];
+    let skipped = 0;
+    for (const line of String(text).split(/\r?\n/)) {
+      const rule = parseRuleLine(line);
+      if (!rule) {
+        continue;
+      }
+      if (this._validate(rule) || seen.has(ruleKey(rule))) {
+        skipped++;
+        continue;
+      }
+      seen.add(ruleKey(rule));
+      created.push(this._createRule(rule));
+    }
+    // Lists can have tens of thousands of lines - save and recompile once
+    if (created.length > 0) {
+      this._saveRules([...rules, ...created]);
+    }
+    return { added: created.length, skipped };
+  }
+
+  /**
+   * Export rules as ABP-subset text
+   */
+  exportRules() {
+    const header = [
+      '! Title: WlfRyt Google Calendar blocklist',
+      `! Exported: ${new Date().toISOString()}`
+    ];
+    const lines = this.getRules()
+      .filter(rule => rule.enabled)
+      .map(rule => formatRuleLine(rule));
+    return [...header, ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Check a request URL against the rules
+   * Allow rules override block rules. Returns the blocking rule, or null.
+   */
+  match(url, details = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+
+    if (this._findMatch(this.allowRules, hostname, url)) {
+      return null;
+    }
+    const rule = this._findMatch(this.blockRules, hostname, url);
+    if (!rule) {
+      return null;
+    }
+
+    this._recordHit(rule, url, details);
+    return rule;
+  }
+
+  /**
+   * Recently blocked requests, newest first
+   */
+  getBlockedLog() {
+    return [...this.blockedLog];
+  }
+
+  getBlockedCount() {
+    return this.blockedCount;
+  }
+
+  clearBlockedLog() {
+    this.blockedLog = [];
+  }
+
+  /**
+   * Persist pending hit counts (call on quit)
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.pendingHits.size === 0) {
+      return;
+    }
+    const rules = this.store.get('blocklist.rules').map(rule => ({
+      ...rule,
+      hits: rule.hits + (this.pendingHits.get(rule.id) || 0)
+    }));
+    this.pendingHits.clear();
+    this.store.set('blocklist.rules', rules);
+  }
+
+  _recordHit(rule, url, details) {
+    this.pendingHits.set(rule.id, (this.pendingHits.get(rule.id) || 0) + 1);
+    this.blockedCount++;
+    this.blockedLog.unshift({
+      url,
+      resourceType: details.resourceType || '',
+      ruleId: rule.id,
+      rule: formatRuleLine(rule),
+      time: Date.now()
+    });
+    this.blockedLog.length = Math.min(this.blockedLog.length, LOG_LIMIT);
+
+    // Counting happens on every request - write to disk in batches
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  _validate(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      return 'Unknown rule type';
+    }
+    if (!['block', 'allow'].includes(rule.action)) {
+      return 'Rule action must be block or allow';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      return 'Rule pattern is empty';
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+      }
+      return getRegexRisk(rule.pattern);
+    }
+    return null;
+  }
+
+  _createRule({ type, pattern, action = 'block' }) {
+    return {
+      id: crypto.randomBytes(6).toString('hex'),
+      type,
+      pattern: pattern.trim(),
+      action,
+      enabled: true,
+      hits: 0
+    };
+  }
+
+  _saveRules(rules) {
+    this.flush();
+    this.store.set('blocklist.rules', rules);
+    this._compile();
+  }
+
+  /**
+   * First rule (in list order) of `rules` that matches - domain rules are looked up
+   * for the host and each parent domain, so large hosts lists cost the same as small ones
+   */
+  _findMatch(rules, hostname, url) {
+    let found = null;
+    for (let host = hostname; host;) {
+      const rule = rules.domains.get(host);
+      if (rule && (!found || rule.order < found.order)) {
+        found = rule;
+      }
+      const dot = host.indexOf('.');
+      host = dot === -1 ? '' : host.slice(dot + 1);
+    }
+    for (const rule of rules.patterns) {
+      if (found && rule.order > found.order) {
+        break;
+      }
+      if (rule.regex.test(url)) {
+        return rule;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Pre-build matchers so checking a request doesn't recompile patterns
+   * Rules are split by action into { domains: Map(domain -> rule), patterns: [rule] }
+   */
+  _compile() {
+    const compiled = this.store.get('blocklist.rules')
+      .filter(rule => rule.enabled)
+      .map((rule, order) => {
+        try {
+          if (rule.type === 'regex') {
+            // Rules saved before the check was added are skipped too
+            const risk = getRegexRisk(rule.pattern);
+            if (risk) {
+              throw new Error(risk);
+            }
+            return { ...rule, order, regex: new RegExp(rule.pattern, 'i') };
+          }
+          if (rule.type === 'wildcard') {
+            return { ...rule, order, regex: wildcardToRegExp(rule.pattern) };
+          }
+          return { ...rule, order, pattern: rule.pattern.toLowerCase() };
+        } catch (error) {
+          console.error('Skipping invalid blocklist rule:', rule.pattern, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const index = (action) => {
+      const rules = { domains: new Map(), patterns: [] };
+      for (const rule of compiled.filter(candidate => candidate.action === action)) {
+        if (rule.type !== 'domain') {
+          rules.patterns.push(rule);
+        } else if (!rules.domains.has(rule.pattern)) {
+          rules.domains.set(rule.pattern, rule);
+        }
+      }
+      return rules;
+    };
+    this.allowRules = index('allow');
+    this.blockRules = index('block');
+  }
+}
+
+RequestBlocker.formatRuleLine = formatRuleLine;
+RequestBlocker.parseRuleLine = parseRuleLine;
+
+module.exports = RequestBlocker;
@@ -0,0 +1,108 @@
+/**
+ * Secure Clipboard
+ * Text copied from the calendar is reduced to plain text with tracking removed
+ * from links, and cleared from the clipboard after a delay - unless something
+ * else has been copied in the meantime
+ */
+
+const crypto = require('crypto');
+const { clipboard } = require('electron');
+
+// Query parameters that only exist to track clicks
+const TRACKING_PARAMETERS = /^(utm_[a-z]+|gclid|dclid|gbraid|wbraid|fbclid|msclkid|mc_cid|mc_eid|yclid|igshid|_ga|_gl)$/i;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Unwrap Google redirect links and drop tracking parameters from a URL
+ */
+function cleanUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return text;
+  }
+
+  // https://www.google.com/url?q=<target>&sa=...
+  if (/(^|\.)google\.[a-z.]+$/i.test(url.hostname) && url.pathname === '/url') {
+    const target = url.searchParams.get('q') || url.searchParams.get('url');
+    if (target && /^https?:\/\//i.test(target)) {
+      return cleanUrl(target);
+    }
+  }
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMETERS.test(name)) {
+      url.searchParams.delete(name);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Plain text with tracking removed from every link
+ */
+function sanitizeText(text) {
+  return String(text)
+    // Non-breaking spaces and invisible zero-width characters
+    .replace(/\u00a0/g, ' ')
+    .replace(/[\u200b-\u200d\u2060\ufeff]/g, '')
+    .replace(URL_PATTERN, url => cleanUrl(url));
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class SecureClipboard {
+  /**
+   * @param {Function} getSettings - () => { enabled, clearAfterSeconds }
+   */
+  constructor(getSettings) {
+    this.getSettings = getSettings;
+    this.clearTimer = null;
+    // Hash of the text we put on the clipboard - never the text itself
+    this.copiedHash = null;
+  }
+
+  /**
+   * Called after the calendar page copied something
+   */
+  handleCopy() {
+    const { enabled, clearAfterSeconds } = this.getSettings();
+    if (!enabled) {
+      return;
+    }
+
+    const text = clipboard.readText();
+    if (!text) {
+      return;
+    }
+
+    // Writing plain text replaces the HTML and RTF formats the page put there
+    const sanitized = sanitizeText(text);
+    clipboard.writeText(sanitized);
+    this.copiedHash = hashText(sanitized);
+
+    clearTimeout(this.clearTimer);
+    this.clearTimer = clearAfterSeconds > 0
+      ? setTimeout(() => this.clearNow(), clearAfterSeconds * 1000)
+      : null;
+  }
+
+  /**
+   * Clear the clipboard now if it still holds text copied from the calendar
+   */
+  clearNow() {
+    clearTimeout(this.clearTimer);
+    this.clearTimer = null;
+    if (this.copiedHash && hashText(clipboard.readText()) === this.copiedHash) {
+      clipboard.clear();
+    }
+    this.copiedHash = null;
+  }
+}
+
+SecureClipboard.sanitizeText = sanitizeText;
+
+module.exports = SecureClipboard;
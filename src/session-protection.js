@@ -6,32 +6,88 @@
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
-const { app, safeStorage, systemPreferences } = require('electron');
+const { app, safeStorage, powerMonitor } = require('electron');
+const AuditLog = require('./audit-log');
+const { createAuthenticator } = require('./authenticators');
+const { verifyManifest } = require('./integrity');
+const { INTEGRITY_PUBLIC_KEY } = require('./integrity-key');
+
+// Passcode hashing parameters (scrypt, ~50ms on typical hardware)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSCODE_LENGTH = 4;
+
+// Failed attempt back-off: first few attempts are free, then the wait doubles
+const BACKOFF_FREE_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+// Auto-lock follows system-wide idle time, polled while unlocked
+const IDLE_POLL_MS = 5 * 1000;
+const IDLE_WARNING_MS = 30 * 1000;
+
+// How often to check whether scheduled key rotation is due
+const KEY_ROTATION_CHECK_MS = 60 * 60 * 1000;
 
 class SessionProtection {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onLockStateChanged - (isLocked, reason) after every lock or unlock
+   * @param {Function} options.onIdleWarning - (secondsLeft) shortly before an inactivity lock,
+   *   then (null) if the user comes back in time
+   */
+  constructor({ onLockStateChanged = () => {}, onIdleWarning = () => {} } = {}) {
+    this.onLockStateChanged = onLockStateChanged;
+    this.onIdleWarning = onIdleWarning;
     this.isLocked = false;
-    this.lockTimeout = null;
+    this.idleTimer = null;
+    this.lastActivity = Date.now();
+    // Input in the app's own windows - used while the system idle time is unavailable
+    this.lastInput = Date.now();
+    // Some systems (e.g. Wayland sessions without idle support) always report 0
+    this.systemIdleAvailable = false;
+    this.systemIdleError = false;
+    this.idleWarningShown = false;
     this.lockTimeoutMs = 30 * 60 * 1000; // 30 minutes of inactivity
     this.dataPath = path.join(app.getPath('userData'), 'secure-session');
     this.keyFile = path.join(this.dataPath, '.session-key');
     this.configFile = path.join(this.dataPath, '.security-config');
     this.integrityFile = path.join(this.dataPath, '.integrity');
+    this.passcodeFile = path.join(this.dataPath, '.passcode');
+    this.integrityStatus = { status: 'development', appVersion: null, manifestHash: null, problems: [] };
+    this.keyring = null;
+    this.keyError = null;
+    this.keyRotationTimer = null;
+
+    // Touch ID / Windows Hello / polkit - the test double is only honoured in development
+    this.authenticator = createAuthenticator({ allowTestDouble: !app.isPackaged });
+    this.biometricAvailable = false;
     
     // Security settings
     this.settings = {
-      requireBiometric: false,
+      requireBiometric: false, // Offer OS authentication on the lock screen (the passcode still works)
+      lockDisplay: 'hide', // 'hide' the calendar while locked, or 'blur' it in place
       lockOnMinimize: false,
       autoLockMinutes: 30,
-      secureClipboard: true,
-      preventScreenCapture: false
+      secureClipboard: false, // Copy plain text without tracking, cleared after clipboardClearSeconds (opt-in)
+      clipboardClearSeconds: 30, // 0 = keep copied text
+      preventScreenCapture: false, // Content protection for app windows (Windows and macOS)
+      wipeAfterFailedAttempts: 0, // 0 = never wipe
+      integrityFailureAction: 'warn', // 'warn', 'block' (refuse to load the session) or 'wipe'
+      keyRotationDays: 0 // 0 = never rotate automatically
     };
+
+    // Settings enforced by a managed policy (always win over saved settings)
+    this.managedSettings = {};
     
     // Ensure secure directory exists with restricted permissions
     this._initSecureDirectory();
+
+    // Tamper-evident record of security events
+    this.auditLog = new AuditLog(this);
     
     // Load security settings
     this._loadSettings();
+    this.lockTimeoutMs = this.settings.autoLockMinutes * 60 * 1000;
     
     // Verify app integrity on startup
     this._verifyIntegrity();
@@ -59,7 +115,13 @@ class SessionProtection {
         const encryptedConfig = fs.readFileSync(this.configFile);
         if (safeStorage.isEncryptionAvailable()) {
           const decrypted = safeStorage.decryptString(encryptedConfig);
-          this.settings = { ...this.settings, ...JSON.parse(decrypted) };
+          const saved = JSON.parse(decrypted);
+          // Configs saved before clipboard clearing existed stored the old, unused
+          // `secureClipboard: true` default - don't start clearing users' clipboards
+          if (!Object.prototype.hasOwnProperty.call(saved, 'clipboardClearSeconds')) {
+            saved.secureClipboard = false;
+          }
+          this.settings = { ...this.settings, ...saved };
         }
       }
     } catch (error) {
@@ -67,12 +129,33 @@ class SessionProtection {
     }
   }
 
+  /**
+   * Enforce settings from a managed policy
+   */
+  setManagedSettings(managedSettings) {
+    this.managedSettings = { ...managedSettings };
+    this.settings = { ...this.settings, ...this.managedSettings };
+    this.lockTimeoutMs = this.settings.autoLockMinutes * 60 * 1000;
+  }
+
+  /**
+   * Check if a setting is enforced by a managed policy
+   */
+  isManaged(key) {
+    return Object.prototype.hasOwnProperty.call(this.managedSettings, key);
+  }
+
   /**
    * Save security settings
    */
   saveSettings(newSettings) {
     try {
-      this.settings = { ...this.settings, ...newSettings };
+      const previous = this.settings;
+      this.settings = { ...this.settings, ...newSettings, ...this.managedSettings };
+      const changed = Object.keys(this.settings).filter(key => this.settings[key] !== previous[key]);
+      if (changed.length > 0) {
+        this.auditLog.record('security-settings-changed', { settings: changed.map(key => `${key}=${this.settings[key]}`) });
+      }
       this.lockTimeoutMs = this.settings.autoLockMinutes * 60 * 1000;
       
       if (safeStorage.isEncryptionAvailable()) {
@@ -91,119 +174,298 @@ class SessionProtection {
    */
   _verifyIntegrity() {
     try {
-      const appPath = app.getAppPath();
-      const mainFile = path.join(appPath, 'src', 'main.js');
-      
-      if (fs.existsSync(mainFile)) {
-        const content = fs.readFileSync(mainFile);
-        const currentHash = crypto.createHash('sha256').update(content).digest('hex');
-        
-        if (fs.existsSync(this.integrityFile)) {
-          const storedData = fs.readFileSync(this.integrityFile, 'utf8');
-          const storedHash = storedData.split(':')[1];
-          
-          if (storedHash && storedHash !== currentHash) {
-            console.warn('App integrity check failed - files may have been modified');
-            // In production, you might want to alert the user or take action
-          }
-        } else {
-          // First run - store the hash
-          fs.writeFileSync(this.integrityFile, `main:${currentHash}`, { mode: 0o600 });
-        }
-      }
+      this.integrityStatus = verifyManifest(app.getAppPath(), INTEGRITY_PUBLIC_KEY, {
+        // Builds made before a signing key was set up carry no manifest to check
+        required: app.isPackaged && Boolean(INTEGRITY_PUBLIC_KEY)
+      });
     } catch (error) {
       console.error('Integrity check error:', error);
+      this.integrityStatus = { status: 'failed', appVersion: null, manifestHash: null, problems: [`Integrity check error: ${error.message}`] };
+    }
+
+    if (this.integrityStatus.status === 'failed') {
+      console.warn('App integrity check failed:', this.integrityStatus.problems.join('; '));
+      this.auditLog.record('integrity-check-failed', { problems: this.integrityStatus.problems.slice(0, 20) });
+      return;
+    }
+    if (this.integrityStatus.status !== 'verified') {
+      return;
+    }
+
+    // Remember the last verified build - a new signed manifest (an update) re-baselines
+    const { appVersion, manifestHash } = this.integrityStatus;
+    let baseline = null;
+    try {
+      if (fs.existsSync(this.integrityFile)) {
+        baseline = JSON.parse(fs.readFileSync(this.integrityFile, 'utf8'));
+      }
+    } catch (error) {
+      // Older versions stored a single "main:<hash>" line
+      baseline = null;
+    }
+
+    if (baseline && baseline.manifestHash === manifestHash) {
+      return;
+    }
+    try {
+      fs.writeFileSync(this.integrityFile, JSON.stringify({ appVersion, manifestHash, verifiedAt: new Date().toISOString() }), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error saving integrity baseline:', error);
+    }
+    if (baseline) {
+      this.auditLog.record('integrity-rebaselined', { from: baseline.appVersion, to: appVersion });
+    } else {
+      this.auditLog.record('integrity-baseline-created', { appVersion });
     }
   }
 
   /**
-   * Check if Windows Hello / Biometric is available
+   * Replace the OS authenticator (see authenticators.js)
+   */
+  setAuthenticator(authenticator) {
+    this.authenticator = authenticator;
+    this.biometricAvailable = false;
+  }
+
+  /**
+   * Check if Touch ID / Windows Hello / system authentication is available
+   * The result is cached for the menus (see biometricAvailable)
    */
   async isBiometricAvailable() {
     try {
-      if (process.platform === 'win32') {
-        // Windows Hello availability check
-        return systemPreferences.canPromptTouchID ? 
-          await systemPreferences.canPromptTouchID() : false;
-      } else if (process.platform === 'darwin') {
-        return systemPreferences.canPromptTouchID();
-      }
-      return false;
+      this.biometricAvailable = Boolean(this.authenticator) && await this.authenticator.isAvailable();
     } catch (error) {
-      return false;
+      this.biometricAvailable = false;
     }
+    return this.biometricAvailable;
   }
 
   /**
-   * Authenticate with biometrics (Windows Hello / Touch ID)
+   * Authenticate with the OS authenticator
+   * Returns { success, cancelled?, error? }
    */
   async authenticateWithBiometrics(reason = 'Unlock WlfRyt Google Calendar') {
+    if (!this.authenticator) {
+      return { success: false, error: 'No system authentication is available on this platform' };
+    }
     try {
-      if (process.platform === 'darwin') {
-        await systemPreferences.promptTouchID(reason);
-        return true;
-      } else if (process.platform === 'win32') {
-        // Windows Hello - uses system credential prompt
-        // Note: Full Windows Hello requires additional native modules
-        return true; // Placeholder - would need windows-hello npm package
-      }
-      return false;
+      return await this.authenticator.authenticate(reason);
     } catch (error) {
       console.error('Biometric authentication failed:', error);
-      return false;
+      return { success: false, error: 'Authentication failed' };
     }
   }
 
   /**
-   * Generate or retrieve the session encryption key
+   * Load the session keyring: { current, keys: { [version]: hex key }, rotatedAt }
    * Uses Electron's safeStorage for OS-level encryption (DPAPI on Windows)
+   * Returns null if the key is not usable yet (before the app is ready) or unreadable -
+   * an existing key is never replaced here, see resetSessionKey()
    */
-  getSessionKey() {
-    try {
-      if (fs.existsSync(this.keyFile)) {
-        const encryptedKey = fs.readFileSync(this.keyFile);
-        if (safeStorage.isEncryptionAvailable()) {
-          return safeStorage.decryptString(encryptedKey);
-        }
-        return encryptedKey.toString('utf8');
-      } else {
-        // Generate new key using cryptographically secure random bytes
-        const newKey = crypto.randomBytes(32).toString('hex');
-        this.saveSessionKey(newKey);
-        return newKey;
+  _getKeyring() {
+    if (this.keyring) {
+      return this.keyring;
+    }
+    if (this.keyError || !app.isReady()) {
+      return null;
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      const keyring = { current: 1, keys: { 1: crypto.randomBytes(32).toString('hex') }, rotatedAt: new Date().toISOString() };
+      if (this._saveKeyring(keyring)) {
+        this.keyring = keyring;
       }
+      return this.keyring;
+    }
+
+    try {
+      this.keyring = this._readKeyring();
+    } catch (error) {
+      console.error('Session key is unreadable:', error);
+      this.keyError = error.message;
+    }
+    return this.keyring;
+  }
+
+  _readKeyring() {
+    const raw = fs.readFileSync(this.keyFile);
+    let text;
+    try {
+      text = safeStorage.isEncryptionAvailable() ? safeStorage.decryptString(raw) : raw.toString('utf8');
+    } catch (error) {
+      // Written by the plain-text fallback while safeStorage was unavailable
+      text = raw.toString('utf8');
+    }
+    text = text.trim();
+
+    // Older versions stored a single key - it becomes version 1
+    if (/^[0-9a-f]{64}$/.test(text)) {
+      return { current: 1, keys: { 1: text }, rotatedAt: fs.statSync(this.keyFile).mtime.toISOString() };
+    }
+    let keyring;
+    try {
+      keyring = JSON.parse(text);
     } catch (error) {
-      console.error('Error retrieving session key:', error);
-      const newKey = crypto.randomBytes(32).toString('hex');
-      this.saveSessionKey(newKey);
-      return newKey;
+      throw new Error('The session key file could not be decrypted');
+    }
+    const valid = keyring && keyring.keys &&
+      Object.values(keyring.keys).every(key => /^[0-9a-f]{64}$/.test(key)) &&
+      /^[0-9a-f]{64}$/.test(keyring.keys[keyring.current]);
+    if (!valid) {
+      throw new Error('The session key file is damaged');
     }
+    return keyring;
   }
 
   /**
-   * Save session key with OS-level encryption (DPAPI on Windows, Keychain on macOS)
+   * Save the keyring with OS-level encryption (DPAPI on Windows, Keychain on macOS)
    */
-  saveSessionKey(key) {
+  _saveKeyring(keyring) {
     try {
+      const json = JSON.stringify(keyring);
       if (safeStorage.isEncryptionAvailable()) {
-        const encryptedKey = safeStorage.encryptString(key);
-        fs.writeFileSync(this.keyFile, encryptedKey, { mode: 0o600 });
+        fs.writeFileSync(this.keyFile, safeStorage.encryptString(json), { mode: 0o600 });
       } else {
         // Fallback: obfuscated storage (less secure)
         console.warn('Secure storage not available - using fallback');
-        fs.writeFileSync(this.keyFile, key, { mode: 0o600 });
+        fs.writeFileSync(this.keyFile, json, { mode: 0o600 });
       }
+      return true;
     } catch (error) {
       console.error('Error saving session key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check that the session key can be read (creating it on first use)
+   */
+  isSessionKeyReadable() {
+    return this._getKeyring() !== null;
+  }
+
+  /**
+   * Replace an unreadable session key - only after the user confirmed it
+   * The old key file and everything encrypted with it are moved to a backup folder
+   * Returns the backup folder path
+   */
+  resetSessionKey() {
+    const backupPath = path.join(this.dataPath, `unreadable-${Date.now()}`);
+    fs.mkdirSync(backupPath, { mode: 0o700 });
+    const encryptedFiles = [path.basename(this.keyFile), path.basename(this.auditLog.filePath)];
+    for (const name of fs.readdirSync(this.dataPath)) {
+      if (encryptedFiles.includes(name) || name.endsWith('.enc')) {
+        fs.renameSync(path.join(this.dataPath, name), path.join(backupPath, name));
+      }
+    }
+
+    this.keyring = null;
+    this.keyError = null;
+    this.auditLog.reset();
+    this._getKeyring();
+    this.auditLog.record('session-key-reset', { backup: path.basename(backupPath) });
+    return backupPath;
+  }
+
+  /**
+   * Replace the session key and re-encrypt all protected data with the new one
+   * Older keys are kept for decryption until everything encrypted with them has been
+   * rewritten, so an interrupted or partial rotation never loses data
+   * Returns { version, failed: [names of data left on an older key] }
+   */
+  rotateSessionKey(reason = 'manual') {
+    const keyring = this._getKeyring();
+    if (!keyring) {
+      throw new Error(this.keyError ? 'The session key is unreadable' : 'The session key is not available yet');
+    }
+
+    const previous = keyring.current;
+    const version = Math.max(...Object.keys(keyring.keys).map(Number)) + 1;
+    const rotated = {
+      current: version,
+      keys: { ...keyring.keys, [version]: crypto.randomBytes(32).toString('hex') },
+      rotatedAt: new Date().toISOString()
+    };
+    if (!this._saveKeyring(rotated)) {
+      throw new Error('The new session key could not be saved');
+    }
+    this.keyring = rotated;
+
+    const failed = [];
+    for (const name of this._listProtectedFiles()) {
+      const data = this.readProtectedFile(name);
+      if (data === null || !this.writeProtectedFile(name, data)) {
+        failed.push(`${name}.enc`);
+      }
+    }
+    if (!this.auditLog.reencrypt()) {
+      failed.push('audit log');
+    }
+
+    // Everything is on the new key - the old ones can go
+    if (failed.length === 0 && this._saveKeyring({ ...rotated, keys: { [version]: rotated.keys[version] } })) {
+      this.keyring = { ...rotated, keys: { [version]: rotated.keys[version] } };
+    }
+
+    this.auditLog.record('session-key-rotated', { reason, from: previous, to: version, failed });
+    return { version, failed };
+  }
+
+  /**
+   * Whether scheduled rotation is due (keyRotationDays = 0 turns it off)
+   */
+  isKeyRotationDue() {
+    const keyring = this._getKeyring();
+    if (!keyring || !this.settings.keyRotationDays) {
+      return false;
     }
+    const rotatedAt = Date.parse(keyring.rotatedAt) || 0;
+    return Date.now() - rotatedAt >= this.settings.keyRotationDays * 24 * 60 * 60 * 1000;
   }
 
   /**
-   * Encrypt sensitive data using AES-256-GCM
+   * Check for a due rotation now and periodically while the app runs
+   */
+  startKeyRotationSchedule() {
+    const rotateIfDue = () => {
+      if (!this.isKeyRotationDue()) {
+        return;
+      }
+      try {
+        this.rotateSessionKey('scheduled');
+      } catch (error) {
+        console.error('Scheduled session key rotation failed:', error);
+      }
+    };
+    clearInterval(this.keyRotationTimer);
+    this.keyRotationTimer = setInterval(rotateIfDue, KEY_ROTATION_CHECK_MS);
+    rotateIfDue();
+  }
+
+  /**
+   * Names of the protected files in the secure directory (without the .enc extension)
+   */
+  _listProtectedFiles() {
+    try {
+      return fs.readdirSync(this.dataPath, { withFileTypes: true })
+        .filter(entry => entry.isFile() && entry.name.endsWith('.enc'))
+        .map(entry => entry.name.slice(0, -'.enc'.length));
+    } catch (error) {
+      console.error('Error listing protected files:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Encrypt sensitive data using AES-256-GCM with the current session key
    */
   encrypt(data) {
     try {
-      const key = Buffer.from(this.getSessionKey(), 'hex');
+      const keyring = this._getKeyring();
+      if (!keyring) {
+        throw new Error('The session key is not available');
+      }
+      const key = Buffer.from(keyring.keys[keyring.current], 'hex');
       const iv = crypto.randomBytes(16);
       const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
       
@@ -216,7 +478,8 @@ class SessionProtection {
         iv: iv.toString('hex'),
         data: encrypted,
         tag: authTag.toString('hex'),
-        v: 2 // Version for future compatibility
+        v: 3, // Format version (3 adds the key version)
+        key: keyring.current
       };
     } catch (error) {
       console.error('Encryption error:', error);
@@ -225,15 +488,24 @@ class SessionProtection {
   }
 
   /**
-   * Decrypt sensitive data
+   * Decrypt sensitive data with the key version it was encrypted with
    */
   decrypt(encryptedData) {
     try {
-      const key = Buffer.from(this.getSessionKey(), 'hex');
+      const keyring = this._getKeyring();
+      if (!keyring) {
+        throw new Error('The session key is not available');
+      }
+      // Format version 2 predates key versions - it always used the first key
+      const keyVersion = encryptedData.v >= 3 ? encryptedData.key : 1;
+      if (!keyring.keys[keyVersion]) {
+        throw new Error(`Session key version ${keyVersion} is not available`);
+      }
+      const key = Buffer.from(keyring.keys[keyVersion], 'hex');
       const iv = Buffer.from(encryptedData.iv, 'hex');
       const authTag = Buffer.from(encryptedData.tag, 'hex');
       
-      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv, { authTagLength: 16 });
       decipher.setAuthTag(authTag);
       
       let decrypted = decipher.update(encryptedData.data, 'hex', 'utf8');
@@ -247,54 +519,366 @@ class SessionProtection {
   }
 
   /**
-   * Lock the session
+   * Write data encrypted with the session key to the secure directory
    */
-  lock() {
-    this.isLocked = true;
+  writeProtectedFile(name, data) {
+    const encrypted = this.encrypt(data);
+    if (!encrypted) {
+      return false;
+    }
+    try {
+      this._initSecureDirectory();
+      fs.writeFileSync(path.join(this.dataPath, `${name}.enc`), JSON.stringify(encrypted), { mode: 0o600 });
+      return true;
+    } catch (error) {
+      console.error(`Error writing protected file ${name}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Read and decrypt a protected file - returns null if missing or unreadable
+   */
+  readProtectedFile(name) {
+    const filePath = path.join(this.dataPath, `${name}.enc`);
+    try {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return this.decrypt(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      console.error(`Error reading protected file ${name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the stored passcode record (salted hash and failed attempt counters)
+   * Returns null when no passcode has been set up
+   */
+  _readPasscodeRecord() {
+    if (!fs.existsSync(this.passcodeFile)) {
+      return null;
+    }
+    try {
+      const raw = fs.readFileSync(this.passcodeFile);
+      const json = safeStorage.isEncryptionAvailable() ? safeStorage.decryptString(raw) : raw.toString('utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      // Never treat an unreadable record as "no passcode" - that would allow a bypass
+      console.error('Error reading passcode record:', error);
+      return { corrupt: true };
+    }
+  }
+
+  /**
+   * Write the passcode record with OS-level encryption when available
+   */
+  _writePasscodeRecord(record) {
+    const json = JSON.stringify(record);
+    const data = safeStorage.isEncryptionAvailable() ? safeStorage.encryptString(json) : json;
+    fs.writeFileSync(this.passcodeFile, data, { mode: 0o600 });
+  }
+
+  /**
+   * Derive a slow salted hash of a passcode using scrypt
+   */
+  _hashPasscode(passcode, salt, params = SCRYPT_PARAMS) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passcode, salt, params.keylen, { N: params.N, r: params.r, p: params.p }, (error, derivedKey) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(derivedKey);
+        }
+      });
+    });
+  }
+
+  /**
+   * Delay before the next attempt is allowed after a number of failures
+   */
+  _getBackoffMs(failedAttempts) {
+    if (failedAttempts < BACKOFF_FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, failedAttempts - BACKOFF_FREE_ATTEMPTS), BACKOFF_MAX_MS);
+  }
+
+  /**
+   * Check if a passcode has been set up
+   */
+  hasPasscode() {
+    return this._readPasscodeRecord() !== null;
+  }
+
+  /**
+   * Get the current passcode state for the lock screen
+   */
+  getPasscodeState() {
+    const record = this._readPasscodeRecord();
+    const retryAfter = record && record.retryAfter ? record.retryAfter - Date.now() : 0;
+    return {
+      hasPasscode: record !== null,
+      corrupt: Boolean(record && record.corrupt),
+      failedAttempts: record && record.failedAttempts ? record.failedAttempts : 0,
+      retryAfterMs: Math.max(0, retryAfter),
+      wipeAfterFailedAttempts: this.settings.wipeAfterFailedAttempts,
+      minLength: MIN_PASSCODE_LENGTH,
+      // Name of the OS authenticator offered on the lock screen, if any
+      biometricLabel: this.settings.requireBiometric && this.biometricAvailable ? this.authenticator.label : null
+    };
+  }
+
+  /**
+   * Set or change the unlock passcode
+   * Changing an existing passcode requires the current one
+   */
+  async setPasscode(passcode, currentPasscode) {
+    if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH) {
+      return { success: false, error: `Passcode must be at least ${MIN_PASSCODE_LENGTH} characters` };
+    }
+
+    const isChange = this.hasPasscode();
+    if (isChange) {
+      const verified = await this.verifyPasscode(currentPasscode);
+      if (!verified.success) {
+        return verified;
+      }
+    }
+
+    try {
+      const salt = crypto.randomBytes(16);
+      const hash = await this._hashPasscode(passcode, salt);
+      this._initSecureDirectory();
+      this._writePasscodeRecord({
+        algorithm: 'scrypt',
+        params: SCRYPT_PARAMS,
+        salt: salt.toString('hex'),
+        hash: hash.toString('hex'),
+        failedAttempts: 0,
+        retryAfter: 0
+      });
+      this.auditLog.record(isChange ? 'passcode-changed' : 'passcode-set');
+      if (!isChange) {
+        // Auto-lock starts once there is a passcode to unlock with
+        this.resetLockTimeout();
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving passcode:', error);
+      return { success: false, error: 'Could not save passcode' };
+    }
+  }
+
+  /**
+   * Verify a passcode against the stored hash
+   * Applies escalating back-off and signals when the session should be wiped
+   */
+  async verifyPasscode(passcode) {
+    const record = this._readPasscodeRecord();
+    if (!record) {
+      return { success: false, error: 'No passcode has been set' };
+    }
+    if (record.corrupt) {
+      return { success: false, error: 'Passcode data is unreadable - reset required' };
+    }
+
+    // Only one verification at a time so parallel guesses can't skip the back-off
+    if (this._verifyingPasscode) {
+      return { success: false, error: 'Verification already in progress' };
+    }
+
+    const now = Date.now();
+    if (record.retryAfter && record.retryAfter > now) {
+      return {
+        success: false,
+        error: 'Too many failed attempts',
+        retryAfterMs: record.retryAfter - now
+      };
+    }
+
+    this._verifyingPasscode = true;
+    try {
+      const expected = Buffer.from(record.hash, 'hex');
+      const actual = await this._hashPasscode(String(passcode || ''), Buffer.from(record.salt, 'hex'), record.params);
+
+      if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+        if (record.failedAttempts) {
+          record.failedAttempts = 0;
+          record.retryAfter = 0;
+          this._writePasscodeRecord(record);
+        }
+        return { success: true };
+      }
+
+      record.failedAttempts = (record.failedAttempts || 0) + 1;
+      const wipeAfter = this.settings.wipeAfterFailedAttempts;
+
+      if (wipeAfter > 0 && record.failedAttempts >= wipeAfter) {
+        this._writePasscodeRecord(record);
+        this.auditLog.record('passcode-failed', { failedAttempts: record.failedAttempts, wipeRequired: true });
+        return { success: false, error: 'Too many failed attempts - session data will be wiped', wipeRequired: true };
+      }
+
+      const backoffMs = this._getBackoffMs(record.failedAttempts);
+      record.retryAfter = backoffMs ? now + backoffMs : 0;
+      this._writePasscodeRecord(record);
+      this.auditLog.record('passcode-failed', { failedAttempts: record.failedAttempts, backoffSeconds: Math.round(backoffMs / 1000) });
+
+      return {
+        success: false,
+        error: 'Incorrect passcode',
+        retryAfterMs: backoffMs,
+        attemptsRemaining: wipeAfter > 0 ? wipeAfter - record.failedAttempts : null
+      };
+    } catch (error) {
+      console.error('Passcode verification error:', error);
+      return { success: false, error: 'Passcode verification failed' };
+    } finally {
+      this._verifyingPasscode = false;
+    }
+  }
+
+  /**
+   * Lock the session - every lock path (timer, minimize, power events, menu, tray, IPC)
+   * comes through here, and listeners are only notified when the state changes
+   * Security: Nothing locks until a passcode has been set in Settings - a lock screen
+   * offering to create one would let anyone at the machine in
+   * @param {string} reason - recorded in the audit log (e.g. 'manual', 'inactivity', 'suspend')
+   */
+  lock(reason = 'manual') {
     this.clearLockTimeout();
+    if (this.isLocked || !this.hasPasscode()) {
+      return false;
+    }
+
+    this.isLocked = true;
+    this.auditLog.record('session-locked', { reason });
     
     // Clear any sensitive data from memory
     if (global.gc) {
       global.gc(); // Force garbage collection if available
     }
-    
+
+    this.onLockStateChanged(true, reason);
     return true;
   }
 
+  _setUnlocked(method) {
+    this.isLocked = false;
+    this.auditLog.record('session-unlocked', { method });
+    this.resetLockTimeout();
+    this.onLockStateChanged(false, method);
+  }
+
   /**
-   * Unlock the session
+   * Unlock the session - requires the passcode to verify
    */
-  async unlock(useBiometric = false) {
-    if (useBiometric && this.settings.requireBiometric) {
-      const authenticated = await this.authenticateWithBiometrics();
-      if (!authenticated) {
-        return false;
-      }
+  async unlock(passcode) {
+    const result = await this.verifyPasscode(passcode);
+    if (!result.success) {
+      return result;
     }
     
-    this.isLocked = false;
-    this.resetLockTimeout();
-    return true;
+    this._setUnlocked('passcode');
+    return { success: true };
   }
 
   /**
-   * Reset the inactivity lock timeout
+   * Unlock with the OS authenticator instead of the passcode
+   * Only offered once a passcode exists, so there is always a fallback
+   */
+  async unlockWithBiometrics() {
+    if (!this.settings.requireBiometric || !this.hasPasscode()) {
+      return { success: false, error: 'System authentication is not turned on' };
+    }
+
+    const result = await this.authenticateWithBiometrics();
+    if (!result.success) {
+      if (!result.cancelled) {
+        this.auditLog.record('biometric-failed', { method: this.authenticator ? this.authenticator.id : null });
+      }
+      return { success: false, cancelled: Boolean(result.cancelled), error: `${result.error} - enter your passcode instead` };
+    }
+
+    this._setUnlocked(this.authenticator.id);
+    return { success: true };
+  }
+
+  /**
+   * Restart inactivity tracking (after unlocking, a settings change or "Stay unlocked")
+   * Idle time is the system-wide idle time, so the session locks when the user walks
+   * away even if the window is in the background. Nothing runs while locked, with
+   * auto-lock off or before a passcode is set
    */
   resetLockTimeout() {
     this.clearLockTimeout();
-    this.lockTimeout = setTimeout(() => {
-      this.lock();
-    }, this.lockTimeoutMs);
+    if (this.isLocked || this.lockTimeoutMs <= 0 || !this.hasPasscode()) {
+      return;
+    }
+    this.lastActivity = Date.now();
+    this.idleTimer = setInterval(() => this._checkIdle(), IDLE_POLL_MS);
   }
 
   /**
-   * Clear the lock timeout
+   * Stop inactivity tracking
    */
   clearLockTimeout() {
-    if (this.lockTimeout) {
-      clearTimeout(this.lockTimeout);
-      this.lockTimeout = null;
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+    this._setIdleWarning(null);
+  }
+
+  /**
+   * Note keyboard or mouse input in one of the app's windows
+   */
+  recordInput() {
+    this.lastInput = Date.now();
+  }
+
+  /**
+   * Milliseconds without input anywhere on the system (or since resetLockTimeout)
+   * Security: Until the system reports an idle time above 0 it is treated as unavailable,
+   * and only input in the app counts - so auto-lock never fails open
+   */
+  getIdleMs() {
+    const sinceReset = Date.now() - this.lastActivity;
+    try {
+      const systemIdleMs = powerMonitor.getSystemIdleTime() * 1000;
+      this.systemIdleAvailable = this.systemIdleAvailable || systemIdleMs > 0;
+      if (this.systemIdleAvailable) {
+        return Math.min(systemIdleMs, sinceReset);
+      }
+    } catch (error) {
+      if (!this.systemIdleError) {
+        this.systemIdleError = true;
+        console.error('Error reading system idle time, using activity in the app instead:', error);
+      }
+    }
+    return Math.min(Date.now() - this.lastInput, sinceReset);
+  }
+
+  _checkIdle() {
+    const remainingMs = this.lockTimeoutMs - this.getIdleMs();
+    if (remainingMs <= 0) {
+      this.lock('inactivity');
+    } else if (remainingMs <= IDLE_WARNING_MS) {
+      this._setIdleWarning(Math.ceil(remainingMs / 1000));
+    } else {
+      this._setIdleWarning(null);
+    }
+  }
+
+  _setIdleWarning(secondsLeft) {
+    const show = secondsLeft !== null;
+    if (show === this.idleWarningShown) {
+      return;
     }
+    this.idleWarningShown = show;
+    this.onIdleWarning(secondsLeft);
   }
 
   /**
@@ -306,8 +890,12 @@ class SessionProtection {
 
   /**
    * Securely delete session data with multiple overwrites
+   * The audit log is kept (a wipe must not erase the record of what happened): its key
+   * version stays in the new keyring, and the record of the wipe continues its chain
    */
-  async clearAllData() {
+  async clearAllData(reason = 'user') {
+    const previousKeyring = this._getKeyring();
+    const kept = [path.basename(this.auditLog.filePath), `${AuditLog.HEAD_FILE_NAME}.enc`];
     try {
       // Secure file deletion with multiple overwrites
       const secureDelete = (filePath) => {
@@ -328,10 +916,30 @@ class SessionProtection {
       secureDelete(this.keyFile);
       secureDelete(this.configFile);
       secureDelete(this.integrityFile);
+      secureDelete(this.passcodeFile);
       
-      // Remove secure session directory
-      if (fs.existsSync(this.dataPath)) {
-        fs.rmSync(this.dataPath, { recursive: true, force: true });
+      // Remove everything else in the secure session directory
+      this._initSecureDirectory();
+      for (const name of fs.readdirSync(this.dataPath)) {
+        if (!kept.includes(name)) {
+          fs.rmSync(path.join(this.dataPath, name), { recursive: true, force: true });
+        }
+      }
+
+      // New session key; the old versions only remain to read the audit log until the
+      // next key rotation re-encrypts it
+      const keys = previousKeyring ? { ...previousKeyring.keys } : {};
+      const version = Math.max(0, ...Object.keys(keys).map(Number)) + 1;
+      keys[version] = crypto.randomBytes(32).toString('hex');
+      const keyring = { current: version, keys, rotatedAt: new Date().toISOString() };
+      this.keyring = this._saveKeyring(keyring) ? keyring : null;
+      this.keyError = null;
+      this.auditLog.reset();
+      this.auditLog.record('session-data-wiped', { reason });
+
+      // The passcode went with everything it protected - there is nothing left to unlock
+      if (this.isLocked) {
+        this._setUnlocked('session-wiped');
       }
       
       return true;
@@ -349,10 +957,21 @@ class SessionProtection {
       isLocked: this.isLocked,
       secureStorageAvailable: this.isSecureStorageAvailable(),
       sessionProtected: fs.existsSync(this.keyFile),
+      keyVersion: this.keyring ? this.keyring.current : null,
+      keyRotatedAt: this.keyring ? this.keyring.rotatedAt : null,
+      retainedKeyVersions: this.keyring ? Object.keys(this.keyring.keys).length - 1 : 0,
+      keyError: this.keyError,
       encryptionAlgorithm: 'AES-256-GCM',
       keyStorage: safeStorage.isEncryptionAvailable() ? 'OS Keychain (DPAPI/Keychain)' : 'File-based (fallback)',
       autoLockMinutes: this.settings.autoLockMinutes,
-      integrityVerified: fs.existsSync(this.integrityFile),
+      integrityVerified: this.integrityStatus.status === 'verified',
+      integrityStatus: this.integrityStatus.status,
+      integrityProblems: this.integrityStatus.problems,
+      passcodeSet: this.hasPasscode(),
+      screenCaptureProtection: !this.settings.preventScreenCapture ? 'off' : (process.platform === 'linux' ? 'unsupported' : 'on'),
+      secureClipboard: this.settings.secureClipboard,
+      clipboardClearSeconds: this.settings.clipboardClearSeconds,
+      managedSettings: Object.keys(this.managedSettings),
       settings: this.settings
     };
   }
@@ -0,0 +1,174 @@
+/**
+ * Settings Bundle
+ * Password-protected backup of the app configuration for moving to another machine
+ * (AES-256-GCM with an scrypt-derived key - the header is authenticated too)
+ */
+
+const crypto = require('crypto');
+
+const BUNDLE_FORMAT = 'wlfryt-google-calendar-settings';
+const BUNDLE_VERSION = 1; // Encryption envelope
+const SCHEMA_VERSION = 1; // Layout of the encrypted settings
+const BUNDLE_EXTENSION = 'wgcsettings';
+const MAX_BUNDLE_BYTES = 10 * 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+// Upper bounds for parameters read from a bundle, so a crafted file can't exhaust memory
+const KDF_LIMITS = { N: 131072, r: 8, p: 4 };
+
+// Schema migrations: MIGRATIONS[n] upgrades settings from schema version n to n + 1.
+// Add a step here whenever the layout of the exported settings changes.
+const MIGRATIONS = {};
+
+class BundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BundleError';
+  }
+}
+
+function deriveKey(password, salt, { N, r, p }) {
+  return crypto.scryptSync(String(password).normalize('NFKC'), salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Header fields in a fixed order - the serialized header is the cipher's additional data
+ */
+function buildHeader(fields) {
+  return {
+    format: fields.format,
+    version: fields.version,
+    schemaVersion: fields.schemaVersion,
+    createdAt: fields.createdAt,
+    appVersion: fields.appVersion,
+    kdf: {
+      name: fields.kdf.name,
+      N: fields.kdf.N,
+      r: fields.kdf.r,
+      p: fields.kdf.p,
+      salt: fields.kdf.salt
+    },
+    cipher: fields.cipher,
+    iv: fields.iv
+  };
+}
+
+/**
+ * Encrypt settings into a bundle (JSON text)
+ */
+function createBundle(settings, password, { appVersion = '' } = {}) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new BundleError(`The password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const header = buildHeader({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion,
+    kdf: { name: 'scrypt', ...KDF_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64')
+  });
+
+  const key = deriveKey(password, salt, KDF_PARAMS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(JSON.stringify(header), 'utf8'));
+  const data = Buffer.concat([cipher.update(JSON.stringify(settings), 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    ...header,
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2);
+}
+
+/**
+ * Upgrade decrypted settings to the current schema version
+ */
+function migrate(settings, schemaVersion) {
+  let migrated = settings;
+  for (let version = schemaVersion; version < SCHEMA_VERSION; version++) {
+    if (!MIGRATIONS[version]) {
+      throw new BundleError(`Settings schema version ${version} is not supported`);
+    }
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Decrypt and verify a bundle
+ * Returns { settings, createdAt, appVersion } - throws BundleError if the password
+ * is wrong or any part of the bundle was modified
+ */
+function openBundle(text, password) {
+  if (Buffer.byteLength(String(text), 'utf8') > MAX_BUNDLE_BYTES) {
+    throw new BundleError('The file is too large to be a settings backup');
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new BundleError('The file is not a settings backup');
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleError('The file is not a settings backup');
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new BundleError(`Unsupported backup format version ${bundle.version}`);
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw new BundleError('The backup has an invalid schema version');
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    throw new BundleError('The backup was created by a newer version of the app - update the app to import it');
+  }
+
+  const kdf = bundle.kdf || {};
+  const validKdf = kdf.name === 'scrypt' &&
+    ['N', 'r', 'p'].every(name => Number.isInteger(kdf[name]) && kdf[name] > 0 && kdf[name] <= KDF_LIMITS[name]) &&
+    (kdf.N & (kdf.N - 1)) === 0 &&
+    typeof kdf.salt === 'string';
+  if (!validKdf || bundle.cipher !== 'aes-256-gcm' || typeof bundle.iv !== 'string' || typeof bundle.tag !== 'string' || typeof bundle.data !== 'string') {
+    throw new BundleError('The backup is damaged');
+  }
+
+  let settings;
+  try {
+    const header = buildHeader(bundle);
+    const key = deriveKey(password, Buffer.from(kdf.salt, 'base64'), kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.iv, 'base64'), { authTagLength: 16 });
+    decipher.setAAD(Buffer.from(JSON.stringify(header), 'utf8'));
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+    settings = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new BundleError('Wrong password, or the backup has been modified');
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new BundleError('The backup is damaged');
+  }
+
+  return {
+    settings: migrate(settings, bundle.schemaVersion),
+    createdAt: bundle.createdAt,
+    appVersion: bundle.appVersion
+  };
+}
+
+module.exports = {
+  BundleError,
+  createBundle,
+  openBundle,
+  BUNDLE_EXTENSION,
+  MAX_BUNDLE_BYTES,
+  MIN_PASSWORD_LENGTH,
+  SCHEMA_VERSION
+};
@@ -0,0 +1,18 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Settings window API - the main process only answers these for the settings window
+contextBridge.exposeInMainWorld('settingsApp', {
+  // Schema, current values and which settings are enforced by policy
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+
+  // Validate and apply changes - resolves with { values, errors }
+  saveSettings: (changes) => ipcRenderer.invoke('save-settings', changes),
+
+  // Reset every setting that isn't enforced by policy
+  restoreDefaults: () => ipcRenderer.invoke('restore-default-settings'),
+
+  // Listen for changes made elsewhere (menus, tray)
+  onSettingsChanged: (callback) => {
+    ipcRenderer.on('settings-changed', (event, values) => callback(values));
+  }
+});
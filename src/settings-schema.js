@@ -0,0 +1,236 @@
+/**
+ * Settings Schema
+ * Describes every user-editable setting shown in the settings window,
+ * with the validation rules applied before a value is saved
+ */
+
+const NotificationCenter = require('./notification-center');
+const { normalizeProxyRules, normalizeBypassRules, normalizePacUrl } = require('./proxy-config');
+const GlobalShortcuts = require('./shortcuts');
+
+const SETTINGS_SECTIONS = [
+  { id: 'general', label: 'General' },
+  { id: 'tray', label: 'Tray' },
+  { id: 'startup', label: 'Startup' },
+  { id: 'security', label: 'Security' },
+  { id: 'zoom', label: 'Zoom' },
+  { id: 'network', label: 'Network' },
+  { id: 'shortcuts', label: 'Shortcuts' },
+  { id: 'automation', label: 'Automation' }
+];
+
+// `scope` says where the value lives: 'store' (app-config) or 'security' (SessionProtection)
+const SETTINGS_FIELDS = [
+  { key: 'notificationsEnabled', section: 'general', scope: 'store', type: 'boolean', default: true, label: 'Show desktop notifications' },
+  { key: 'quietHoursEnabled', section: 'general', scope: 'store', type: 'boolean', default: false, label: 'Silence notifications during quiet hours' },
+  { key: 'quietHours', section: 'general', scope: 'store', type: 'timeRange', default: '22:00-07:00', label: 'Quiet hours', help: '24-hour range, e.g. 22:00-07:00' },
+
+  { key: 'minimizeToTray', section: 'tray', scope: 'store', type: 'boolean', default: true, label: 'Minimize to tray' },
+  { key: 'closeToTray', section: 'tray', scope: 'store', type: 'boolean', default: true, label: 'Close to tray' },
+  {
+    key: 'agendaCount',
+    section: 'tray',
+    scope: 'store',
+    type: 'choice',
+    default: 5,
+    label: 'Upcoming events in the tray menu',
+    choices: [{ value: 3, label: '3 events' }, { value: 5, label: '5 events' }, { value: 10, label: '10 events' }]
+  },
+
+  { key: 'startWithWindows', section: 'startup', scope: 'store', type: 'boolean', default: false, label: 'Start with Windows' },
+  { key: 'startMinimized', section: 'startup', scope: 'store', type: 'boolean', default: false, label: 'Start minimized to the tray' },
+
+  { key: 'autoLockMinutes', section: 'security', scope: 'security', type: 'integer', default: 30, min: 0, max: 1440, label: 'Auto-lock after (minutes)', help: '0 turns auto-lock off' },
+  { key: 'lockOnMinimize', section: 'security', scope: 'security', type: 'boolean', default: false, label: 'Lock when minimized' },
+  {
+    key: 'lockDisplay',
+    section: 'security',
+    scope: 'security',
+    type: 'choice',
+    default: 'hide',
+    label: 'While locked',
+    choices: [{ value: 'hide', label: 'Hide the calendar' }, { value: 'blur', label: 'Blur the calendar in place' }]
+  },
+  {
+    key: 'wipeAfterFailedAttempts',
+    section: 'security',
+    scope: 'security',
+    type: 'choice',
+    default: 0,
+    label: 'Wipe session after failed passcode attempts',
+    choices: [{ value: 0, label: 'Never' }, { value: 5, label: '5 attempts' }, { value: 10, label: '10 attempts' }]
+  },
+  { key: 'requireBiometric', section: 'security', scope: 'security', type: 'boolean', default: false, label: 'Unlock with Touch ID / Windows Hello / system authentication', help: 'The passcode still works if this fails' },
+  { key: 'secureClipboard', section: 'security', scope: 'security', type: 'boolean', default: false, label: 'Secure clipboard', help: 'Text copied from the calendar is copied as plain text, without link tracking' },
+  {
+    key: 'clipboardClearSeconds',
+    section: 'security',
+    scope: 'security',
+    type: 'choice',
+    default: 30,
+    label: 'Clear copied text from the clipboard after',
+    choices: [
+      { value: 0, label: 'Never' },
+      { value: 15, label: '15 seconds' },
+      { value: 30, label: '30 seconds' },
+      { value: 60, label: '1 minute' },
+      { value: 120, label: '2 minutes' }
+    ]
+  },
+  { key: 'preventScreenCapture', section: 'security', scope: 'security', type: 'boolean', default: false, label: 'Prevent screen capture', help: 'Windows and macOS only' },
+  {
+    key: 'integrityFailureAction',
+    section: 'security',
+    scope: 'security',
+    type: 'choice',
+    default: 'warn',
+    label: 'If app files have been modified',
+    choices: [
+      { value: 'warn', label: 'Warn me' },
+      { value: 'block', label: 'Refuse to open the session' },
+      { value: 'wipe', label: 'Wipe the session' }
+    ]
+  },
+  {
+    key: 'keyRotationDays',
+    section: 'security',
+    scope: 'security',
+    type: 'choice',
+    default: 0,
+    label: 'Rotate the session key automatically',
+    choices: [
+      { value: 0, label: 'Never' },
+      { value: 30, label: 'Every 30 days' },
+      { value: 90, label: 'Every 90 days' },
+      { value: 180, label: 'Every 180 days' },
+      { value: 365, label: 'Every 365 days' }
+    ]
+  },
+
+  { key: 'zoomFactor', section: 'zoom', scope: 'store', type: 'number', default: 1.0, min: 0.5, max: 2.0, step: 0.1, label: 'Calendar zoom factor', help: '0.5 to 2.0 (1.0 = 100%)' },
+
+  { key: 'blocklistEnabled', section: 'network', scope: 'store', type: 'boolean', default: true, label: 'Block requests matching the blocklist' },
+  { key: 'agendaRefreshMinutes', section: 'network', scope: 'store', type: 'integer', default: 15, min: 5, max: 1440, label: 'Refresh tray agenda feeds every (minutes)' },
+  {
+    key: 'proxyMode',
+    section: 'network',
+    scope: 'store',
+    type: 'choice',
+    default: 'system',
+    label: 'Proxy',
+    choices: [
+      { value: 'system', label: 'Use system proxy settings' },
+      { value: 'direct', label: 'No proxy' },
+      { value: 'fixed_servers', label: 'Manual proxy' },
+      { value: 'pac_script', label: 'Automatic configuration (PAC) URL' }
+    ]
+  },
+  { key: 'proxyRules', section: 'network', scope: 'store', type: 'proxyRules', default: '', label: 'Manual proxy servers', help: 'e.g. proxy.example.com:8080, or http=proxy:8080;https=proxy:8443' },
+  { key: 'proxyBypassRules', section: 'network', scope: 'store', type: 'bypassRules', default: '<local>', label: 'Bypass the manual proxy for', help: 'Comma-separated hosts, e.g. <local>, *.corp.example.com, 10.0.0.0/8' },
+  { key: 'proxyPacUrl', section: 'network', scope: 'store', type: 'url', default: '', label: 'PAC URL', help: 'http, https or file URL - the system proxy is used while empty' },
+
+  { key: 'shortcutToggleWindow', section: 'shortcuts', scope: 'store', type: 'shortcut', default: 'CmdOrCtrl+Alt+Shift+C', label: 'Show/hide the calendar (global)', help: 'Click and press the keys - Backspace turns the shortcut off' },
+  { key: 'shortcutLockSession', section: 'shortcuts', scope: 'store', type: 'shortcut', default: 'CmdOrCtrl+Alt+Shift+L', label: 'Lock the session (global)' },
+  { key: 'shortcutQuickAdd', section: 'shortcuts', scope: 'store', type: 'shortcut', default: 'CmdOrCtrl+Alt+Shift+A', label: 'Quick add an event (global)' },
+
+  { key: 'automationEnabled', section: 'automation', scope: 'store', type: 'boolean', default: false, label: 'Allow local scripts to control the app', help: 'JSON-RPC over a local socket, with the token from the token file (see Settings > Automation API)' }
+];
+
+const FIELDS_BY_KEY = new Map(SETTINGS_FIELDS.map(field => [field.key, field]));
+
+/**
+ * Default value of every setting
+ */
+function getDefaultSettings() {
+  const defaults = {};
+  for (const field of SETTINGS_FIELDS) {
+    defaults[field.key] = field.default;
+  }
+  return defaults;
+}
+
+/**
+ * Check and normalize one value - returns { value } or { error }
+ */
+function validateSetting(key, value) {
+  const field = FIELDS_BY_KEY.get(key);
+  if (!field) {
+    return { error: `Unknown setting "${key}"` };
+  }
+
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'Must be on or off' };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        return { error: field.type === 'integer' ? 'Must be a whole number' : 'Must be a number' };
+      }
+      if (number < field.min || number > field.max) {
+        return { error: `Must be between ${field.min} and ${field.max}` };
+      }
+      return { value: field.step ? Number((Math.round(number / field.step) * field.step).toFixed(2)) : number };
+    }
+
+    case 'choice': {
+      const choice = field.choices.find(option => String(option.value) === String(value));
+      return choice ? { value: choice.value } : { error: 'Not one of the available options' };
+    }
+
+    case 'timeRange': {
+      const range = NotificationCenter.parseQuietHours(value);
+      return range ? { value: `${range.start}-${range.end}` } : { error: 'Use the format HH:MM-HH:MM' };
+    }
+
+    case 'proxyRules': {
+      const rules = normalizeProxyRules(value);
+      return rules !== null ? { value: rules } : { error: 'Use host:port, or scheme=host:port entries separated by ";"' };
+    }
+
+    case 'bypassRules': {
+      const rules = normalizeBypassRules(value);
+      return rules !== null ? { value: rules } : { error: 'Use host names, *.domain, IP ranges or <local>, separated by commas' };
+    }
+
+    case 'shortcut': {
+      const accelerator = GlobalShortcuts.normalizeAccelerator(value);
+      return accelerator !== null ? { value: accelerator } : { error: 'Use at least one of Ctrl, Alt or Cmd with a key (or a function key)' };
+    }
+
+    case 'url': {
+      const url = normalizePacUrl(value);
+      return url !== null ? { value: url } : { error: 'Enter an http://, https:// or file:// URL' };
+    }
+
+    default:
+      return { error: `Unsupported setting type "${field.type}"` };
+  }
+}
+
+/**
+ * Validate a set of changes
+ * Returns { values, errors } - values holds only the valid, normalized changes
+ */
+function validateSettings(changes) {
+  const values = {};
+  const errors = {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    const result = validateSetting(key, value);
+    if (result.error) {
+      errors[key] = result.error;
+    } else {
+      values[key] = result.value;
+    }
+  }
+  return { values, errors };
+}
+
+module.exports = {
+  SETTINGS_SECTIONS,
+  SETTINGS_FIELDS,
+  getDefaultSettings,
+  validateSetting,
+  validateSettings
+};
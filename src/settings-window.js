@@ -0,0 +1,379 @@
+/**
+ * Settings Window
+ * Sandboxed window for every user-editable setting, kept in sync with
+ * the application and tray menus
+ */
+
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { SETTINGS_SECTIONS, SETTINGS_FIELDS } = require('./settings-schema');
+
+function getSettingsHtml() {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+  <title>Settings</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #333;
+      display: flex;
+      height: 100vh;
+    }
+    nav {
+      width: 150px;
+      background: #f5f5f5;
+      border-right: 1px solid #ddd;
+      padding: 12px 0;
+    }
+    nav button {
+      display: block;
+      width: 100%;
+      text-align: left;
+      background: none;
+      border: none;
+      padding: 10px 20px;
+      font-size: 14px;
+      color: #333;
+      cursor: pointer;
+    }
+    nav button.active { background: #e3edfd; color: #1a5fd0; font-weight: 600; }
+    main { flex: 1; display: flex; flex-direction: column; }
+    #fields { flex: 1; overflow-y: auto; padding: 20px 24px; }
+    h2 { font-size: 18px; font-weight: 500; margin-bottom: 16px; }
+    .field { margin-bottom: 16px; font-size: 14px; }
+    .field label { display: flex; align-items: center; gap: 8px; }
+    .field.stacked label { flex-direction: column; align-items: flex-start; gap: 6px; }
+    .field input[type="text"], .field input[type="number"], .field select {
+      width: 220px;
+      padding: 6px 8px;
+      font-size: 14px;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+    }
+    .field.invalid input { border-color: #d93025; }
+    .help { font-size: 12px; color: #777; margin-top: 4px; }
+    .error { font-size: 12px; color: #d93025; margin-top: 4px; }
+    .managed { font-size: 12px; color: #777; margin-top: 4px; font-style: italic; }
+    footer {
+      border-top: 1px solid #ddd;
+      padding: 12px 24px;
+      display: flex;
+      justify-content: space-between;
+    }
+    footer button {
+      background: #4285f4;
+      color: white;
+      border: none;
+      padding: 8px 20px;
+      font-size: 14px;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    footer button.secondary { background: #eee; color: #333; }
+  </style>
+</head>
+<body>
+  <nav id="sections"></nav>
+  <main>
+    <div id="fields"></div>
+    <footer>
+      <button type="button" class="secondary" id="restore">Restore Defaults</button>
+      <button type="button" id="close">Close</button>
+    </footer>
+  </main>
+  <script>
+    let state = null;
+    let currentSection = null;
+    const errors = {};
+    const isMac = navigator.userAgent.includes('Mac');
+    const namedKeys = {
+      Space: 'Space', Tab: 'Tab', Enter: 'Enter', Insert: 'Insert', Delete: 'Delete',
+      ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+      Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown',
+      Minus: '-', Equal: '=', Comma: ',', Period: '.', Slash: '/', Semicolon: ';',
+      Quote: "'", BracketLeft: '[', BracketRight: ']', Backquote: '\u0060'
+    };
+
+    // Electron accelerator for a key press, or null while only modifiers are held
+    function acceleratorFromEvent(event) {
+      let key = namedKeys[event.code] || null;
+      if (event.code.startsWith('Key') && event.code.length === 4) key = event.code.slice(3);
+      if (event.code.startsWith('Digit')) key = event.code.slice(5);
+      if (/^F[0-9]{1,2}$/.test(event.code)) key = event.code;
+      if (!key) return null;
+      const parts = [];
+      if (isMac ? event.metaKey : event.ctrlKey) parts.push('CmdOrCtrl');
+      if (isMac && event.ctrlKey) parts.push('Ctrl');
+      if (event.altKey) parts.push('Alt');
+      if (event.shiftKey) parts.push('Shift');
+      if (!isMac && event.metaKey) parts.push('Super');
+      return [...parts, key].join('+');
+    }
+
+    function controlFor(field, value, disabled) {
+      let control;
+      if (field.type === 'boolean') {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.checked = value;
+      } else if (field.type === 'choice') {
+        control = document.createElement('select');
+        const choices = field.choices.some(choice => choice.value === value)
+          ? field.choices
+          : [...field.choices, { value, label: String(value) }];
+        for (const choice of choices) {
+          const option = document.createElement('option');
+          option.value = String(choice.value);
+          option.textContent = choice.label;
+          control.appendChild(option);
+        }
+        control.value = String(value);
+      } else if (field.type === 'shortcut') {
+        // Records the pressed keys instead of typed text
+        control = document.createElement('input');
+        control.type = 'text';
+        control.readOnly = true;
+        control.value = value;
+        control.placeholder = 'Off';
+        control.addEventListener('keydown', (event) => {
+          if (event.key === 'Escape' || (event.key === 'Tab' && !event.ctrlKey && !event.altKey && !event.metaKey)) return;
+          event.preventDefault();
+          if (event.key === 'Backspace' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+            control.value = '';
+          } else {
+            const accelerator = acceleratorFromEvent(event);
+            if (!accelerator) return;
+            control.value = accelerator;
+          }
+          control.dispatchEvent(new Event('change'));
+        });
+      } else {
+        control = document.createElement('input');
+        if (field.type === 'integer' || field.type === 'number') {
+          control.type = 'number';
+          if (field.min !== undefined) control.min = field.min;
+          if (field.max !== undefined) control.max = field.max;
+          control.step = field.step || 1;
+        } else {
+          control.type = 'text';
+          control.spellcheck = false;
+        }
+        control.value = String(value);
+      }
+      control.id = 'setting-' + field.key;
+      control.disabled = disabled;
+      control.addEventListener('change', () => save(field, control));
+      return control;
+    }
+
+    function render() {
+      const nav = document.getElementById('sections');
+      nav.replaceChildren(...state.sections.map(section => {
+        const button = document.createElement('button');
+        button.textContent = section.label;
+        button.className = section.id === currentSection ? 'active' : '';
+        button.addEventListener('click', () => {
+          currentSection = section.id;
+          render();
+        });
+        return button;
+      }));
+
+      const container = document.getElementById('fields');
+      const heading = document.createElement('h2');
+      heading.textContent = state.sections.find(section => section.id === currentSection).label;
+      const fields = state.fields.filter(field => field.section === currentSection).map(field => {
+        const managed = state.managedKeys.includes(field.key);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'field' + (field.type === 'boolean' ? '' : ' stacked') + (errors[field.key] ? ' invalid' : '');
+
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.textContent = field.label;
+        const control = controlFor(field, state.values[field.key], managed);
+        if (field.type === 'boolean') {
+          label.append(control, text);
+        } else {
+          label.append(text, control);
+        }
+        wrapper.appendChild(label);
+
+        const notes = [
+          [managed, 'managed', 'Managed by your organization'],
+          [errors[field.key], 'error', errors[field.key]],
+          [field.help && !errors[field.key], 'help', field.help]
+        ];
+        for (const [show, className, message] of notes) {
+          if (show) {
+            const note = document.createElement('div');
+            note.className = className;
+            note.textContent = message;
+            wrapper.appendChild(note);
+          }
+        }
+        return wrapper;
+      });
+      container.replaceChildren(heading, ...fields);
+    }
+
+    async function save(field, control) {
+      const value = field.type === 'boolean' ? control.checked : control.value;
+      const result = await window.settingsApp.saveSettings({ [field.key]: value });
+      if (result.errors[field.key]) {
+        errors[field.key] = result.errors[field.key];
+      } else {
+        delete errors[field.key];
+      }
+      state.values = result.values;
+      render();
+      if (errors[field.key]) {
+        // Let the user correct the rejected value instead of resetting it
+        const input = document.getElementById('setting-' + field.key);
+        input.value = value;
+        input.focus();
+      }
+    }
+
+    document.getElementById('restore').addEventListener('click', async () => {
+      if (!confirm('Restore all settings to their defaults? Settings managed by your organization are not changed.')) {
+        return;
+      }
+      const result = await window.settingsApp.restoreDefaults();
+      Object.keys(errors).forEach(key => delete errors[key]);
+      state.values = result.values;
+      render();
+    });
+    document.getElementById('close').addEventListener('click', () => window.close());
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') window.close();
+    });
+
+    // Keep the form in sync with changes made from the menus or tray
+    window.settingsApp.onSettingsChanged((values) => {
+      if (!state) return;
+      state.values = values;
+      const focused = document.activeElement && document.activeElement.id;
+      render();
+      if (focused && document.getElementById(focused)) {
+        document.getElementById(focused).focus();
+      }
+    });
+
+    window.settingsApp.getSettings().then((settings) => {
+      state = settings;
+      currentSection = settings.initialSection || settings.sections[0].id;
+      render();
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+class SettingsWindow {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.getValues - () => current value of every setting
+   * @param {Function} handlers.getManagedKeys - () => keys enforced by the managed policy
+   * @param {Function} handlers.applyChanges - async (changes) => { values, errors }
+   * @param {Function} handlers.restoreDefaults - async () => { values, errors }
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.window = null;
+    this.initialSection = null;
+
+    ipcMain.handle('get-settings', (event) => {
+      if (!this.isSender(event)) {
+        return null;
+      }
+      return {
+        sections: SETTINGS_SECTIONS,
+        fields: SETTINGS_FIELDS,
+        values: this.handlers.getValues(),
+        managedKeys: this.handlers.getManagedKeys(),
+        initialSection: this.initialSection
+      };
+    });
+
+    ipcMain.handle('save-settings', async (event, changes) => {
+      if (!this.isSender(event) || !changes || typeof changes !== 'object') {
+        return { values: this.handlers.getValues(), errors: {} };
+      }
+      return this.handlers.applyChanges(changes);
+    });
+
+    ipcMain.handle('restore-default-settings', async (event) => {
+      if (!this.isSender(event)) {
+        return { values: this.handlers.getValues(), errors: {} };
+      }
+      return this.handlers.restoreDefaults();
+    });
+  }
+
+  /**
+   * Open the settings window (or focus it if already open), optionally at a section
+   */
+  open(parent, sectionId = null) {
+    this.initialSection = sectionId;
+    if (this.window) {
+      this.window.show();
+      this.window.focus();
+      return;
+    }
+
+    this.window = new BrowserWindow({
+      width: 640,
+      height: 480,
+      minWidth: 520,
+      minHeight: 360,
+      parent: parent || undefined,
+      minimizable: false,
+      maximizable: false,
+      title: 'Settings',
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: path.join(__dirname, 'settings-preload.js')
+      }
+    });
+    this.window.setMenu(null);
+
+    // Security: The settings page never navigates or opens windows
+    this.window.webContents.on('will-navigate', (event) => event.preventDefault());
+    this.window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+    this.window.on('closed', () => {
+      this.window = null;
+    });
+
+    this.window.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(getSettingsHtml()));
+  }
+
+  close() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.close();
+    }
+  }
+
+  /**
+   * Push the current values to the window after a change made elsewhere
+   */
+  notifyChanged() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.webContents.send('settings-changed', this.handlers.getValues());
+    }
+  }
+
+  isSender(event) {
+    return Boolean(this.window) && !this.window.isDestroyed() && event.sender === this.window.webContents;
+  }
+}
+
+module.exports = SettingsWindow;
@@ -0,0 +1,212 @@
+/**
+ * Global Shortcuts
+ * Configurable OS-wide hotkeys (show/hide the window, lock, quick add), with
+ * conflict detection against each other, the app's menu accelerators and
+ * shortcuts already taken by other applications
+ */
+
+const { globalShortcut } = require('electron');
+
+// Global actions, keyed by id, with the setting that holds each accelerator
+const SHORTCUT_ACTIONS = {
+  toggleWindow: { settingKey: 'shortcutToggleWindow', label: 'Show/Hide Window' },
+  lockSession: { settingKey: 'shortcutLockSession', label: 'Lock Session' },
+  quickAdd: { settingKey: 'shortcutQuickAdd', label: 'Quick Add Event' }
+};
+
+const MODIFIERS = {
+  commandorcontrol: 'CmdOrCtrl',
+  cmdorctrl: 'CmdOrCtrl',
+  command: 'Command',
+  cmd: 'Command',
+  control: 'Ctrl',
+  ctrl: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  altgr: 'AltGr',
+  shift: 'Shift',
+  super: 'Super',
+  meta: 'Super'
+};
+const MODIFIER_ORDER = ['CmdOrCtrl', 'Command', 'Ctrl', 'Alt', 'AltGr', 'Shift', 'Super'];
+const NAMED_KEYS = ['Plus', 'Space', 'Tab', 'Backspace', 'Delete', 'Insert', 'Return', 'Enter', 'Up', 'Down', 'Left', 'Right', 'Home', 'End', 'PageUp', 'PageDown', 'Escape', 'Esc'];
+const PUNCTUATION = ')!@#$%^&*(:;:+=<,_->.?/~`{][|\\}"\'';
+
+/**
+ * Normalize an Electron accelerator ("ctrl+alt+k" -> "Ctrl+Alt+K")
+ * Returns '' for an empty value (shortcut off), or null if it is invalid or has no
+ * modifier - a global shortcut on a bare key would swallow that key everywhere
+ */
+function normalizeAccelerator(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return '';
+  }
+
+  const parts = text.split('+');
+  // "CmdOrCtrl++" is the plus key
+  if (text.endsWith('++')) {
+    parts.splice(-2, 2, 'Plus');
+  }
+  const keyPart = parts.pop().trim();
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = MODIFIERS[part.trim().toLowerCase()];
+    if (!modifier || modifiers.has(modifier)) {
+      return null;
+    }
+    modifiers.add(modifier);
+  }
+
+  let key = null;
+  if (/^[a-z0-9]$/i.test(keyPart)) {
+    key = keyPart.toUpperCase();
+  } else if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(keyPart)) {
+    key = keyPart.toUpperCase();
+  } else if (keyPart.length === 1 && PUNCTUATION.includes(keyPart)) {
+    key = keyPart;
+  } else {
+    key = NAMED_KEYS.find(name => name.toLowerCase() === keyPart.toLowerCase()) || null;
+  }
+  if (!key) {
+    return null;
+  }
+
+  const hasModifier = [...modifiers].some(modifier => modifier !== 'Shift');
+  if (!hasModifier && !/^F\d+$/.test(key)) {
+    return null;
+  }
+  return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Platform-specific form used to compare accelerators ("CmdOrCtrl" is Ctrl off macOS)
+ */
+function acceleratorId(accelerator, platform = process.platform) {
+  const normalized = normalizeAccelerator(accelerator);
+  if (!normalized) {
+    return null;
+  }
+  const parts = normalized.split('+');
+  const key = parts.pop();
+  const modifiers = parts.map(modifier => {
+    if (modifier === 'CmdOrCtrl') {
+      return platform === 'darwin' ? 'Command' : 'Ctrl';
+    }
+    return modifier === 'AltGr' ? 'Alt' : modifier;
+  });
+  return [...new Set(modifiers)].sort().concat(key.toLowerCase()).join('+');
+}
+
+class GlobalShortcuts {
+  /**
+   * @param {Object} options
+   * @param {Store} options.store - electron-store holding the `shortcuts` map
+   * @param {Object} options.actions - action id -> function to run
+   * @param {Function} options.getMenuAccelerators - () => [{ accelerator, label }] in use by the menus
+   */
+  constructor({ store, actions, getMenuAccelerators }) {
+    this.store = store;
+    this.actions = actions;
+    this.getMenuAccelerators = getMenuAccelerators;
+    // Action id -> accelerator that could not be registered
+    this.failures = {};
+  }
+
+  /**
+   * Accelerator per action id ('' = off)
+   */
+  getShortcuts() {
+    return this.store.get('shortcuts');
+  }
+
+  /**
+   * (Re-)register every configured shortcut
+   */
+  register() {
+    this.unregister();
+    this.failures = {};
+    for (const [id, accelerator] of Object.entries(this.getShortcuts())) {
+      if (!accelerator || !this.actions[id]) {
+        continue;
+      }
+      let registered = false;
+      try {
+        registered = globalShortcut.register(accelerator, () => this.actions[id]());
+      } catch (error) {
+        console.error(`Invalid shortcut ${accelerator}:`, error.message);
+      }
+      if (!registered) {
+        this.failures[id] = accelerator;
+        console.warn(`Shortcut ${accelerator} for ${SHORTCUT_ACTIONS[id].label} is in use by another application`);
+      }
+    }
+  }
+
+  unregister() {
+    for (const accelerator of Object.values(this.getShortcuts())) {
+      if (accelerator && globalShortcut.isRegistered(accelerator)) {
+        globalShortcut.unregister(accelerator);
+      }
+    }
+  }
+
+  /**
+   * Save changed accelerators (action id -> accelerator) and register them
+   */
+  save(changes) {
+    this.unregister();
+    this.store.set('shortcuts', { ...this.getShortcuts(), ...changes });
+    this.register();
+  }
+
+  /**
+   * Conflicts for proposed changes (action id -> accelerator)
+   * Returns action id -> message for every accelerator that can't be used
+   */
+  findConflicts(changes) {
+    const proposed = { ...this.getShortcuts(), ...changes };
+    const menuAccelerators = this.getMenuAccelerators();
+    const conflicts = {};
+
+    for (const [id, accelerator] of Object.entries(changes)) {
+      const target = acceleratorId(accelerator);
+      if (!target) {
+        continue;
+      }
+
+      const other = Object.keys(proposed).find(otherId => otherId !== id && acceleratorId(proposed[otherId]) === target);
+      if (other) {
+        conflicts[id] = `Already used for ${SHORTCUT_ACTIONS[other].label}`;
+        continue;
+      }
+
+      const menuItem = menuAccelerators.find(item => acceleratorId(item.accelerator) === target);
+      if (menuItem) {
+        conflicts[id] = `Already used by the "${menuItem.label}" menu item`;
+        continue;
+      }
+
+      // Registering is the only way to find out whether another application has it
+      if (!globalShortcut.isRegistered(accelerator)) {
+        let available = false;
+        try {
+          available = globalShortcut.register(accelerator, () => {});
+        } catch (error) {
+          available = false;
+        }
+        if (available) {
+          globalShortcut.unregister(accelerator);
+        } else {
+          conflicts[id] = 'Already in use by another application';
+        }
+      }
+    }
+    return conflicts;
+  }
+}
+
+GlobalShortcuts.ACTIONS = SHORTCUT_ACTIONS;
+GlobalShortcuts.normalizeAccelerator = normalizeAccelerator;
+
+module.exports = GlobalShortcuts;
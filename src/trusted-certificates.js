@@ -0,0 +1,291 @@
+/**
+ * Trusted Certificates
+ * Opt-in list of extra CA certificates (e.g. a corporate TLS-inspecting proxy)
+ * and pinned server certificate fingerprints. They are only consulted for
+ * certificates Chromium rejected because it doesn't know the issuer - expired or
+ * wrong-host certificates are still rejected. Revocation is not checked for
+ * certificates accepted this way.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+const STORE_KEY = 'trustedCertificates';
+const AUTHORITY_INVALID = 'net::ERR_CERT_AUTHORITY_INVALID';
+const MAX_CHAIN_LENGTH = 10;
+const PEM_PATTERN = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+const SERVER_AUTH_USAGES = ['1.3.6.1.5.5.7.3.1', '2.5.29.37.0'];
+// DER encoding of the basicConstraints extension's OID (2.5.29.19)
+const BASIC_CONSTRAINTS_OID = Buffer.from([0x06, 0x03, 0x55, 0x1d, 0x13]);
+
+/**
+ * Hex ("AB:CD:…") or "sha256/<base64>" SHA-256 fingerprint in Chromium's "sha256/<base64>" form
+ * Returns null if it isn't a SHA-256 fingerprint
+ */
+function normalizeFingerprint(value) {
+  const text = String(value || '').trim();
+  const base64 = /^sha256\/([A-Za-z0-9+/]{43}=)$/.exec(text);
+  if (base64) {
+    return `sha256/${base64[1]}`;
+  }
+  const hex = text.replace(/[\s:]/g, '');
+  if (/^[0-9a-f]{64}$/i.test(hex)) {
+    return `sha256/${Buffer.from(hex, 'hex').toString('base64')}`;
+  }
+  return null;
+}
+
+function fingerprintOf(x509) {
+  return normalizeFingerprint(x509.fingerprint256);
+}
+
+function commonName(distinguishedName) {
+  const match = /(?:^|\n)CN=([^\n]+)/.exec(distinguishedName || '');
+  return match ? match[1] : String(distinguishedName || '').split('\n')[0];
+}
+
+function isValidNow(x509) {
+  const now = Date.now();
+  return new Date(x509.validFrom).getTime() <= now && now <= new Date(x509.validTo).getTime();
+}
+
+function issuedBy(certificate, issuer) {
+  return Boolean(certificate.checkIssued(issuer)) && certificate.verify(issuer.publicKey);
+}
+
+/**
+ * Whether the extended key usage (if the certificate restricts it) allows TLS servers
+ */
+function allowsServerAuth(x509) {
+  const usages = x509.keyUsage;
+  return !usages || usages.some(usage => SERVER_AUTH_USAGES.includes(usage));
+}
+
+/**
+ * pathLenConstraint of a CA certificate's basicConstraints - null if there is none
+ * (Node doesn't expose it, so it's read from the DER extension)
+ */
+function getPathLength(x509) {
+  const der = x509.raw;
+  const at = der.indexOf(BASIC_CONSTRAINTS_OID);
+  if (at === -1) {
+    return null;
+  }
+  let offset = at + BASIC_CONSTRAINTS_OID.length;
+  const readHeader = (tag) => {
+    if (der[offset] !== tag) {
+      return null;
+    }
+    let length = der[offset + 1];
+    offset += 2;
+    if (length === 0x81) {
+      length = der[offset];
+      offset += 1;
+    }
+    return length;
+  };
+  // Optional "critical" flag, then the OCTET STRING wrapping SEQUENCE { cA, pathLen }
+  if (der[offset] === 0x01) {
+    offset += 3;
+  }
+  if (readHeader(0x04) === null) {
+    return null;
+  }
+  const sequenceLength = readHeader(0x30);
+  if (sequenceLength === null) {
+    return null;
+  }
+  const end = offset + sequenceLength;
+  if (der[offset] === 0x01) {
+    offset += 3;
+  }
+  const intLength = offset < end ? readHeader(0x02) : null;
+  if (intLength === null || intLength < 1 || intLength > 2) {
+    return null;
+  }
+  return der.subarray(offset, offset + intLength).reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Whether `x509` may issue certificates with `below` intermediate CAs under it
+ */
+function canIssue(x509, below) {
+  const pathLength = getPathLength(x509);
+  return x509.ca && allowsServerAuth(x509) && (pathLength === null || below <= pathLength);
+}
+
+/**
+ * Certificates from a PEM (one or more) or DER file
+ */
+function parseCertificates(contents) {
+  const text = Buffer.isBuffer(contents) ? contents.toString('latin1') : String(contents);
+  const pems = text.match(PEM_PATTERN);
+  if (pems) {
+    return pems.map(pem => new crypto.X509Certificate(pem));
+  }
+  return [new crypto.X509Certificate(Buffer.isBuffer(contents) ? contents : Buffer.from(text, 'latin1'))];
+}
+
+class TrustedCertificates {
+  /**
+   * @param {Store} store - electron-store holding the `trustedCertificates` list
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * [{ id, type: 'ca' | 'fingerprint', name, fingerprint, validTo?, pem?, addedAt }]
+   */
+  list() {
+    return this.store.get(STORE_KEY, []);
+  }
+
+  /**
+   * Replace all entries - malformed entries and CA entries that aren't CA certificates are dropped
+   * Returns the number of entries kept
+   */
+  replace(entries) {
+    const valid = (Array.isArray(entries) ? entries : []).filter(entry => {
+      if (!entry || !normalizeFingerprint(entry.fingerprint)) {
+        return false;
+      }
+      if (entry.type === 'ca') {
+        try {
+          const x509 = new crypto.X509Certificate(entry.pem);
+          return x509.ca && fingerprintOf(x509) === entry.fingerprint;
+        } catch (error) {
+          return false;
+        }
+      }
+      return entry.type === 'fingerprint';
+    });
+    this.store.set(STORE_KEY, valid);
+    return valid.length;
+  }
+
+  /**
+   * Trust CA certificates from a PEM or DER file
+   * Returns { added: [entry], error? }
+   */
+  addCertificates(contents) {
+    let certificates;
+    try {
+      certificates = parseCertificates(contents);
+    } catch (error) {
+      return { added: [], error: 'The file does not contain a certificate' };
+    }
+
+    const notCa = certificates.find(x509 => !x509.ca);
+    if (notCa) {
+      return { added: [], error: `"${commonName(notCa.subject)}" is not a CA certificate - pin its fingerprint instead` };
+    }
+
+    const entries = this.list();
+    const added = [];
+    for (const x509 of certificates) {
+      const fingerprint = fingerprintOf(x509);
+      if (entries.some(entry => entry.fingerprint === fingerprint)) {
+        continue;
+      }
+      const entry = {
+        id: crypto.randomUUID(),
+        type: 'ca',
+        name: commonName(x509.subject),
+        fingerprint,
+        validTo: new Date(x509.validTo).toISOString(),
+        pem: x509.toString(),
+        addedAt: new Date().toISOString()
+      };
+      entries.push(entry);
+      added.push(entry);
+    }
+    this.store.set(STORE_KEY, entries);
+    return { added };
+  }
+
+  /**
+   * Pin one server certificate by its SHA-256 fingerprint
+   * Returns { entry } or { error }
+   */
+  addFingerprint(value, name = '') {
+    const fingerprint = normalizeFingerprint(value);
+    if (!fingerprint) {
+      return { error: 'Enter a SHA-256 fingerprint (64 hex digits, or sha256/… as shown by Chromium)' };
+    }
+    const entries = this.list();
+    if (entries.some(entry => entry.fingerprint === fingerprint)) {
+      return { error: 'This fingerprint is already trusted' };
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      type: 'fingerprint',
+      name: String(name).trim() || fingerprint,
+      fingerprint,
+      addedAt: new Date().toISOString()
+    };
+    this.store.set(STORE_KEY, [...entries, entry]);
+    return { entry };
+  }
+
+  remove(id) {
+    this.store.set(STORE_KEY, this.list().filter(entry => entry.id !== id));
+  }
+
+  /**
+   * Entry that makes a rejected certificate acceptable, or null
+   * @param {string} url - the request URL (the certificate must be for its host)
+   * @param {string} error - Chromium's error, e.g. net::ERR_CERT_AUTHORITY_INVALID
+   * @param {Electron.Certificate} certificate - server certificate with its issuerCert chain
+   */
+  match(url, error, certificate) {
+    const entries = this.list();
+    if (error !== AUTHORITY_INVALID || entries.length === 0 || !certificate) {
+      return null;
+    }
+
+    let hostname;
+    const chain = [];
+    try {
+      hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+      for (let current = certificate; current && chain.length < MAX_CHAIN_LENGTH; current = current.issuerCert) {
+        chain.push(new crypto.X509Certificate(current.data));
+      }
+    } catch (parseError) {
+      return null;
+    }
+
+    const leaf = chain[0];
+    if (!(net.isIP(hostname) ? leaf.checkIP(hostname) : leaf.checkHost(hostname)) || !allowsServerAuth(leaf)) {
+      return null;
+    }
+
+    const pinned = entries.find(entry => entry.type === 'fingerprint' && entry.fingerprint === fingerprintOf(leaf));
+    if (pinned) {
+      return pinned;
+    }
+
+    // Follow the presented chain while every link is valid, properly signed and issued
+    // by a CA allowed to issue it, stopping at the first certificate issued by (or
+    // equal to) a trusted CA
+    const authorities = entries.filter(entry => entry.type === 'ca').map(entry => ({ entry, x509: new crypto.X509Certificate(entry.pem) }));
+    for (let index = 0; index < chain.length; index++) {
+      const current = chain[index];
+      // Security: Each issuer must be a CA - otherwise any leaf could sign a certificate for any host
+      if (!isValidNow(current) || (index > 0 && (!canIssue(current, index - 1) || !issuedBy(chain[index - 1], current)))) {
+        return null;
+      }
+      const fingerprint = fingerprintOf(current);
+      const authority = authorities.find(({ entry, x509 }) => (index > 0 && entry.fingerprint === fingerprint) ||
+        (isValidNow(x509) && canIssue(x509, index) && issuedBy(current, x509)));
+      if (authority) {
+        return authority.entry;
+      }
+    }
+    return null;
+  }
+}
+
+TrustedCertificates.normalizeFingerprint = normalizeFingerprint;
+
+module.exports = TrustedCertificates;
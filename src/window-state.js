@@ -0,0 +1,137 @@
+/**
+ * Window State
+ * Remembers a window's position, size, maximized/fullscreen state and zoom separately
+ * for each display configuration (e.g. docked vs. laptop screen only), and keeps
+ * restored windows on a screen that is actually connected
+ */
+
+const { screen } = require('electron');
+
+// Display configurations remembered per window (the least recently used is dropped)
+const MAX_CONFIGURATIONS = 8;
+// Moves and resizes are saved once the window has been still this long
+const SAVE_DELAY_MS = 1000;
+// How much of a window (and its title bar) must be on a work area to be reachable
+const MIN_VISIBLE_PX = 100;
+
+/**
+ * Key for the connected displays - their arrangement, resolution and scaling
+ */
+function getDisplayConfiguration() {
+  return screen.getAllDisplays()
+    .map(({ bounds, scaleFactor }) => `${bounds.x},${bounds.y},${bounds.width}x${bounds.height}@${scaleFactor}`)
+    .sort()
+    .join(';');
+}
+
+function isValidBounds(bounds) {
+  return Boolean(bounds) &&
+    ['width', 'height'].every(key => Number.isFinite(bounds[key]) && bounds[key] > 0) &&
+    ['x', 'y'].every(key => bounds[key] === undefined || Number.isFinite(bounds[key]));
+}
+
+function intersect(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return { width: Math.max(width, 0), height: Math.max(height, 0) };
+}
+
+/**
+ * Bounds that are reachable on the connected displays: left as they are if enough of the
+ * window and its title bar is on a work area, otherwise shrunk and moved onto the display
+ * it overlaps most. Without a position the window is only shrunk to fit (and centered).
+ */
+function fitToDisplays(bounds) {
+  if (!Number.isFinite(bounds.x) || !Number.isFinite(bounds.y)) {
+    const { workArea } = screen.getPrimaryDisplay();
+    return { width: Math.min(bounds.width, workArea.width), height: Math.min(bounds.height, workArea.height) };
+  }
+
+  const reachable = screen.getAllDisplays().some(({ workArea }) => {
+    const overlap = intersect(bounds, workArea);
+    const titleBarVisible = bounds.y >= workArea.y && bounds.y < workArea.y + workArea.height - MIN_VISIBLE_PX / 2;
+    return titleBarVisible && overlap.width >= MIN_VISIBLE_PX && overlap.height >= MIN_VISIBLE_PX;
+  });
+  if (reachable) {
+    return { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+  }
+
+  const { workArea } = screen.getDisplayMatching(bounds);
+  const width = Math.min(bounds.width, workArea.width);
+  const height = Math.min(bounds.height, workArea.height);
+  return {
+    x: Math.min(Math.max(bounds.x, workArea.x), workArea.x + workArea.width - width),
+    y: Math.min(Math.max(bounds.y, workArea.y), workArea.y + workArea.height - height),
+    width,
+    height
+  };
+}
+
+/**
+ * Saved state for the current display configuration ({ state, matched: true }), or
+ * else the most recently saved one, or `fallback` ({ state, matched: false })
+ */
+function selectWindowState(windowStates, fallback = null) {
+  const states = windowStates && typeof windowStates === 'object' ? windowStates : {};
+  const current = states[getDisplayConfiguration()];
+  if (current && isValidBounds(current.bounds)) {
+    return { state: current, matched: true };
+  }
+  const latest = Object.values(states)
+    .filter(state => state && isValidBounds(state.bounds))
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))[0];
+  return { state: latest || fallback, matched: false };
+}
+
+/**
+ * State of `win` now, for the current display configuration
+ */
+function captureWindowState(win, zoomFactor) {
+  return {
+    bounds: win.getNormalBounds(),
+    maximized: win.isMaximized(),
+    fullscreen: win.isFullScreen(),
+    zoomFactor,
+    savedAt: Date.now()
+  };
+}
+
+/**
+ * `windowStates` with `state` saved for the current display configuration
+ */
+function rememberWindowState(windowStates, state) {
+  const states = { ...(windowStates && typeof windowStates === 'object' ? windowStates : {}), [getDisplayConfiguration()]: state };
+  const keep = Object.entries(states)
+    .sort(([, a], [, b]) => (b.savedAt || 0) - (a.savedAt || 0))
+    .slice(0, MAX_CONFIGURATIONS);
+  return Object.fromEntries(keep);
+}
+
+/**
+ * Call `save` shortly after `win` stops moving or resizing, or changes maximized or
+ * fullscreen state - so the state survives a crash, not just a clean close
+ */
+function watchWindowState(win, save) {
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      if (!win.isDestroyed()) {
+        save();
+      }
+    }, SAVE_DELAY_MS);
+  };
+  ['move', 'resize', 'maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen'].forEach(event => win.on(event, schedule));
+  win.on('closed', () => clearTimeout(timer));
+}
+
+module.exports = {
+  getDisplayConfiguration,
+  isValidBounds,
+  fitToDisplays,
+  selectWindowState,
+  captureWindowState,
+  rememberWindowState,
+  watchWindowState
+};